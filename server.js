@@ -47,6 +47,8 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
+import { randomUUID } from 'crypto';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
@@ -55,9 +57,31 @@ import { config } from './config.js';
 import { CircuitBreaker, FallbackResponseGenerator } from './circuit-breaker.js';
 import { YoutAgentFileSystem } from './src/youtu-agent-filesystem.js';
 import { YoutAgentContextChunker } from './src/youtu-agent-context-chunker.js';
+import { ProviderRegistry, McpSamplingProvider } from './src/providers/index.js';
+import { RetryPolicy } from './src/retry-policy.js';
+import { EmpiricalStore } from './src/empirical-store.js';
+import { RoutingPolicy } from './src/routing-policy.js';
+import { RecencyTracker } from './src/recency-stats.js';
+import { LatencyModel } from './src/latency-model.js';
+import { SemanticFingerprinter, regexFingerprint, FINGERPRINT_DOMAINS } from './src/semantic-fingerprinter.js';
+import { DecisionJournal, parseTimeFilter } from './src/decision-journal.js';
+import { ClassifierRuleSource, keywordRulesFromEnv } from './src/classifier-rules.js';
+import { parseDataset, evaluateClassifier, diffReports, loadBaseline, saveBaseline } from './src/classifier-evaluation.js';
+import { LlmRouter, CLASSIFIER_MODES, pickRouterModel } from './src/llm-router.js';
+import { PlanExecutor, parsePlan, PLAN_INSTRUCTIONS } from './src/plan-executor.js';
+import { LocalEndpointRegistry, parseEndpoints, parsePorts } from './src/local-endpoints.js';
+import { EndpointHealthMonitor } from './src/health-monitor.js';
+import { ModelLifecycleManager, pickDefaultModel } from './src/model-lifecycle.js';
+import { ModelCapabilityRegistry, parseCapabilityOverrides, splitReasoning, chunkSizesFor } from './src/model-capabilities.js';
+import { BanditRouter, parseNumberList } from './src/bandit-router.js';
+import { ResponseQualityEvaluator } from './src/response-quality.js';
+import { buildFailureGuidance } from './src/routing-guidance.js';
 
 const execAsync = promisify(exec);
 
+// Task types accepted by enhanced_query_deepseek; preview_route shares them so a preview matches the real route
+const QUERY_TASK_TYPES = ['coding', 'game_dev', 'analysis', 'debugging', 'optimization'];
+
 /**
  * Cross-Platform Path Normalizer for Windows/WSL/Linux Compatibility
  * Handles \\wsl.localhost\Ubuntu\path and /path formats seamlessly
@@ -204,13 +228,7 @@ class FileAnalysisManager {
     try {
       // Dynamic import to avoid blocking main thread
       const { YoutAgentContextChunker } = await import('./src/youtu-agent-context-chunker.js');
-      this.youtAgentChunker = new YoutAgentContextChunker({
-        targetChunkSize: 20000,
-        maxChunkSize: 25000,
-        minChunkSize: 5000,
-        overlapSize: 500,
-        preserveBoundaries: true
-      });
+      this.YoutAgentContextChunker = YoutAgentContextChunker;
       console.error('✅ YoutAgent chunker initialized for BLAZING FAST content processing!');
     } catch (error) {
       console.error('YoutAgent chunker initialization failed (fallback active):', error.message);
@@ -218,6 +236,20 @@ class FileAnalysisManager {
     }
   }
 
+  /**
+   * (Re)build the chunker when the target model's prompt budget calls for other chunk sizes
+   */
+  sizeYoutAgentChunker(capabilities) {
+    if (!this.YoutAgentContextChunker) return;
+    const sizes = chunkSizesFor(capabilities);
+    if (this.youtAgentChunker?.maxChunkSize === sizes.maxChunkSize) return;
+    this.youtAgentChunker = new this.YoutAgentContextChunker({
+      ...sizes,
+      overlapSize: 500,
+      preserveBoundaries: true
+    });
+  }
+
   /**
    * '(ᗒᗣᗕ)՞ OPTIMIZER-Enhanced: BLAZING FAST file analysis with concurrent processing!
    */
@@ -241,7 +273,7 @@ class FileAnalysisManager {
     };
 
     // Validate and process file paths
-    const validPaths = await this.validateAndExpandPaths(filePaths);
+    const validPaths = await this.validateAndExpandPaths(filePaths, options.signal);
     results.summary.totalFiles = validPaths.length;
 
     // '(ᗒᗣᗕ)՞ OPTIMIZATION 1: CONCURRENT FILE PROCESSING (300% faster!)
@@ -252,6 +284,7 @@ class FileAnalysisManager {
     }
 
     for (const chunk of chunks) {
+      options.signal?.throwIfAborted();
       const promises = chunk.map(async (filePath) => {
         try {
           // Use optimized analyzer if YoutAgent integration enabled
@@ -296,11 +329,12 @@ class FileAnalysisManager {
   /**
    * Validate file paths and expand patterns - OPTIMIZED pipeline!
    */
-  async validateAndExpandPaths(filePaths) {
+  async validateAndExpandPaths(filePaths, signal = null) {
     const validPaths = [];
     const pathArray = Array.isArray(filePaths) ? filePaths : [filePaths];
 
     for (const filePath of pathArray) {
+      signal?.throwIfAborted();
       let normalizedPath = null;
       try {
         // OPTIMIZATION: Try path normalization first with fallback
@@ -346,11 +380,13 @@ class FileAnalysisManager {
           // Directory - find files with patterns
           const files = await this.findFilesInDirectory(normalizedPath, {
             maxFiles: this.maxFiles - validPaths.length,
-            extensions: this.allowedExtensions
+            extensions: this.allowedExtensions,
+            signal
           });
           validPaths.push(...files);
         }
       } catch (error) {
+        if (signal?.aborted) throw error;
         console.error(`❌ Path validation failed: ${filePath} -> ${normalizedPath || 'normalization failed'} - ${error.message}`);
       }
     }
@@ -403,6 +439,7 @@ class FileAnalysisManager {
       
       for (const entry of entries) {
         if (files.length >= maxFiles) break;
+        options.signal?.throwIfAborted();
 
         const fullPath = path.join(dirPath, entry.name);
         
@@ -422,12 +459,14 @@ class FileAnalysisManager {
           // Recursive search with depth limit
           const subdirFiles = await this.findFilesInDirectory(fullPath, {
             maxFiles: maxFiles - files.length,
-            extensions
+            extensions,
+            signal: options.signal
           });
           files.push(...subdirFiles);
         }
       }
     } catch (error) {
+      if (options.signal?.aborted) throw error;
       console.error(`❌ Directory scan failed: ${dirPath} - ${error.message}`);
     }
 
@@ -814,10 +853,11 @@ class FileAnalysisManager {
 
   /**
    * '(ᗒᗣᗕ)՞ OPTIMIZER: BLAZING FAST prompt construction for DeepSeek analysis!
-   * Smart token management with YoutAgent chunking integration
+   * Smart token management with YoutAgent chunking integration; options.maxPromptTokens is the
+   * target model's context less its response
    */
   constructFileAnalysisPrompt(fileResults, options = {}) {
-    const MAX_TOKENS = 25000; // Leave room for DeepSeek response (32K total context)
+    const MAX_TOKENS = options.maxPromptTokens;
     let prompt = "🔍 **DEEPSEEK CODE ANALYSIS** - Analyze these files for bugs, improvements, and architectural insights:\n\n";
     let tokenCount = this.estimateTokens(prompt);
     
@@ -946,11 +986,22 @@ class FileAnalysisManager {
       youtuOptimized: true // Enable our optimizations
     };
     
+    if (!this.bridge) {
+      throw new Error('Bridge reference not available for enhanced query execution');
+    }
+    
+    // Chunks and the prompt are sized to the model the analysis goes to
+    const capabilities = await this.bridge.resolveModelCapabilities(options.model);
+    this.sizeYoutAgentChunker(capabilities);
     const fileResults = await this.analyzeFiles(filePaths, analysisOptions);
+    options.signal?.throwIfAborted();
     
     // Step 2: Construct optimized prompt for DeepSeek
     console.error('⚡ OPTIMIZER: Constructing optimized DeepSeek analysis prompt...');
-    const optimizedPrompt = this.constructFileAnalysisPrompt(fileResults, options);
+    const optimizedPrompt = this.constructFileAnalysisPrompt(fileResults, {
+      ...options,
+      maxPromptTokens: capabilities.promptBudget - 500 // System prompt and framing
+    });
     
     // Step 3: Execute enhanced query with the optimized content
     console.error('🚀 OPTIMIZER: Transmitting to DeepSeek via enhanced query...');
@@ -962,9 +1013,6 @@ class FileAnalysisManager {
     };
     
     // Use the enhanced query system for intelligent routing
-    if (!this.bridge) {
-      throw new Error('Bridge reference not available for enhanced query execution');
-    }
     const analysisResponse = await this.bridge.enhancedQuery(optimizedPrompt, enhancedQueryOptions);
     
     const processingTime = Math.round(performance.now() - startTime);
@@ -992,7 +1040,7 @@ class FileAnalysisManager {
     return {
       optimizationsActive: {
         concurrentProcessing: true,
-        youtAgentChunking: !!this.youtAgentChunker,
+        youtAgentChunking: !!this.YoutAgentContextChunker,
         semanticBoundaries: true,
         smartTokenManagement: true,
         enhancedQueryIntegration: true
@@ -1000,7 +1048,7 @@ class FileAnalysisManager {
       performanceFeatures: {
         eliminates50KBLimit: true,
         supports100KBFiles: true,
-        optimalTokenUtilization: '25K tokens',
+        optimalTokenUtilization: this.youtAgentChunker ? `${Math.round(this.youtAgentChunker.maxChunkSize / 1000)}K tokens` : 'sized to the model prompt budget',
         concurrentFileLimit: 5,
         processingSpeedGain: '300%'
       },
@@ -1023,15 +1071,46 @@ class EmpiricalRoutingManager {
       patterns: new Map(),
       totalQueries: 0,
       successfulQueries: 0,
-      failedQueries: 0
+      failedQueries: 0,
+      cancelledQueries: 0,
+      goodRatings: 0,
+      badRatings: 0
+    };
+    // response_id -> { fingerprint, backend, countedAsSuccess } for rate_response; bounded, oldest evicted first,
+    // and journaled with the store so ids survive a restart
+    this.responses = new Map();
+    this.maxTrackedResponses = 500;
+    this.store = null; // EmpiricalStore, attached during bridge initialization
+    this.policy = new RoutingPolicy(); // Replaced with configured thresholds during bridge initialization
+    this.recency = new RecencyTracker(); // Replaced with the configured half-life during bridge initialization
+    this.semantic = null; // SemanticFingerprinter when FINGERPRINT_MODE=semantic
+    // How often the LLM router's (and, for comparison, the regex classifier's) recommendation matched the outcome
+    this.routerAgreement = { llm: this.createAgreementRecord(), regex: this.createAgreementRecord() };
+  }
+
+  createAgreementRecord() {
+    return { agreed: 0, overEscalated: 0, underEscalated: 0 };
+  }
+
+  createExecutionRecord() {
+    return {
+      successRate: 0,
+      averageResponseTime: 0,
+      totalExecutions: 0,
+      successfulExecutions: 0,
+      cancelledExecutions: 0,
+      failurePatterns: new Map(),
+      ratings: { good: 0, bad: 0 },
+      recency: this.recency.createRecord(),
+      lastUpdated: null
     };
   }
 
   generateQueryFingerprint(prompt) {
     // Create semantic fingerprint for pattern learning
-    const keywords = this.extractSemanticKeywords(prompt);
-    const complexity = this.estimateComplexity(prompt);
-    const domain = this.identifyDomain(prompt);
+    const { keywords, complexity, domain, fingerprint: regexKey } = regexFingerprint(prompt);
+    // Embedding cluster resolved earlier in this request (resolveQueryFingerprint), if any
+    const cluster = this.semantic?.lookup(prompt) || null;
     
     return {
       keywords: keywords,
@@ -1041,54 +1120,21 @@ class EmpiricalRoutingManager {
       hasCode: /```|`/.test(prompt),
       hasJSON: /json|JSON|\{|\}|\[|\]/.test(prompt),
       questionType: this.classifyQuestionType(prompt),
-      fingerprint: this.createFingerprint(keywords, complexity, domain)
+      mode: cluster ? 'semantic' : 'regex',
+      cluster: cluster,
+      regexFingerprint: regexKey,
+      fingerprint: cluster ? cluster.clusterId : regexKey
     };
   }
 
-  extractSemanticKeywords(prompt) {
-    const lowercasePrompt = prompt.toLowerCase();
-    const keywords = [];
-    
-    // Technical domains
-    if (/json|parse|load|data/.test(lowercasePrompt)) keywords.push('json_data');
-    if (/react|component|jsx/.test(lowercasePrompt)) keywords.push('react');
-    if (/function|method|implement/.test(lowercasePrompt)) keywords.push('implementation');
-    if (/debug|fix|error|bug/.test(lowercasePrompt)) keywords.push('debugging');
-    if (/architecture|system|design/.test(lowercasePrompt)) keywords.push('architecture');
-    if (/api|endpoint|request/.test(lowercasePrompt)) keywords.push('api');
-    if (/file|analyze|read|content/.test(lowercasePrompt)) keywords.push('file_analysis');
-    
-    return keywords;
-  }
-
-  estimateComplexity(prompt) {
-    let complexity = 0;
-    
-    // Length factor
-    complexity += Math.min(prompt.length / 1000, 0.3);
-    
-    // Complexity indicators
-    const complexIndicators = ['multiple', 'integrate', 'coordinate', 'architecture', 'system', 'enterprise'];
-    complexity += complexIndicators.filter(indicator => prompt.toLowerCase().includes(indicator)).length * 0.2;
-    
-    // Simple indicators (reduce complexity)
-    const simpleIndicators = ['how to', 'simple', 'example', 'basic'];
-    complexity -= simpleIndicators.filter(indicator => prompt.toLowerCase().includes(indicator)).length * 0.1;
-    
-    return Math.max(0, Math.min(1, complexity));
-  }
-
-  identifyDomain(prompt) {
-    const lowercasePrompt = prompt.toLowerCase();
-    
-    if (/json|data|parse|load/.test(lowercasePrompt)) return 'data_processing';
-    if (/react|component|ui|frontend/.test(lowercasePrompt)) return 'frontend';
-    if (/api|backend|server|database/.test(lowercasePrompt)) return 'backend';
-    if (/debug|error|fix|bug/.test(lowercasePrompt)) return 'debugging';
-    if (/architecture|system|design|planning/.test(lowercasePrompt)) return 'architecture';
-    if (/file|analyze|read|content/.test(lowercasePrompt)) return 'file_analysis';
-    
-    return 'general';
+  /**
+   * Embed the prompt into its semantic cluster when enabled; the regex fingerprint is the fallback
+   */
+  async resolveQueryFingerprint(prompt) {
+    if (this.semantic) {
+      await this.semantic.fingerprint(prompt, regexFingerprint(prompt).fingerprint);
+    }
+    return this.generateQueryFingerprint(prompt);
   }
 
   classifyQuestionType(prompt) {
@@ -1101,37 +1147,38 @@ class EmpiricalRoutingManager {
     return 'general_query';
   }
 
-  createFingerprint(keywords, complexity, domain) {
-    return `${domain}_${Math.round(complexity * 10)}_${keywords.join('_')}`.substring(0, 50);
-  }
-
-  async shouldTryDeepseekFirst(prompt) {
-    // ALWAYS try DeepSeek first - this is the core empirical principle
-    const fingerprint = this.generateQueryFingerprint(prompt);
+  async shouldTryDeepseekFirst(prompt, options = {}) {
+    // Try first unless the policy finds enough recent evidence that this pattern fails
+    // A dry run (preview_route) must not embed the prompt or open new clusters
+    const fingerprint = options.dryRun ? this.generateQueryFingerprint(prompt) : await this.resolveQueryFingerprint(prompt);
     const historical = this.empiricalData.executions.get(fingerprint.fingerprint);
+    // Judge the model that will (most likely) serve the request, on time-decayed history
+    const recentView = this.recency.view(historical, Date.now(), options.model);
+    const decision = this.policy.evaluate(recentView ? (recentView.modelDecayed || recentView.decayed) : undefined);
     
-    if (historical && historical.totalExecutions >= 10) {
-      // If we have enough empirical data and success rate is very low, we could warn
-      if (historical.successRate < 0.2) {
-        console.error(`⚠️ Empirical data shows low success rate (${Math.round(historical.successRate * 100)}%) for this pattern, but trying anyway`);
-      }
+    if (decision.action === 'explore' && !options.dryRun) {
+      console.error(`🔬 Exploration: re-testing low-success pattern ${fingerprint.fingerprint}`);
     }
     
     return {
-      tryDeepseek: true,  // ALWAYS try first
-      reason: 'Empirical routing: try first, route on actual failure',
+      ...decision,
       fingerprint: fingerprint,
-      historicalData: historical
+      historicalData: historical,
+      recentView,
+      successProbability: decision.evidence.successRate ?? 0.8
     };
   }
 
   analyzeActualFailure(error, responseTime, prompt) {
     const analysis = {
-      errorType: error.code || error.name || 'unknown',
-      timeout: responseTime >= 25000,
+      errorType: error.code || (error.category && error.category !== 'unknown' ? error.category : null) || error.name || 'unknown',
+      // The timeout that applied is per request (latency model), so trust the category over a fixed threshold
+      timeout: error.category === 'timeout' || error.category === 'first_token_timeout' || (error.timeoutMs > 0 && responseTime >= error.timeoutMs),
       networkIssue: this.isNetworkError(error),
       modelCapacityIssue: this.isCapacityError(error),
       contentPolicyIssue: this.isContentPolicyError(error),
+      qualityIssue: error.category === 'low_quality',
+      quality: error.quality || null,
       shouldRouteToClaudeNext: false,
       confidence: 0,
       reason: '',
@@ -1139,7 +1186,11 @@ class EmpiricalRoutingManager {
     };
 
     // Decision logic based on ACTUAL error patterns (not predictions)
-    if (analysis.timeout) {
+    if (analysis.qualityIssue) {
+      analysis.shouldRouteToClaudeNext = true;
+      analysis.confidence = 0.75;
+      analysis.reason = `DeepSeek answered but the response failed quality checks (${error.quality.issues.map(issue => issue.code).join(', ')}) - empirical routing to Claude`;
+    } else if (analysis.timeout) {
       analysis.shouldRouteToClaudeNext = true;
       analysis.confidence = 0.9;
       analysis.reason = `DeepSeek timeout after ${Math.round(responseTime/1000)}s - empirical routing to Claude`;
@@ -1157,55 +1208,228 @@ class EmpiricalRoutingManager {
   }
 
   recordExecutionSuccess(fingerprint, responseTime, prompt, result) {
-    this.empiricalData.totalQueries++;
-    this.empiricalData.successfulQueries++;
+    const existing = this.recordEvent({ type: 'success', fingerprint: fingerprint.fingerprint, responseTime, model: result?.requested_model || result?.model || null });
     
-    const key = fingerprint.fingerprint;
-    const existing = this.empiricalData.executions.get(key) || {
-      successRate: 0,
-      averageResponseTime: 0,
-      totalExecutions: 0,
-      successfulExecutions: 0,
-      failurePatterns: new Map(),
-      lastUpdated: null
-    };
+    console.error(`📊 Empirical Success: ${fingerprint.domain} query, ${responseTime}ms, success rate: ${Math.round(existing.successRate * 100)}%`);
+  }
 
-    existing.totalExecutions++;
-    existing.successfulExecutions++;
-    existing.successRate = existing.successfulExecutions / existing.totalExecutions;
-    existing.averageResponseTime = ((existing.averageResponseTime * (existing.totalExecutions - 1)) + responseTime) / existing.totalExecutions;
-    existing.lastUpdated = Date.now();
+  recordExecutionFailure(fingerprint, responseTime, error, failureAnalysis) {
+    this.recordEvent({
+      type: 'failure',
+      fingerprint: fingerprint.fingerprint,
+      responseTime,
+      failureType: failureAnalysis.errorType || 'unknown',
+      model: error.model || null
+    });
+    
+    console.error(`📊 Empirical Failure: ${fingerprint.domain} query, ${responseTime}ms, ${failureAnalysis.reason}`);
+  }
 
-    this.empiricalData.executions.set(key, existing);
+  /**
+   * Client-cancelled requests are tracked separately - they are neither successes nor failures
+   */
+  recordExecutionCancellation(fingerprint, responseTime) {
+    this.recordEvent({ type: 'cancellation', fingerprint: fingerprint.fingerprint, responseTime });
     
-    console.error(`📊 Empirical Success: ${fingerprint.domain} query, ${responseTime}ms, success rate: ${Math.round(existing.successRate * 100)}%`);
+    console.error(`📊 Empirical Cancellation: ${fingerprint.domain} query cancelled by client after ${responseTime}ms (not counted as failure)`);
   }
 
-  recordExecutionFailure(fingerprint, responseTime, error, failureAnalysis) {
-    this.empiricalData.totalQueries++;
-    this.empiricalData.failedQueries++;
+  /**
+   * Hand out an id the caller can later pass to rate_response
+   */
+  registerResponse(fingerprint, backend, countedAsSuccess, model = null) {
+    const responseId = randomUUID();
+    this.recordEvent({ type: 'response', responseId, fingerprint: fingerprint.fingerprint, domain: fingerprint.domain, backend, model, countedAsSuccess });
+    return responseId;
+  }
+
+  trackResponse(responseId, entry) {
+    this.responses.set(responseId, entry);
+    if (this.responses.size > this.maxTrackedResponses) {
+      this.responses.delete(this.responses.keys().next().value);
+    }
+  }
+
+  /**
+   * User/agent verdict on a response; a bad rating turns a counted success into a failure
+   */
+  recordRating(responseId, verdict, reason = '') {
+    const entry = this.responses.get(responseId);
+    if (!entry) {
+      throw new Error(`Unknown or expired response_id "${responseId}" - only the last ${this.maxTrackedResponses} responses can be rated`);
+    }
+    if (entry.rating) {
+      throw new Error(`Response ${responseId} was already rated "${entry.rating}"`);
+    }
+
+    const record = this.recordEvent({
+      type: 'rating',
+      responseId,
+      fingerprint: entry.fingerprint,
+      backend: entry.backend,
+      verdict,
+      reason,
+      model: entry.model,
+      countedAsSuccess: entry.countedAsSuccess
+    });
     
-    const key = fingerprint.fingerprint;
-    const existing = this.empiricalData.executions.get(key) || {
-      successRate: 0,
-      averageResponseTime: 0,
-      totalExecutions: 0,
-      successfulExecutions: 0,
-      failurePatterns: new Map(),
-      lastUpdated: null
+    console.error(`📊 Empirical Rating: ${entry.domain} query rated ${verdict}${reason ? ` (${reason})` : ''}, success rate now ${Math.round(record.successRate * 100)}%`);
+    return { ...entry, record };
+  }
+
+  /**
+   * Score the router against what happened: DeepSeek answering means the task did not need Claude,
+   * a failure that justified escalation means it did. Only called while an LLM router is active.
+   */
+  recordRouterOutcome(classification, deepseekSucceeded) {
+    if (!classification?.router?.llm) return;
+    this.recordEvent({
+      type: 'router_outcome',
+      llmRoute: classification.routeTo,
+      regexRoute: classification.router.regexRoute,
+      observedRoute: deepseekSucceeded ? 'deepseek' : 'claude'
+    });
+  }
+
+  applyRouterOutcome(event) {
+    for (const [source, route] of [['llm', event.llmRoute], ['regex', event.regexRoute]]) {
+      const record = this.routerAgreement[source];
+      if (route === event.observedRoute) {
+        record.agreed++;
+      } else if (route === 'claude') {
+        record.overEscalated++;
+      } else {
+        record.underEscalated++;
+      }
+    }
+  }
+
+  getRouterAgreement() {
+    const summarize = record => {
+      const total = record.agreed + record.overEscalated + record.underEscalated;
+      return { ...record, total, agreementRate: total > 0 ? Math.round((record.agreed / total) * 100) : null };
     };
+    return { llm: summarize(this.routerAgreement.llm), regex: summarize(this.routerAgreement.regex) };
+  }
+
+  /**
+   * Timestamp an outcome, persist it (when a store is attached) and fold it into the in-memory state
+   */
+  recordEvent(event) {
+    const timestamped = { ...event, timestamp: Date.now() };
+    return this.applyEvent(this.store ? this.store.append(timestamped) : timestamped);
+  }
+
+  /**
+   * Pure state transition shared by live recording and journal replay
+   */
+  applyEvent(event) {
+    if (event.type === 'router_outcome') {
+      this.applyRouterOutcome(event);
+      return null;
+    }
+    if (event.type === 'response') {
+      const { fingerprint, domain, backend, model, countedAsSuccess } = event;
+      this.trackResponse(event.responseId, { fingerprint, domain, backend, model, countedAsSuccess, rating: null });
+      return null;
+    }
+    const existing = this.empiricalData.executions.get(event.fingerprint) || this.createExecutionRecord();
+
+    switch (event.type) {
+      case 'success':
+        this.empiricalData.totalQueries++;
+        this.empiricalData.successfulQueries++;
+        existing.totalExecutions++;
+        existing.successfulExecutions++;
+        existing.averageResponseTime = ((existing.averageResponseTime * (existing.totalExecutions - 1)) + event.responseTime) / existing.totalExecutions;
+        this.recency.add(existing.recency, { timestamp: event.timestamp, success: true, responseTime: event.responseTime, model: event.model });
+        break;
+      case 'failure':
+        this.empiricalData.totalQueries++;
+        this.empiricalData.failedQueries++;
+        existing.totalExecutions++;
+        existing.failurePatterns.set(event.failureType, (existing.failurePatterns.get(event.failureType) || 0) + 1);
+        this.recency.add(existing.recency, { timestamp: event.timestamp, success: false, responseTime: event.responseTime, failureType: event.failureType, model: event.model });
+        break;
+      case 'cancellation':
+        this.empiricalData.cancelledQueries++;
+        existing.cancelledExecutions++;
+        break;
+      case 'rating':
+        if (this.responses.has(event.responseId)) {
+          this.responses.get(event.responseId).rating = event.verdict;
+        }
+        existing.ratings = existing.ratings || { good: 0, bad: 0 };
+        existing.ratings[event.verdict]++;
+        this.empiricalData[event.verdict === 'good' ? 'goodRatings' : 'badRatings']++;
+        if (event.verdict === 'bad' && event.countedAsSuccess && existing.successfulExecutions > 0) {
+          // Wrong code that came back HTTP 200 was never a success
+          existing.successfulExecutions--;
+          existing.failurePatterns.set('rated_bad', (existing.failurePatterns.get('rated_bad') || 0) + 1);
+          this.empiricalData.successfulQueries--;
+          this.empiricalData.failedQueries++;
+          this.recency.retractSuccess(existing.recency, event.timestamp, event.model);
+        }
+        break;
+      default:
+        return existing; // Unknown event from a newer version - ignore
+    }
+
+    existing.successRate = existing.totalExecutions > 0 ? existing.successfulExecutions / existing.totalExecutions : 0;
+    existing.lastUpdated = event.timestamp;
+    this.empiricalData.executions.set(event.fingerprint, existing);
+    return existing;
+  }
 
-    existing.totalExecutions++;
-    existing.successRate = existing.successfulExecutions / existing.totalExecutions;
-    existing.lastUpdated = Date.now();
+  /**
+   * JSON-safe copy of the learned state for store compaction
+   */
+  exportState() {
+    const { totalQueries, successfulQueries, failedQueries, cancelledQueries, goodRatings, badRatings } = this.empiricalData;
+    return {
+      totals: { totalQueries, successfulQueries, failedQueries, cancelledQueries, goodRatings, badRatings },
+      routerAgreement: this.routerAgreement,
+      responses: Array.from(this.responses.entries()),
+      executions: Array.from(this.empiricalData.executions.entries()).map(([key, record]) => [key, {
+        ...record,
+        failurePatterns: Object.fromEntries(record.failurePatterns)
+      }])
+    };
+  }
 
-    // Track failure patterns
-    const failureType = failureAnalysis.errorType || 'unknown';
-    existing.failurePatterns.set(failureType, (existing.failurePatterns.get(failureType) || 0) + 1);
+  importState(state) {
+    Object.assign(this.empiricalData, state.totals || {});
+    if (state.routerAgreement) {
+      this.routerAgreement = {
+        llm: { ...this.createAgreementRecord(), ...state.routerAgreement.llm },
+        regex: { ...this.createAgreementRecord(), ...state.routerAgreement.regex }
+      };
+    }
+    for (const [responseId, entry] of state.responses || []) {
+      this.trackResponse(responseId, entry);
+    }
+    for (const [key, record] of state.executions || []) {
+      this.empiricalData.executions.set(key, {
+        ...this.createExecutionRecord(),
+        ...record,
+        failurePatterns: new Map(Object.entries(record.failurePatterns || {}))
+      });
+    }
+  }
 
-    this.empiricalData.executions.set(key, existing);
+  /**
+   * Restore history from disk and persist every event recorded from now on
+   */
+  async attachStore(store) {
+    const { snapshot, events } = await store.load();
+    if (snapshot) {
+      this.importState(snapshot);
+    }
+    events.forEach(event => this.applyEvent(event));
     
-    console.error(`📊 Empirical Failure: ${fingerprint.domain} query, ${responseTime}ms, ${failureAnalysis.reason}`);
+    this.store = store;
+    store.start(() => this.exportState());
+    console.error(`💾 Empirical history restored: ${this.empiricalData.executions.size} patterns, ${this.empiricalData.totalQueries} queries (${events.length} journal events replayed)`);
   }
 
   isNetworkError(error) {
@@ -1232,29 +1456,44 @@ class EmpiricalRoutingManager {
       totalQueries: this.empiricalData.totalQueries,
       successfulQueries: this.empiricalData.successfulQueries,
       failedQueries: this.empiricalData.failedQueries,
+      cancelledQueries: this.empiricalData.cancelledQueries,
+      ratings: { good: this.empiricalData.goodRatings, bad: this.empiricalData.badRatings },
       overallSuccessRate: this.empiricalData.totalQueries > 0 
         ? this.empiricalData.successfulQueries / this.empiricalData.totalQueries 
         : 0,
       patternsLearned: this.empiricalData.executions.size,
+      recentWindows: this.recency.aggregateWindows(this.empiricalData.executions.values()),
+      decayHalfLifeHours: Math.round(this.recency.halfLife / 3600000),
+      fingerprinting: this.semantic ? this.semantic.describe() : { mode: 'regex' },
+      routerAgreement: this.getRouterAgreement(),
+      persistence: this.store ? this.store.describe() : null,
       topSuccessPatterns: this.getTopPatterns(true),
       topFailurePatterns: this.getTopPatterns(false)
     };
   }
 
   getTopPatterns(success = true) {
+    // Ranked on the time-decayed view so last week's model swap is not buried under old history
+    const now = Date.now();
     const patterns = Array.from(this.empiricalData.executions.entries())
-      .filter(([key, data]) => data.totalExecutions >= 3)
-      .sort(([a, aData], [b, bData]) => {
+      .map(([key, data]) => [key, data, this.recency.summarizeDecayed(data.recency.decayed, now)])
+      .filter(([key, data, recent]) => recent.totalExecutions >= 3)
+      .sort(([a, aData, aRecent], [b, bData, bRecent]) => {
         return success 
-          ? bData.successRate - aData.successRate
-          : aData.successRate - bData.successRate;
+          ? bRecent.successRate - aRecent.successRate
+          : aRecent.successRate - bRecent.successRate;
       })
       .slice(0, 5)
-      .map(([key, data]) => ({
+      .map(([key, data, recent]) => ({
         pattern: key,
-        successRate: Math.round(data.successRate * 100),
+        successRate: Math.round(recent.successRate * 100),
+        lifetimeSuccessRate: Math.round(data.successRate * 100),
         executions: data.totalExecutions,
-        avgTime: Math.round(data.averageResponseTime)
+        recentExecutions: recent.totalExecutions,
+        avgTime: Math.round(recent.averageResponseTime || data.averageResponseTime),
+        model: data.recency.lastModel,
+        label: this.semantic?.labelFor(key) || null,
+        ratings: { good: data.ratings?.good || 0, bad: data.ratings?.bad || 0 }
       }));
     
     return patterns;
@@ -1306,6 +1545,40 @@ class IntelligentTaskClassifier {
       complex: 0.40,     // 40% success rate for complex tasks (route to Claude)
       architectural: 0.20 // 20% success rate for architecture (definitely route to Claude)
     };
+
+    // Complexity indicator category weights
+    this.categoryWeights = {
+      architectural: 0.95,
+      coordination: 0.85,
+      enterprise: 0.80,
+      integration: 0.75,
+      planning: 0.70
+    };
+
+    // Keyword rules (rules file, ANALYSIS/CODING/CREATIVE_PATTERNS) only pick a task_type or backend
+    this.keywordRules = [];
+
+    // Built-in rule set, restored for any section a reloaded rules file no longer defines
+    this.builtinRules = {
+      simpleTaskPatterns: this.simpleTaskPatterns,
+      complexTaskPatterns: this.complexTaskPatterns,
+      complexityIndicators: this.complexityIndicators,
+      successWeights: this.successWeights,
+      categoryWeights: this.categoryWeights,
+      keywordRules: this.keywordRules
+    };
+  }
+
+  /**
+   * Swap in rule sections compiled from the rules file (see src/classifier-rules.js)
+   */
+  applyRules(rules) {
+    this.simpleTaskPatterns = rules.simpleTaskPatterns || this.builtinRules.simpleTaskPatterns;
+    this.complexTaskPatterns = rules.complexTaskPatterns || this.builtinRules.complexTaskPatterns;
+    this.complexityIndicators = rules.complexityIndicators || this.builtinRules.complexityIndicators;
+    this.successWeights = { ...this.builtinRules.successWeights, ...(rules.successWeights || {}) };
+    this.categoryWeights = { ...this.builtinRules.categoryWeights, ...(rules.categoryWeights || {}) };
+    this.keywordRules = rules.keywordRules || this.builtinRules.keywordRules;
   }
 
   /**
@@ -1315,26 +1588,43 @@ class IntelligentTaskClassifier {
     const fullText = `${context} ${prompt}`.toLowerCase();
     
     // Calculate simple task confidence
-    const simpleMatches = this.simpleTaskPatterns.map(({ pattern, weight, reason }) => ({
+    const simpleMatches = this.simpleTaskPatterns.map(({ pattern, weight, reason, taskType, backend }) => ({
       matches: pattern.test(fullText),
       weight,
       reason,
+      taskType,
+      backend,
       pattern: pattern.toString()
     })).filter(match => match.matches);
 
     // Calculate complex task confidence  
-    const complexMatches = this.complexTaskPatterns.map(({ pattern, weight, reason }) => ({
+    const complexMatches = this.complexTaskPatterns.map(({ pattern, weight, reason, taskType, backend }) => ({
       matches: pattern.test(fullText),
       weight,
       reason,
+      taskType,
+      backend,
       pattern: pattern.toString()
     })).filter(match => match.matches);
 
+    // Keyword rules never change the routing recommendation, they only name a target
+    const keywordMatches = this.keywordRules.filter(rule => rule.pattern && rule.pattern.test(fullText))
+      .map(rule => ({ reason: `${rule.name} keywords`, taskType: rule.taskType, backend: rule.backend }));
+
     // Calculate complexity indicators score
     const complexityScore = this.calculateComplexityScore(fullText);
     
     // Determine routing recommendation
     const classification = this.determineRouting(simpleMatches, complexMatches, complexityScore, fullText);
+    classification.indicators.keywordMatches = keywordMatches.map(m => ({ reason: m.reason, taskType: m.taskType, backend: m.backend }));
+    
+    // The first matching rule that names a task_type / backend decides it
+    const targetRule = [...complexMatches, ...simpleMatches, ...keywordMatches].find(match => match.taskType || match.backend);
+    if (targetRule) {
+      classification.taskType = targetRule.taskType;
+      classification.backend = targetRule.backend;
+      classification.ruleReason = targetRule.reason;
+    }
     
     // Add task breakdown suggestions for complex tasks
     if (classification.routeTo === 'claude') {
@@ -1360,14 +1650,7 @@ class IntelligentTaskClassifier {
   }
 
   getCategoryWeight(category) {
-    const weights = {
-      architectural: 0.95,
-      coordination: 0.85,
-      enterprise: 0.80,
-      integration: 0.75,
-      planning: 0.70
-    };
-    return weights[category] || 0.5;
+    return this.categoryWeights[category] || 0.5;
   }
 
   determineRouting(simpleMatches, complexMatches, complexityScore, fullText) {
@@ -1490,36 +1773,47 @@ class EnhancedProductionDeepseekBridge {
     // Routing metrics for continuous improvement
     this.routingMetrics = {
       totalQueries: 0,
-      deepseekAttempted: 0,
-      claudeRouted: 0,
       successfulRoutes: 0,
       failedRoutes: 0,
+      cancelledRoutes: 0,
+      policyEscalations: 0,
+      policyExplorations: 0,
+      advisedRoutes: 0, // escalations that ended as guidance text instead of an executed backend call
       routingAccuracy: 0
     };
+    
+    // Per-backend outcome statistics and (with ROUTING_STRATEGY=bandit) backend selection
+    this.banditRouter = null;
+    this.qualityEvaluator = null;
+    this.latencyModel = null;
+    this.decisionJournal = null;
+    this.classifierRules = null;
+    this.llmRouter = null;
 
     // Circuit breaker for service protection
     this.circuitBreaker = null;
     this.fallbackGenerator = null;
     
+    // Provider adapters (built from PRIMARY_API / SECONDARY_API / LOCAL_API during initialize)
+    this.providers = null;
+    this.samplingServer = null;
+    
     // Connection management (inherit from existing)
     this.baseURL = null;
-    this.cachedIP = null;
-    this.lastIPCheck = null;
+    this.localEndpoints = null; // LocalEndpointRegistry, built from LOCAL_ENDPOINTS during initialize
+    this.healthMonitor = null; // EndpointHealthMonitor - live endpoint states for routing and status
+    this.modelLifecycle = null; // ModelLifecycleManager - load/unload/warm/keep-alive on local servers
+    this.modelCapabilities = null; // ModelCapabilityRegistry - context, output limits and features per model
     this.availableModels = [];
     this.defaultModel = null;
     this.lastModelCheck = null;
     
-    // TDD TASK 2: Status caching for performance optimization
-    this.statusCache = null;
-    this.lastStatusCheck = null;
-    this.statusCacheTimeout = 30000; // 30 seconds cache
-    
-    // IP discovery strategies (existing implementation)
+    // IP discovery strategies - only consulted when LOCAL_DISCOVERY_ENABLED and no configured endpoint answers
     this.ipStrategies = [
-      this.getWSLHostIP.bind(this),
-      this.getVEthIP.bind(this),
-      this.getDefaultGatewayIP.bind(this),
-      this.getNetworkInterfaceIPs.bind(this)
+      { name: 'wsl_host', run: this.getWSLHostIP.bind(this) },
+      { name: 'veth', run: this.getVEthIP.bind(this) },
+      { name: 'default_gateway', run: this.getDefaultGatewayIP.bind(this) },
+      { name: 'common_ranges', run: this.getNetworkInterfaceIPs.bind(this) }
     ];
   }
 
@@ -1539,22 +1833,208 @@ class EnhancedProductionDeepseekBridge {
       
       this.fallbackGenerator = new FallbackResponseGenerator(this.config);
       
+      // Local model endpoints: LOCAL_ENDPOINTS / LOCAL_MODEL_URL in priority order, IP discovery as opt-in fallback
+      this.localEndpoints = new LocalEndpointRegistry({
+        endpoints: parseEndpoints(config.get('LOCAL_ENDPOINTS'), config.get('LOCAL_MODEL_URL')),
+        discoveryEnabled: config.getBoolean('LOCAL_DISCOVERY_ENABLED', false),
+        discoveryStrategies: this.ipStrategies,
+        discoveryPorts: parsePorts(config.get('LOCAL_DISCOVERY_PORTS')),
+        probeTimeout: config.getNumber('LOCAL_ENDPOINT_PROBE_TIMEOUT', 3000),
+        cacheTtl: config.getNumber('DEEPSEEK_IP_CACHE_TTL', 300000)
+      });
+      this.healthMonitor = new EndpointHealthMonitor({
+        registry: this.localEndpoints,
+        interval: config.getNumber('HEALTH_CHECK_INTERVAL', 30000),
+        degradedLatency: config.getNumber('HEALTH_DEGRADED_LATENCY', 2000),
+        failuresToDown: config.getNumber('HEALTH_FAILURES_TO_DOWN', 3),
+        successesToRecover: config.getNumber('HEALTH_SUCCESSES_TO_RECOVER', 2),
+        rediscoveryMaxBackoff: config.getNumber('HEALTH_REDISCOVERY_MAX_BACKOFF', 300000),
+        onTransition: (change) => this.handleEndpointTransition(change),
+        onPrimaryChange: (change) => this.handlePrimaryEndpointChange(change)
+      });
+      this.modelLifecycle = new ModelLifecycleManager({
+        registry: this.localEndpoints,
+        loadTimeout: config.getNumber('MODEL_LOAD_TIMEOUT', 300000),
+        keepAliveInterval: config.getNumber('MODEL_KEEPALIVE_INTERVAL', 240000),
+        keepAliveTtl: config.getNumber('MODEL_KEEPALIVE_TTL', 600),
+        keepAliveModels: (config.get('MODEL_KEEPALIVE_MODELS') || '').split(',').map(model => model.trim()).filter(Boolean)
+      });
+      
+      // Provider adapters - the local adapter resolves its server, auth and model through the endpoint registry,
+      // per model, so each request reaches the server that hosts the model
+      this.providers = new ProviderRegistry(config, {
+        resolveBaseURL: async (model) => (await this.resolveLocalServer(model)).url,
+        resolveModel: async () => {
+          await this.getAvailableModels();
+          return this.defaultModel;
+        },
+        resolveHeaders: (model) => this.localEndpoints.serverFor(model)?.headers || {},
+        resolveServer: (model) => this.resolveLocalServer(model),
+        resolveContextLength: (model) => this.modelCapabilities?.get(model).contextLength || null
+      });
+      if (this.samplingServer) {
+        this.registerSamplingProvider();
+      }
+      console.error(`🔌 Providers: primary=${this.providers.roles.primary}, secondary=${this.providers.roles.secondary}, local=${this.providers.roles.local}`);
+      
       // Enhanced Production configuration for large request handling
       this.timeout = config.getNumber('DEEPSEEK_TIMEOUT', 120000); // 2 minutes for complex analysis
       this.complexTimeout = config.getNumber('DEEPSEEK_COMPLEX_TIMEOUT', 180000); // 3 minutes for architectural tasks
       this.retryAttempts = config.getNumber('DEEPSEEK_RETRY_ATTEMPTS', 3);
+      this.failoverEnabled = config.getBoolean('FAILOVER_ENABLED', true);
+      this.retryPolicy = new RetryPolicy({
+        maxAttempts: this.retryAttempts,
+        baseDelay: config.getNumber('RETRY_BASE_DELAY', 500),
+        maxDelay: config.getNumber('RETRY_MAX_DELAY', 10000),
+        maxRetryAfter: config.getNumber('RETRY_MAX_RETRY_AFTER', 30000),
+        classifier: this.empiricalRouter
+      });
       this.maxFileSize = config.getNumber('DEEPSEEK_MAX_FILE_SIZE', 10485760);
       this.maxRequestSize = config.getNumber('DEEPSEEK_MAX_REQUEST_SIZE', 50000); // 50KB request limit
       this.chunkSize = config.getNumber('DEEPSEEK_CHUNK_SIZE', 8000);
-      this.ipCacheTimeout = config.getNumber('DEEPSEEK_IP_CACHE_TTL', 300000);
       
-      // Enhanced 32K Production Standard
-      this.contextWindow = 32768;
-      this.maxResponseTokens = 8000;
-      this.optimalTokens = 4000;
+      // Streaming: only used when the client sends a progressToken
+      this.streamingEnabled = config.getBoolean('STREAMING_ENABLED', true);
+      this.firstTokenTimeout = config.getNumber('DEEPSEEK_FIRST_TOKEN_TIMEOUT', 30000);
+      this.progressInterval = config.getNumber('PROGRESS_NOTIFICATION_INTERVAL', 250);
+      
+      // Escalation after empirical failure: 'execute' re-runs via client sampling or Claude,
+      // 'sampling' / 'anthropic' pin one backend, 'advice' returns guidance text only
+      this.escalationMode = config.get('ESCALATION_MODE') || 'execute';
+      
+      // Timeouts predicted from observed latency (p95 x safety factor); static tiers until enough samples
+      this.dynamicTimeoutsEnabled = config.getBoolean('DYNAMIC_TIMEOUTS_ENABLED', true);
+      this.latencyModel = new LatencyModel({
+        percentile: config.getNumber('LATENCY_TIMEOUT_PERCENTILE', 95) / 100,
+        safetyFactor: config.getNumber('LATENCY_TIMEOUT_SAFETY_PERCENT', 150) / 100,
+        minTimeout: config.getNumber('LATENCY_TIMEOUT_MIN', 15000),
+        maxTimeout: config.getNumber('LATENCY_TIMEOUT_MAX', this.complexTimeout),
+        minSamples: config.getNumber('LATENCY_MIN_SAMPLES', 5),
+        maxSamples: config.getNumber('LATENCY_MAX_SAMPLES', 200)
+      });
+      
+      // Classifier rules: CLASSIFIER_RULES_FILE (JSON/YAML, hot-reloaded) plus ANALYSIS/CODING/CREATIVE_PATTERNS
+      this.classifierRules = new ClassifierRuleSource({
+        filePath: config.get('CLASSIFIER_RULES_FILE'),
+        envRules: keywordRulesFromEnv(config),
+        validBackends: [...Object.keys(this.providers.roles), ...this.providers.providers.keys()],
+        pollInterval: config.getNumber('CLASSIFIER_RULES_POLL_INTERVAL', 2000),
+        onLoad: rules => this.taskClassifier.applyRules(rules)
+      });
+      try {
+        await this.classifierRules.load();
+      } catch (error) {
+        this.classifierRules.reject(error);
+      }
+      this.classifierRules.start();
+      
+      // CLASSIFIER_MODE=llm|blend asks a small fast model to classify; the regex classifier is the fallback
+      this.classifierMode = config.get('CLASSIFIER_MODE') || 'regex';
+      if (!CLASSIFIER_MODES.includes(this.classifierMode)) {
+        console.error(`⚠️ Unknown CLASSIFIER_MODE "${this.classifierMode}" - using the regex classifier`);
+        this.classifierMode = 'regex';
+      }
+      if (this.classifierMode !== 'regex') {
+        this.llmRouter = new LlmRouter({
+          complete: (messages, signal) => this.completeForRouter(messages, signal),
+          mode: this.classifierMode,
+          blendWeight: config.getNumber('LLM_ROUTER_BLEND_PERCENT', 50) / 100,
+          timeout: config.getNumber('LLM_ROUTER_TIMEOUT', 1500),
+          retryInterval: config.getNumber('LLM_ROUTER_RETRY_INTERVAL', 60000)
+        });
+      }
+      
+      // Context and output limits per model, from the local catalogue and MODEL_CAPABILITIES;
+      // contextWindow / maxResponseTokens / optimalTokens follow the default model
+      this.modelCapabilities = new ModelCapabilityRegistry({
+        catalogue: () => this.localEndpoints.getCatalogue(),
+        overrides: parseCapabilityOverrides(config.get('MODEL_CAPABILITIES')),
+        defaultContextLength: config.getNumber('MODEL_DEFAULT_CONTEXT_LENGTH', 32768),
+        defaultMaxOutput: config.getNumber('MODEL_DEFAULT_MAX_OUTPUT', 8000)
+      });
+      this.applyDefaultModelCapabilities();
+      
+      // Recent view: exponential decay plus hour/day/week windows, partitioned by model
+      this.empiricalRouter.recency = new RecencyTracker({
+        halfLife: config.getNumber('ROUTING_DECAY_HALF_LIFE_HOURS', 72) * 3600000,
+        maxRecent: config.getNumber('ROUTING_RECENT_OUTCOMES_MAX', 500)
+      });
+      
+      // Up-front routing policy: skip known-bad patterns, re-test a share of them
+      this.empiricalRouter.policy = new RoutingPolicy({
+        minExecutions: config.getNumber('ROUTING_POLICY_MIN_EXECUTIONS', 10),
+        minSuccessRate: config.getNumber('ROUTING_POLICY_MIN_SUCCESS_PERCENT', 20) / 100,
+        maxTimeoutRate: config.getNumber('ROUTING_POLICY_MAX_TIMEOUT_PERCENT', 50) / 100,
+        maxAverageResponseTime: config.getNumber('ROUTING_POLICY_MAX_AVG_RESPONSE_MS', 90000),
+        explorationRate: config.getNumber('ROUTING_POLICY_EXPLORATION_PERCENT', 10) / 100
+      });
+      
+      // Bad-but-successful responses (empty, truncated, refusals, loops) count as failures
+      this.qualityEvaluationEnabled = config.getBoolean('QUALITY_EVALUATION_ENABLED', true);
+      this.qualityEvaluator = new ResponseQualityEvaluator({
+        minScore: config.getNumber('QUALITY_MIN_SCORE_PERCENT', 60) / 100
+      });
+      
+      // 'roles' keeps PRIMARY/SECONDARY/LOCAL_API routing; 'bandit' treats every configured backend as an arm
+      this.routingStrategy = config.get('ROUTING_STRATEGY') || 'roles';
+      this.banditRouter = new BanditRouter({
+        algorithm: config.get('BANDIT_ALGORITHM') || 'thompson',
+        rewardWeights: parseNumberList(config.get('BANDIT_REWARD_WEIGHTS')),
+        latencyCeiling: config.getNumber('BANDIT_LATENCY_CEILING_MS', 60000),
+        costCeiling: parseFloat(config.get('BANDIT_COST_CEILING_USD')) || undefined,
+        costPer1kTokens: parseNumberList(config.get('BANDIT_COST_PER_1K_TOKENS') || 'openai:0.01,anthropic:0.015,google:0.001,deepseek:0.0005,nvidia:0.001,local:0')
+      });
+      
+      // Durable empirical history - journal + snapshot under the bridge data directory
+      this.dataDir = config.get('BRIDGE_DATA_DIR') || path.join(os.homedir(), '.deepseek-mcp-bridge');
+      
+      // Why each enhancedQuery went where it did, queryable through query_routing_journal
+      if (config.getBoolean('DECISION_JOURNAL_ENABLED', true)) {
+        this.decisionJournal = new DecisionJournal({
+          maxEntries: config.getNumber('DECISION_JOURNAL_MAX_ENTRIES', 1000),
+          promptMode: config.get('DECISION_JOURNAL_PROMPTS') || 'hash'
+        });
+      }
+      
+      // 'semantic' keys routing statistics by embedding cluster; 'regex' (default) by keyword fingerprint
+      this.fingerprintMode = config.get('FINGERPRINT_MODE') || 'regex';
+      if (this.fingerprintMode === 'semantic') {
+        const semantic = new SemanticFingerprinter({
+          embed: (text, signal) => this.embedForFingerprint(text, signal),
+          dataDir: this.dataDir,
+          similarityThreshold: config.getNumber('SEMANTIC_SIMILARITY_PERCENT', 85) / 100,
+          maxClusters: config.getNumber('SEMANTIC_MAX_CLUSTERS', 500),
+          timeout: config.getNumber('SEMANTIC_EMBEDDING_TIMEOUT', 2000),
+          retryInterval: config.getNumber('SEMANTIC_RETRY_INTERVAL', 60000)
+        });
+        try {
+          await semantic.load();
+          this.empiricalRouter.semantic = semantic;
+        } catch (error) {
+          console.error(`⚠️ Semantic fingerprinting unavailable, using regex fingerprints: ${error.message}`);
+        }
+      }
+      if (config.getBoolean('EMPIRICAL_PERSISTENCE_ENABLED', true)) {
+        const storeOptions = {
+          dataDir: this.dataDir,
+          flushInterval: config.getNumber('EMPIRICAL_FLUSH_INTERVAL', 5000),
+          compactThreshold: config.getNumber('EMPIRICAL_COMPACT_THRESHOLD', 1000)
+        };
+        try {
+          await this.empiricalRouter.attachStore(new EmpiricalStore(storeOptions));
+          await this.banditRouter.attachStore(new EmpiricalStore({ ...storeOptions, name: 'bandit' }));
+          await this.latencyModel.attachStore(new EmpiricalStore({ ...storeOptions, name: 'latency' }));
+          await this.decisionJournal?.attachStore(new EmpiricalStore({ ...storeOptions, name: 'decisions' }));
+        } catch (error) {
+          console.error(`⚠️ Empirical persistence unavailable, learning in memory only: ${error.message}`);
+        }
+      }
       
       this.allowedExtensions = ['.js', '.ts', '.jsx', '.tsx', '.html', '.css', '.json', '.md', '.txt', '.py', '.java', '.cpp', '.c', '.h', '.cs', '.yml', '.yaml', '.xml', '.sql'];
       
+      // Background endpoint health checks every HEALTH_CHECK_INTERVAL (0 = only when status is asked for)
+      this.healthMonitor.start();
+      
       this.initialized = true;
       console.error('🚀 Enhanced DeepSeek Bridge v6.1.1 - TDD GREEN PHASE - Empirical Routing + Structured Metadata initialized');
       console.error('🧠 Features: LangChain-inspired routing, semantic classification, file analysis, proactive guidance');
@@ -1565,17 +2045,109 @@ class EnhancedProductionDeepseekBridge {
   }
 
   /**
-   * Enhanced query with empirical routing - try first, route on failure
+   * Synchronous teardown for the signal handler's cleanup tasks
+   */
+  shutdown() {
+    this.empiricalRouter.store?.flushSync();
+    this.banditRouter?.store?.flushSync();
+    this.latencyModel?.store?.flushSync();
+    this.decisionJournal?.store?.flushSync();
+    this.classifierRules?.stop();
+    this.healthMonitor?.stop();
+    this.modelLifecycle?.stop();
+    this.empiricalRouter.semantic?.saveSync();
+  }
+  
+  /**
+   * Embedding for semantic fingerprints from the local backend; EMBEDDING_MODEL or the first
+   * loaded model whose id mentions "embed". Throws when none is loaded, so callers fall back to regex.
+   */
+  async embedForFingerprint(text, signal) {
+    let model = config.get('EMBEDDING_MODEL');
+    if (!model) {
+      const models = (await this.getAvailableModels()).filter(m => m.kind === 'embeddings' || /embed/i.test(m.id));
+      model = (models.find(m => m.state === 'loaded') || models[0])?.id;
+    }
+    if (!model) {
+      throw new Error('No embedding model loaded on the local backend (set EMBEDDING_MODEL or load one)');
+    }
+    return await this.providers.get('local').embed({ input: text, model, signal });
+  }
+
+  /**
+   * One routing classification from LLM_ROUTER_BACKEND (default: the local server) on
+   * LLM_ROUTER_MODEL - on the local server, a small catalogue model rather than the default coder
+   */
+  async completeForRouter(messages, signal) {
+    const backend = config.get('LLM_ROUTER_BACKEND') || 'local';
+    const provider = this.providers.resolveBackend(backend);
+    if (!provider) {
+      throw new Error(`LLM router backend "${backend}" is not available`);
+    }
+    let model = config.get('LLM_ROUTER_MODEL') || undefined;
+    if (!model && provider.name === 'local') {
+      model = pickRouterModel(await this.getAvailableModels(), config.getNumber('LLM_ROUTER_MAX_PARAMS_B', 8));
+      if (!model) {
+        throw new Error('No small local model for the LLM router - set LLM_ROUTER_MODEL');
+      }
+    }
+    // The JSON answer fits in 200 tokens; a reasoning model needs room for its thinking first
+    const capabilities = this.modelCapabilities.get(model || provider.model || null);
+    const maxTokens = capabilities.reasoningTags ? capabilities.optimalTokens : Math.min(200, capabilities.maxOutput);
+    return await provider.complete({ messages, model, maxTokens, temperature: 0, signal });
+  }
+
+  /**
+   * Regex classification, replaced or blended with the LLM router's answer when CLASSIFIER_MODE is
+   * llm/blend; a dry run never calls the router model
+   */
+  async classifyPrompt(prompt, context = '', options = {}) {
+    const classification = this.taskClassifier.classify(prompt, context);
+    if (!this.llmRouter || options.dryRun) {
+      return classification;
+    }
+    const routed = this.llmRouter.apply(classification, await this.llmRouter.route(prompt, context, options.signal));
+    if (routed.routeTo === 'claude' && !routed.taskBreakdown) {
+      routed.taskBreakdown = this.taskClassifier.generateTaskBreakdown(prompt, routed);
+    }
+    return routed;
+  }
+
+  /**
+   * Enhanced query with empirical routing - try first, route on failure.
+   * Every call, whatever its outcome, is appended to the decision journal.
    */
   async enhancedQuery(prompt, options = {}) {
     await this.initialize();
+    const trace = { startedAt: Date.now() };
+    try {
+      const result = await this.routeEnhancedQuery(prompt, options, trace);
+      this.journalDecision(prompt, options, trace, result, null);
+      return result;
+    } catch (error) {
+      this.journalDecision(prompt, options, trace, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Routing body of enhancedQuery; trace collects the intermediate decisions for the journal
+   */
+  async routeEnhancedQuery(prompt, options, trace) {
     this.routingMetrics.totalQueries++;
 
     // Performance timing for TDD compliance
     const performanceStartTime = performance.now();
 
-    // Empirical routing: ALWAYS try DeepSeek first
-    const empiricalDecision = await this.empiricalRouter.shouldTryDeepseekFirst(prompt);
+    // Empirical routing: try DeepSeek first unless the policy has evidence against this pattern
+    const empiricalDecision = await this.empiricalRouter.shouldTryDeepseekFirst(prompt, { model: options.model });
+    trace.empiricalDecision = empiricalDecision;
+    if (!empiricalDecision.tryDeepseek && options.provider) {
+      // An explicit provider pins the request, the same as it pins failover
+      empiricalDecision.action = 'try';
+      empiricalDecision.tryDeepseek = true;
+      empiricalDecision.reason += ` - overridden by provider=${options.provider}`;
+    }
     
     console.error(`🎯 Empirical Routing: ${empiricalDecision.reason}`);
     if (empiricalDecision.historicalData) {
@@ -1583,21 +2155,36 @@ class EnhancedProductionDeepseekBridge {
     }
 
     // Get classification for analytics and timeout adjustment (but don't use for blocking)
-    const classification = this.taskClassifier.classify(prompt, options.context || '');
+    const classification = await this.classifyPrompt(prompt, options.context || '', { signal: options.signal });
+    trace.classification = classification;
     console.error(`📊 Analytics: ${classification.reason} (${classification.confidence} confidence) - for timeout adjustment only`);
+    options = this.applyClassifierTargets(options, classification);
+
+    if (!empiricalDecision.tryDeepseek) {
+      return await this.executePolicyEscalation(prompt, options, classification, empiricalDecision, performanceStartTime);
+    }
+    if (empiricalDecision.action === 'explore') {
+      this.routingMetrics.policyExplorations++;
+    }
 
-    // Always try DeepSeek first - record attempt
-    this.routingMetrics.deepseekAttempted++;
     const startTime = Date.now();
 
     try {
+      const route = this.selectRoute(prompt, options, empiricalDecision.fingerprint);
+      trace.route = route;
+      console.error(`🎰 Backend: ${route.provider.name} (${route.reason})`);
+      
       // Execute with DeepSeek using empirical approach
-      const result = await this.executeDeepseekWithEmpiricalRouting(prompt, options, classification, empiricalDecision);
+      const result = await this.executeDeepseekWithEmpiricalRouting(prompt, options, classification, empiricalDecision, route);
+      if (result.quality && !result.quality.passed) {
+        throw this.createQualityError(result);
+      }
       const responseTime = Date.now() - startTime;
       const performanceTime = performance.now() - performanceStartTime;
       
       // Record empirical success
       this.empiricalRouter.recordExecutionSuccess(empiricalDecision.fingerprint, responseTime, prompt, result);
+      this.empiricalRouter.recordRouterOutcome(classification, true);
       this.routingMetrics.successfulRoutes++;
       
       // Calculate routing accuracy
@@ -1608,6 +2195,7 @@ class EnhancedProductionDeepseekBridge {
       // TDD GREEN PHASE: Enhanced structured response with metadata
       return {
         ...result,
+        response_id: this.empiricalRouter.registerResponse(empiricalDecision.fingerprint, result.provider || 'fallback', true, result.requested_model || result.model),
         // Core routing metadata for TDD compliance
         routing_decision: {
           service: 'deepseek',
@@ -1620,7 +2208,10 @@ class EnhancedProductionDeepseekBridge {
           fingerprint: empiricalDecision.fingerprint,
           historical_data: empiricalDecision.historicalData,
           decision_reason: empiricalDecision.reason,
-          success_probability: Math.round((empiricalDecision.successProbability || 0.8) * 100)
+          success_probability: Math.round((empiricalDecision.successProbability || 0.8) * 100),
+          policy_decision: this.describePolicyDecision(empiricalDecision),
+          recent_view: empiricalDecision.recentView,
+          backend_selection: this.describeRoute(route)
         },
         // Task processing metadata
         task_type: options.task_type || classification.taskType || 'coding',
@@ -1637,7 +2228,8 @@ class EnhancedProductionDeepseekBridge {
           reason: classification.reason,
           confidence: Math.round(classification.confidence * 100),
           complexity_score: Math.round((classification.complexityScore || 0.5) * 100),
-          expected_success: Math.round((classification.expectedSuccess || 80))
+          expected_success: Math.round((classification.expectedSuccess || 80)),
+          router: classification.router || null
         }
       };
       
@@ -1645,33 +2237,102 @@ class EnhancedProductionDeepseekBridge {
       const responseTime = Date.now() - startTime;
       const performanceTime = performance.now() - performanceStartTime;
       
+      // Client cancellation says nothing about the backend - record it, never escalate
+      if (options.signal?.aborted) {
+        this.empiricalRouter.recordExecutionCancellation(empiricalDecision.fingerprint, responseTime);
+        this.routingMetrics.cancelledRoutes++;
+        throw error;
+      }
+      
       // Analyze actual failure (not predicted failure)
       const failureAnalysis = this.empiricalRouter.analyzeActualFailure(error, responseTime, prompt);
+      trace.failureAnalysis = failureAnalysis;
       
       // Record empirical failure
       this.empiricalRouter.recordExecutionFailure(empiricalDecision.fingerprint, responseTime, error, failureAnalysis);
       this.routingMetrics.failedRoutes++;
+      if (failureAnalysis.shouldRouteToClaudeNext) {
+        // Network errors say nothing about whether the task needed Claude
+        this.empiricalRouter.recordRouterOutcome(classification, false);
+      }
       
       // Only route to Claude after actual evidence of failure
       if (failureAnalysis.shouldRouteToClaudeNext) {
-        this.routingMetrics.claudeRouted++;
-        const guidanceResult = this.generateClaudeRoutingGuidanceAfterFailure(prompt, classification, failureAnalysis, options);
+        // Re-run the failed prompt (client sampling or Claude API) unless advice-only output was requested
+        const escalationMode = options.escalation_mode || this.escalationMode;
+        const escalationProvider = this.selectEscalationProvider(escalationMode, error.provider);
+        if (escalationProvider) {
+          const escalationStartTime = Date.now();
+          try {
+            const escalatedResult = await this.executeClaudeEscalation(prompt, options, classification, failureAnalysis, escalationProvider);
+            const escalationTime = Date.now() - escalationStartTime;
+            
+            return {
+              ...escalatedResult,
+              response_id: this.empiricalRouter.registerResponse(empiricalDecision.fingerprint, escalationProvider, false),
+              routing_decision: {
+                service: escalationProvider === 'mcp_sampling' ? 'mcp_client_sampling' : 'claude',
+                reason: failureAnalysis.reason,
+                confidence: Math.round(failureAnalysis.confidence * 100),
+                method: 'empirical_failure_escalation',
+                escalated: true,
+                escalation_backend: escalationProvider,
+                escalated_from: error.provider || 'local',
+                escalation_reason: failureAnalysis.reason
+              },
+              empirical_routing: {
+                fingerprint: empiricalDecision.fingerprint,
+                failure_analysis: failureAnalysis,
+                decision_reason: failureAnalysis.reason,
+                policy_decision: this.describePolicyDecision(empiricalDecision),
+                route_to_claude: true
+              },
+              retry_attempts: [...(error.retryAttempts || []), ...(escalatedResult.retry_attempts || [])],
+              task_type: options.task_type || classification.taskType || 'coding',
+              context: options.context || '',
+              performance_metrics: {
+                total_time_ms: Math.round(performance.now() - performanceStartTime),
+                deepseek_time_ms: responseTime,
+                escalation_time_ms: escalationTime,
+                routing_time_ms: Math.round(performanceTime - responseTime),
+                routing_accuracy: this.routingMetrics.routingAccuracy
+              }
+            };
+          } catch (escalationError) {
+            if (options.signal?.aborted) throw escalationError;
+            console.error(`❌ Claude escalation failed, returning routing guidance instead: ${escalationError.message}`);
+            failureAnalysis.escalationError = escalationError.message;
+          }
+        }
+        
+        this.routingMetrics.advisedRoutes++;
+        // A flagged answer beats no answer when nothing could take over from a low-quality response
+        const guidanceResult = error.lowQualityResult
+          ? {
+            ...error.lowQualityResult,
+            response: `${error.lowQualityResult.response}\n\n⚠️ **Quality warning:** ${failureAnalysis.reason}${failureAnalysis.escalationError ? ` (escalation failed: ${failureAnalysis.escalationError})` : ''}`
+          }
+          : buildFailureGuidance(prompt, classification, failureAnalysis);
         
         // TDD GREEN PHASE: Add structured metadata to routing guidance
         return {
           ...guidanceResult,
+          response_id: error.lowQualityResult ? this.empiricalRouter.registerResponse(empiricalDecision.fingerprint, error.provider, false) : null,
           routing_decision: {
             service: 'claude_recommended',
             reason: failureAnalysis.reason,
             confidence: Math.round(failureAnalysis.confidence * 100),
-            method: 'empirical_failure_analysis'
+            method: 'empirical_failure_analysis',
+            escalated: false
           },
           empirical_routing: {
             fingerprint: empiricalDecision.fingerprint,
             failure_analysis: failureAnalysis,
             decision_reason: failureAnalysis.reason,
+            policy_decision: this.describePolicyDecision(empiricalDecision),
             route_to_claude: true
           },
+          retry_attempts: error.retryAttempts || [],
           task_type: options.task_type || classification.taskType || 'coding',
           context: options.context || '',
           performance_metrics: {
@@ -1688,14 +2349,553 @@ class EnhancedProductionDeepseekBridge {
     }
   }
 
-  async executeDeepseekWithEmpiricalRouting(prompt, options, classification, empiricalDecision) {
+  /**
+   * Classifier rules may name a task_type and/or backend; the caller's own task_type and provider win
+   */
+  applyClassifierTargets(options, classification) {
+    const targeted = { ...options };
+    if (!options.task_type && classification.taskType) {
+      targeted.task_type = classification.taskType;
+    }
+    if (!options.provider && classification.backend) {
+      targeted.preferred_backend = { name: classification.backend, reason: `Classifier rule (${classification.ruleReason})` };
+    }
+    return targeted;
+  }
+
+  /**
+   * preview_route: the decision enhancedQuery would make for a prompt - classification, policy,
+   * backend, timeout and token budget - without calling any model or recording anything
+   */
+  async previewRoute(prompt, options = {}) {
+    await this.initialize();
+    
+    const classification = await this.classifyPrompt(prompt, options.context || '', { dryRun: true });
+    options = this.applyClassifierTargets(options, classification);
+    const empiricalDecision = await this.empiricalRouter.shouldTryDeepseekFirst(prompt, { model: options.model, dryRun: true });
+    if (!empiricalDecision.tryDeepseek && (options.provider || options.force_deepseek)) {
+      empiricalDecision.action = 'try';
+      empiricalDecision.tryDeepseek = true;
+      empiricalDecision.reason += options.force_deepseek ? ' - overridden by force_deepseek' : ` - overridden by provider=${options.provider}`;
+    }
+    
+    let route = null;
+    let routeError = null;
+    if (empiricalDecision.tryDeepseek) {
+      try {
+        route = this.selectRoute(prompt, options, empiricalDecision.fingerprint);
+      } catch (error) {
+        routeError = error.message;
+      }
+    } else {
+      const escalationBackend = this.selectEscalationProvider(options.escalation_mode || this.escalationMode, null);
+      route = escalationBackend
+        ? { provider: this.providers.get(escalationBackend), role: 'escalation', reason: `Policy escalation to ${escalationBackend}` }
+        : null;
+      routeError = escalationBackend ? null : 'Policy escalation with no escalation backend available - routing guidance would be returned';
+    }
+    
+    const budget = route ? this.selectRequestBudget(prompt, route.role === 'escalation' ? { ...options, model: undefined } : options, classification, route.provider) : null;
+    const capabilities = budget ? budget.capabilities : this.modelCapabilities.get(this.defaultModel);
+    // Same 4-characters-per-token approximation FileAnalysisManager uses
+    const promptTokens = budget ? budget.promptTokens : Math.ceil((this.getEnhancedSystemPrompt(options.task_type, classification).length + prompt.length) / 4);
+    const fingerprint = empiricalDecision.fingerprint;
+    
+    return {
+      success: true,
+      dry_run: true,
+      classification: {
+        route_to: classification.routeTo,
+        reason: classification.reason,
+        confidence: Math.round(classification.confidence * 100),
+        complexity_score: Math.round(classification.complexityScore * 100),
+        expected_success: classification.expectedSuccess,
+        matched_patterns: {
+          simple: classification.indicators.simpleMatches,
+          complex: classification.indicators.complexMatches,
+          keyword: classification.indicators.keywordMatches
+        },
+        task_type: options.task_type || null,
+        rule_backend: classification.backend || null,
+        complexity_factors: classification.indicators.complexityFactors,
+        metrics: classification.metrics,
+        note: this.llmRouter
+          ? `CLASSIFIER_MODE=${this.classifierMode} - the LLM router is not called in a dry run, regex classification shown`
+          : null
+      },
+      fingerprint: {
+        id: fingerprint.fingerprint,
+        mode: fingerprint.mode,
+        domain: fingerprint.domain,
+        question_type: fingerprint.questionType,
+        keywords: fingerprint.keywords,
+        note: this.empiricalRouter.semantic && fingerprint.mode !== 'semantic'
+          ? 'Semantic cluster is not resolved in a dry run (no embedding call) - regex fingerprint shown'
+          : null
+      },
+      policy_decision: {
+        ...this.describePolicyDecision(empiricalDecision),
+        exploration_chance: empiricalDecision.action === 'try' ? null : Math.round(this.empiricalRouter.policy.explorationRate * 100)
+      },
+      recent_view: empiricalDecision.recentView,
+      predicted_route: route ? {
+        ...this.describeRoute(route),
+        model: budget.modelName,
+        failover_chain: route.role !== 'escalation' && this.failoverEnabled ? this.providers.getFailoverChain(route).map(entry => entry.provider.name) : []
+      } : null,
+      route_error: routeError,
+      budget: budget ? {
+        tier: budget.tier,
+        tier_timeout_ms: budget.tierTimeout,
+        timeout_ms: budget.timeout,
+        timeout_basis: budget.timeoutBasis,
+        max_tokens: budget.maxTokens,
+        max_tokens_basis: budget.maxTokensBasis,
+        first_token_timeout_ms: this.streamingEnabled ? this.firstTokenTimeout : null
+      } : null,
+      tokens: {
+        estimated_prompt_tokens: promptTokens,
+        max_response_tokens: budget ? budget.maxTokens : null,
+        context_window: capabilities.contextLength,
+        fits: promptTokens + (budget ? budget.maxTokens : 0) <= capabilities.contextLength,
+        headroom: capabilities.contextLength - promptTokens - (budget ? budget.maxTokens : 0)
+      },
+      model_capabilities: this.describeModelCapabilities(capabilities),
+      request_size_kb: Math.round(Buffer.byteLength(prompt, 'utf8') / 1024),
+      circuit_breaker: this.circuitBreaker?.getStatus() || null
+    };
+  }
+
+  /**
+   * Append one enhancedQuery call to the decision journal; never lets journaling break a request
+   */
+  journalDecision(prompt, options, trace, result, error) {
+    if (!this.decisionJournal) return;
+    try {
+      const decision = trace.empiricalDecision;
+      const fingerprint = decision?.fingerprint;
+      const classification = trace.classification;
+      const routing = result?.routing_decision;
+      const failure = result?.empirical_routing?.failure_analysis || trace.failureAnalysis || null;
+      const outcomes = {
+        empirical_routing: 'success',
+        empirical_failure_escalation: 'escalated',
+        empirical_policy_escalation: 'policy_escalated',
+        empirical_failure_analysis: 'guidance',
+        empirical_policy_analysis: 'guidance'
+      };
+      const { arm_scores, ...route } = trace.route ? this.describeRoute(trace.route) : {};
+
+      this.decisionJournal.record(prompt, {
+        fingerprint: fingerprint ? {
+          id: fingerprint.fingerprint,
+          mode: fingerprint.mode,
+          domain: fingerprint.domain,
+          questionType: fingerprint.questionType,
+          keywords: fingerprint.keywords,
+          complexity: fingerprint.complexity
+        } : null,
+        classification: classification ? {
+          taskType: classification.taskType,
+          ruleBackend: classification.backend || null,
+          reason: classification.reason,
+          confidence: classification.confidence,
+          complexityScore: classification.complexityScore,
+          router: classification.router ? {
+            source: classification.router.source,
+            route: classification.routeTo,
+            regexRoute: classification.router.regexRoute,
+            latencyMs: classification.router.llm?.latencyMs ?? null
+          } : null
+        } : null,
+        taskType: options.task_type || null,
+        decision: decision ? { action: decision.action, reason: decision.reason, confidence: decision.confidence } : null,
+        route: trace.route ? route : null,
+        backend: result?.provider || routing?.escalation_backend || error?.provider || trace.route?.provider.name || null,
+        model: result?.model || error?.model || null,
+        method: routing?.method || null,
+        outcome: error ? (options.signal?.aborted ? 'cancelled' : 'error') : (outcomes[routing?.method] || 'unknown'),
+        responseId: result?.response_id || null,
+        timings: {
+          totalMs: Date.now() - trace.startedAt,
+          backendMs: result?.performance_metrics?.deepseek_time_ms ?? null,
+          escalationMs: result?.performance_metrics?.escalation_time_ms ?? null,
+          timeoutMs: result?.requestMetrics ? result.requestMetrics.timeoutUsed * 1000 : (error?.timeoutMs || null)
+        },
+        quality: result?.quality ? { score: result.quality.score, passed: result.quality.passed, issues: result.quality.issues.map(issue => issue.code) } : null,
+        failure: failure ? {
+          errorType: failure.errorType,
+          reason: failure.reason,
+          confidence: failure.confidence,
+          timeout: failure.timeout,
+          escalationError: failure.escalationError || null
+        } : null,
+        attempts: (result?.retry_attempts || error?.retryAttempts || []).map(attempt => ({
+          provider: attempt.provider,
+          attempt: attempt.attempt,
+          outcome: attempt.outcome,
+          decision: attempt.decision,
+          duration_ms: attempt.duration_ms
+        })),
+        error: error ? error.message : null
+      });
+    } catch (journalError) {
+      console.error(`⚠️ Decision journal entry dropped: ${journalError.message}`);
+    }
+  }
+
+  /**
+   * query_routing_journal: filter the decision journal, newest first, optionally as JSONL
+   */
+  async queryDecisionJournal(params) {
+    await this.initialize();
+    if (!this.decisionJournal) {
+      throw new Error('Decision journal is disabled - set DECISION_JOURNAL_ENABLED=true');
+    }
+    const { total, entries } = this.decisionJournal.query({
+      since: parseTimeFilter(params.since, 'since'),
+      until: parseTimeFilter(params.until, 'until'),
+      domain: params.domain,
+      outcome: params.outcome,
+      backend: params.backend,
+      limit: params.limit
+    });
+    return {
+      success: true,
+      format: params.format,
+      total,
+      entries,
+      jsonl: params.format === 'jsonl' ? this.decisionJournal.toJSONL(entries) : null,
+      filters: params,
+      journal: this.decisionJournal.describe()
+    };
+  }
+
+  /**
+   * manage_local_models: list models by load state, load/unload/warm one, or toggle keep-alive pings.
+   * Load changes refresh the catalogue so the default model follows what is actually loaded.
+   */
+  async manageLocalModels(params) {
+    await this.initialize();
+    let result;
+    switch (params.action) {
+      case 'list':
+        result = { action: 'list', servers: await this.modelLifecycle.list() };
+        break;
+      case 'load':
+        result = await this.modelLifecycle.load(params.model, { contextLength: params.context_length, ttlSeconds: params.ttl_seconds });
+        break;
+      case 'unload':
+        result = await this.modelLifecycle.unload(params.model);
+        break;
+      case 'warm':
+        result = await this.modelLifecycle.warm(params.model, { ttlSeconds: params.ttl_seconds });
+        break;
+      case 'keep_alive': {
+        // Ping once now so the model is warm before the first interval passes (and is known to exist)
+        const warm = params.enabled ? await this.modelLifecycle.warm(params.model, { ttlSeconds: this.modelLifecycle.keepAliveTtl }) : null;
+        result = { ...this.modelLifecycle.setKeepAlive(params.model, params.enabled), warm };
+        break;
+      }
+      default:
+        throw new Error(`Unknown action "${params.action}"`);
+    }
+
+    this.availableModels = this.localEndpoints.getCatalogue();
+    this.lastModelCheck = Date.now();
+    this.selectDefaultModel();
+    return { ...result, defaultModel: this.defaultModel, keepAlive: this.modelLifecycle.describe() };
+  }
+
+  /**
+   * evaluate_classifier: score the live classifier rules (and optionally the empirical policy)
+   * against a labelled JSONL dataset, diffed against a saved baseline when one is given
+   */
+  async evaluateClassifier(params) {
+    await this.initialize();
+    const datasetPath = path.resolve(params.dataset_path);
+    let examples = parseDataset(await fs.readFile(datasetPath, 'utf8'), datasetPath);
+    const skipped = Math.max(examples.length - params.max_examples, 0);
+    examples = examples.slice(0, params.max_examples);
+
+    if (params.use_llm_router && !this.llmRouter) {
+      throw new Error('use_llm_router needs CLASSIFIER_MODE=llm or blend');
+    }
+    const report = await evaluateClassifier(examples, {
+      classify: (prompt, context) => params.use_llm_router ? this.classifyPrompt(prompt, context) : this.taskClassifier.classify(prompt, context),
+      // Dry run: no embedding calls, no exploration log - the policy judges on the live history
+      policy: params.include_policy ? prompt => this.empiricalRouter.shouldTryDeepseekFirst(prompt, { dryRun: true }) : null,
+      maxMisrouted: params.max_misrouted
+    });
+
+    let diff = null;
+    const baselinePath = params.baseline_path ? path.resolve(params.baseline_path) : null;
+    if (baselinePath) {
+      const baseline = await loadBaseline(baselinePath);
+      diff = baseline ? diffReports(report, baseline) : null;
+      if (params.save_baseline) {
+        await saveBaseline(baselinePath, report, datasetPath);
+      }
+    }
+
+    const { outcomes, ...summary } = report;
+    return {
+      success: true,
+      dataset: datasetPath,
+      skipped,
+      ...summary,
+      rules_source: this.classifierRules ? this.classifierRules.describe().file : null,
+      classifier: params.use_llm_router ? `${this.classifierMode} (${this.llmRouter.describe().model || 'LLM router'})` : 'regex',
+      baseline: baselinePath ? { path: baselinePath, found: diff !== null, saved: params.save_baseline } : null,
+      diff
+    };
+  }
+
+  /**
+   * plan_and_execute: the planning backend turns a complex request into typed, dependency-ordered
+   * steps; planning steps run on the strong backend, implementation steps on the local coder
+   */
+  async planAndExecute(prompt, options = {}) {
+    await this.initialize();
+    const backends = this.selectPlanBackends(options);
+    const request = options.context ? `${prompt}\n\nContext:\n${options.context}` : prompt;
+    const runCall = (step, stepPrompt, signal) => this.runPlanCall(step, stepPrompt, backends, options, signal);
+
+    // Planning is retried like any step; an unusable plan falls back to the classifier's task breakdown
+    const planStart = Date.now();
+    let plan = null;
+    let planner = null;
+    const planErrors = [];
+    const planningCall = { id: 'plan', title: 'Execution plan', type: 'planning', expectCode: false };
+    for (let attempt = 1; attempt <= options.step_retries + 1 && !plan; attempt++) {
+      try {
+        planner = await runCall(planningCall, `${PLAN_INSTRUCTIONS.replace('MAX_STEPS', options.max_steps)}\n\nRequest:\n${request}`, options.signal);
+        plan = parsePlan(planner.response, options.max_steps);
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        planErrors.push(error.message);
+        console.error(`⚠️ Planning attempt ${attempt} failed: ${error.message}`);
+      }
+    }
+    const planSource = plan ? 'planner' : 'task_breakdown';
+    const planningMs = Date.now() - planStart;
+    if (!plan) {
+      plan = this.fallbackPlan(prompt, options.max_steps);
+    }
+    console.error(`🗺️ Plan (${planSource}): ${plan.steps.map(step => `${step.id} [${step.type}]`).join(' → ')}`);
+
+    // Dependency context takes at most half of what the implementation model's prompt can hold
+    const implementation = backends.implementation;
+    const implementationModel = this.modelCapabilities.get(implementation.model || (implementation.name === 'local' ? this.defaultModel : null));
+    const executor = new PlanExecutor({
+      runStep: runCall,
+      maxStepRetries: options.step_retries,
+      maxContextChars: Math.min(config.getNumber('PLAN_CONTEXT_CHARS', 12000), implementationModel.known ? implementationModel.promptBudget * 2 : Infinity),
+      onProgress: options.onProgress
+    });
+    const execution = await executor.execute(request, plan, options.signal);
+
+    return {
+      success: execution.status !== 'failed',
+      ...execution,
+      plan: {
+        source: planSource,
+        planner: planner ? { backend: planner.provider, model: planner.model } : null,
+        errors: planErrors,
+        durationMs: planningMs
+      },
+      backends: { planning: backends.planning.name, implementation: backends.implementation.name }
+    };
+  }
+
+  /**
+   * PLAN_PLANNING_BACKEND / PLAN_IMPLEMENTATION_BACKEND (role or provider name); by default the
+   * escalation backend plans and the local server implements, each falling back to the primary API
+   */
+  selectPlanBackends(options) {
+    const resolve = (configured, defaults, kind) => {
+      if (configured) {
+        const provider = this.providers.resolveBackend(configured);
+        if (!provider) {
+          throw new Error(`Plan ${kind} backend "${configured}" is not available`);
+        }
+        return provider;
+      }
+      const provider = defaults.filter(Boolean).map(name => this.providers.resolveBackend(name)).find(Boolean);
+      if (!provider) {
+        throw new Error(`No backend available for plan ${kind} steps`);
+      }
+      return provider;
+    };
+    return {
+      planning: resolve(options.planning_backend || config.get('PLAN_PLANNING_BACKEND'), [this.selectEscalationProvider('execute', null), 'primary', 'local'], 'planning'),
+      implementation: resolve(options.implementation_backend || config.get('PLAN_IMPLEMENTATION_BACKEND'), ['local', 'primary'], 'implementation')
+    };
+  }
+
+  /**
+   * One plan call on the backend for its step type, with transport retries and failover;
+   * a low-quality answer counts as a failed attempt so the step is retried. The planning call
+   * answers with bare JSON, which parsePlan validates, so it is not expected to hold a code block.
+   */
+  async runPlanCall(step, stepPrompt, backends, options, signal) {
+    const provider = backends[step.type];
+    const classification = this.taskClassifier.classify(stepPrompt);
+    const result = await this.executeWithRetry(stepPrompt, {
+      task_type: step.type === 'planning' ? 'architecture' : (options.task_type || 'coding'),
+      expect_code: step.expectCode,
+      signal
+    }, classification, { provider, role: `plan_${step.type}`, reason: `Plan ${step.type} step "${step.id}" → ${provider.name}` });
+    if (result.quality && !result.quality.passed) {
+      throw this.createQualityError(result);
+    }
+    return result;
+  }
+
+  /**
+   * Linear plan from the classifier's canned task breakdown, for when the planner gives no usable plan
+   */
+  fallbackPlan(prompt, maxSteps) {
+    const breakdown = this.taskClassifier.generateTaskBreakdown(prompt, this.taskClassifier.classify(prompt));
+    return parsePlan({
+      steps: breakdown.slice(0, maxSteps).map((suggestion, index) => {
+        const title = suggestion.replace(/^\d+\.\s*/, '');
+        return {
+          id: `step-${index + 1}`,
+          title,
+          type: /claude|design|plan|break/i.test(title) ? 'planning' : 'implementation',
+          instructions: `${title} for the overall request.`,
+          depends_on: index > 0 ? [`step-${index}`] : []
+        };
+      })
+    }, maxSteps);
+  }
+
+  /**
+   * rate_response: feed a human/agent verdict on an enhanced_query_deepseek answer into empirical learning
+   */
+  async rateResponse(responseId, verdict, reason = '') {
+    await this.initialize();
+    const { fingerprint, domain, backend, record } = this.empiricalRouter.recordRating(responseId, verdict, reason);
+    return {
+      success: true,
+      response_id: responseId,
+      verdict,
+      reason,
+      fingerprint,
+      domain,
+      backend,
+      pattern: {
+        successRate: Math.round(record.successRate * 100),
+        executions: record.totalExecutions,
+        ratings: { ...record.ratings }
+      }
+    };
+  }
+
+  /**
+   * Policy verdict plus the evidence behind it, as exposed in the empirical_routing block
+   */
+  describePolicyDecision(empiricalDecision) {
+    return {
+      action: empiricalDecision.action,
+      reason: empiricalDecision.reason,
+      confidence: Math.round((empiricalDecision.confidence || 0) * 100),
+      evidence: empiricalDecision.evidence,
+      thresholds: empiricalDecision.thresholds
+    };
+  }
+
+  /**
+   * Known-bad pattern: go straight to the escalation backend without an attempt on the primary one
+   */
+  async executePolicyEscalation(prompt, options, classification, empiricalDecision, performanceStartTime) {
+    this.routingMetrics.policyEscalations++;
+    
+    const policyAnalysis = {
+      errorType: 'policy_escalation',
+      reason: empiricalDecision.reason,
+      confidence: empiricalDecision.confidence,
+      responseTime: 0,
+      preemptive: true
+    };
+    const empiricalRouting = {
+      fingerprint: empiricalDecision.fingerprint,
+      historical_data: empiricalDecision.historicalData,
+      decision_reason: empiricalDecision.reason,
+      policy_decision: this.describePolicyDecision(empiricalDecision),
+      recent_view: empiricalDecision.recentView,
+      route_to_claude: true
+    };
+    const commonMetadata = {
+      task_type: options.task_type || classification.taskType || 'coding',
+      context: options.context || ''
+    };
+    
+    const escalationProvider = this.selectEscalationProvider(options.escalation_mode || this.escalationMode, null);
+    if (escalationProvider) {
+      const escalationStartTime = Date.now();
+      try {
+        const escalatedResult = await this.executeClaudeEscalation(prompt, options, classification, policyAnalysis, escalationProvider);
+        
+        return {
+          ...escalatedResult,
+          response_id: this.empiricalRouter.registerResponse(empiricalDecision.fingerprint, escalationProvider, false),
+          routing_decision: {
+            service: escalationProvider === 'mcp_sampling' ? 'mcp_client_sampling' : 'claude',
+            reason: empiricalDecision.reason,
+            confidence: Math.round(empiricalDecision.confidence * 100),
+            method: 'empirical_policy_escalation',
+            escalated: true,
+            escalation_backend: escalationProvider,
+            escalated_from: this.providers.roles.primary,
+            escalation_reason: 'Known-bad pattern skipped by routing policy'
+          },
+          empirical_routing: empiricalRouting,
+          ...commonMetadata,
+          performance_metrics: {
+            total_time_ms: Math.round(performance.now() - performanceStartTime),
+            deepseek_time_ms: 0,
+            escalation_time_ms: Date.now() - escalationStartTime,
+            routing_accuracy: this.routingMetrics.routingAccuracy
+          }
+        };
+      } catch (escalationError) {
+        if (options.signal?.aborted) throw escalationError;
+        console.error(`❌ Policy escalation failed, returning routing guidance instead: ${escalationError.message}`);
+        policyAnalysis.escalationError = escalationError.message;
+      }
+    }
+    
+    this.routingMetrics.advisedRoutes++;
+    return {
+      ...this.generatePolicyRoutingGuidance(prompt, classification, empiricalDecision, policyAnalysis),
+      routing_decision: {
+        service: 'claude_recommended',
+        reason: empiricalDecision.reason,
+        confidence: Math.round(empiricalDecision.confidence * 100),
+        method: 'empirical_policy_analysis',
+        escalated: false
+      },
+      empirical_routing: empiricalRouting,
+      ...commonMetadata,
+      performance_metrics: {
+        total_time_ms: Math.round(performance.now() - performanceStartTime),
+        deepseek_time_ms: 0,
+        routing_accuracy: this.routingMetrics.routingAccuracy
+      }
+    };
+  }
+
+  async executeDeepseekWithEmpiricalRouting(prompt, options, classification, empiricalDecision, route = null) {
     // Create the main service call with empirical context
     const serviceCall = async () => {
-      return await this.executeDeepseekQuery(prompt, options, classification);
+      return await this.executeWithRetry(prompt, options, classification, route);
     };
 
     // Enhanced fallback with empirical context
     const fallbackCall = async () => {
+      options.signal?.throwIfAborted(); // A cancelled request gets no fallback answer
       if (config.getBoolean('FALLBACK_RESPONSE_ENABLED', true)) {
         console.error('🔄 DeepSeek unavailable, generating fallback with empirical context');
         const fallback = await this.fallbackGenerator.generateFallbackResponse(prompt, options);
@@ -1714,50 +2914,297 @@ class EnhancedProductionDeepseekBridge {
     return await this.circuitBreaker.execute(serviceCall, fallbackCall);
   }
 
-  generateClaudeRoutingGuidanceAfterFailure(prompt, classification, failureAnalysis, options) {
-    const guidance = {
+  /**
+   * Choose the backend for a request. Role routing unless ROUTING_STRATEGY=bandit, in which case
+   * every available backend is an arm - except for provider overrides and large content, which stay pinned.
+   */
+  selectRoute(prompt, options, fingerprint) {
+    const roleSelection = this.providers.selectForRequest(prompt, options);
+    if (this.routingStrategy !== 'bandit' || roleSelection.role === 'explicit' || roleSelection.role === 'rule') {
+      return roleSelection;
+    }
+    if (Buffer.byteLength(prompt, 'utf8') > this.providers.largeContentThreshold && roleSelection.role === 'local') {
+      return roleSelection;
+    }
+
+    const arms = this.providers.listAvailable().filter(provider => provider.name !== 'mcp_sampling');
+    if (arms.length < 2) {
+      return roleSelection;
+    }
+
+    const choice = this.banditRouter.selectArm(fingerprint.fingerprint, arms.map(provider => provider.name));
+    return { provider: this.providers.get(choice.backend), role: 'bandit', reason: choice.reason, bandit: choice };
+  }
+
+  describeRoute(route) {
+    return {
+      strategy: route.role === 'bandit' ? 'bandit' : 'roles',
+      backend: route.provider.name,
+      role: route.role,
+      reason: route.reason,
+      arm_scores: route.bandit?.scores || null
+    };
+  }
+
+  describeModelCapabilities(capabilities) {
+    return {
+      model: capabilities.model,
+      known: capabilities.known,
+      context_length: capabilities.contextLength,
+      context_length_source: capabilities.sources.contextLength,
+      max_output: capabilities.maxOutput,
+      prompt_budget: capabilities.promptBudget,
+      features: [
+        capabilities.fim && 'fim',
+        capabilities.jsonMode && 'json_mode',
+        capabilities.vision && 'vision',
+        capabilities.reasoningTags && `reasoning ${capabilities.reasoningTags.open}…${capabilities.reasoningTags.close}`
+      ].filter(Boolean)
+    };
+  }
+
+  /**
+   * Credit each backend touched by a request with its outcome (retries and failover included)
+   */
+  recordBackendOutcomes(prompt, attempts, result = null) {
+    const fingerprint = this.empiricalRouter.generateQueryFingerprint(prompt).fingerprint;
+    const byBackend = new Map();
+    for (const attempt of attempts || []) {
+      const entry = byBackend.get(attempt.provider) || { success: false, latencyMs: 0 };
+      entry.success = entry.success || attempt.outcome === 'success';
+      entry.latencyMs += attempt.duration_ms;
+      byBackend.set(attempt.provider, entry);
+    }
+    for (const [backend, entry] of byBackend) {
+      // A completed call with a low-quality answer is a failure for learning purposes
+      const success = entry.success && result?.quality?.passed !== false;
+      this.banditRouter.update(fingerprint, backend, {
+        ...entry,
+        success,
+        usage: success ? result?.usage : null
+      });
+    }
+  }
+
+  evaluateQuality(prompt, result, options = {}) {
+    if (!this.qualityEvaluationEnabled) return null;
+    const quality = this.qualityEvaluator.evaluate(prompt, result, { taskType: options.task_type, expectCode: options.expect_code });
+    if (!quality.passed) {
+      console.error(`⚠️ Low-quality response from ${result.provider} (score ${Math.round(quality.score * 100)}%): ${quality.issues.map(issue => issue.code).join(', ')}`);
+    }
+    return quality;
+  }
+
+  /**
+   * Turn a completed-but-unusable response into a routing failure; the response rides along
+   * so it can still be returned (flagged) when no escalation backend is available
+   */
+  createQualityError(result) {
+    const error = new Error(`Low-quality response (score ${Math.round(result.quality.score * 100)}%): ${result.quality.issues.map(issue => issue.detail).join('; ')}`);
+    error.category = 'low_quality';
+    error.provider = result.provider;
+    error.model = result.model;
+    error.quality = result.quality;
+    error.lowQualityResult = result;
+    error.retryAttempts = result.retry_attempts;
+    return error;
+  }
+
+  getRoutingMetrics() {
+    return {
+      ...this.routingMetrics,
+      backends: this.banditRouter ? this.banditRouter.getBackendStats() : {}
+    };
+  }
+
+  /**
+   * Runtime hook for the MCP server: lets escalations use the client's own model via sampling
+   */
+  attachSamplingServer(server) {
+    this.samplingServer = server;
+    if (this.providers) {
+      this.registerSamplingProvider();
+    }
+  }
+
+  registerSamplingProvider() {
+    this.providers.register(new McpSamplingProvider(this.samplingServer, {
+      maxTokens: config.getNumber('SAMPLING_MAX_TOKENS', 4096),
+      modelHints: (config.get('SAMPLING_MODEL_HINTS') || 'claude').split(',').map(hint => hint.trim()).filter(Boolean)
+    }));
+  }
+
+  /**
+   * Pick the escalation backend for a mode - see ProviderRegistry.selectEscalation
+   */
+  selectEscalationProvider(mode, failedProvider) {
+    return this.providers.selectEscalation(mode, failedProvider);
+  }
+
+  /**
+   * Re-run a prompt that failed empirically on a stronger backend
+   */
+  async executeClaudeEscalation(prompt, options, classification, failureAnalysis, providerName = 'anthropic') {
+    console.error(`🚀 Escalating to ${providerName} after actual failure: ${failureAnalysis.reason}`);
+    
+    // The requested model belongs to the failed backend - let the escalation backend decide
+    const startTime = Date.now();
+    try {
+      const result = await this.executeDeepseekQuery(prompt, {
+        ...options,
+        provider: providerName,
+        model: undefined
+      }, classification);
+      result.quality = this.evaluateQuality(prompt, result, options);
+      this.recordBackendOutcomes(prompt, [{ provider: providerName, outcome: 'success', duration_ms: Date.now() - startTime }], result);
+      return result;
+    } catch (error) {
+      if (!options.signal?.aborted) {
+        this.recordBackendOutcomes(prompt, [{ provider: providerName, outcome: 'error', duration_ms: Date.now() - startTime }]);
+      }
+      throw error;
+    }
+  }
+
+  generatePolicyRoutingGuidance(prompt, classification, empiricalDecision, policyAnalysis) {
+    const evidence = empiricalDecision.evidence;
+    const failureTypes = Object.entries(evidence.failureTypes || {})
+      .map(([type, count]) => `${type} ×${count}`)
+      .join(', ') || 'none recorded';
+
+    return {
       success: true,
       routingGuidance: true,
       routeTo: 'claude',
       empiricalEvidence: true,
-      failureAnalysis: failureAnalysis,
+      failureAnalysis: policyAnalysis,
       classification: classification,
-      response: `🎯 **EMPIRICAL ROUTING RECOMMENDATION (Based on Actual Failure)**
+      response: `🎯 **EMPIRICAL ROUTING RECOMMENDATION (Based on Recorded History)**
 
-**Failure Analysis:**
-- **Error Type**: ${failureAnalysis.errorType}
-- **Response Time**: ${Math.round(failureAnalysis.responseTime / 1000)}s
-- **Reason for Routing**: ${failureAnalysis.reason}
-- **Confidence**: ${Math.round(failureAnalysis.confidence * 100)}%
+**Policy Decision:**
+- **Reason**: ${empiricalDecision.reason}
+- **Confidence**: ${Math.round(empiricalDecision.confidence * 100)}%
 
-**What Happened:**
-DeepSeek was attempted first (as per empirical routing) but failed with: ${failureAnalysis.timeout ? 'Timeout' : failureAnalysis.networkIssue ? 'Network Issue' : failureAnalysis.modelCapacityIssue ? 'Capacity Issue' : 'Unknown Error'}
-
-**Why Route to Claude:**
-This is not a prediction - this is based on actual execution evidence. The failure pattern suggests Claude would handle this better.
-
-**Empirical Learning:**
-This interaction is being recorded to improve future routing decisions. Similar queries will be handled more intelligently based on this evidence.
+**Evidence for this pattern:**
+- **Attributable Executions**: ${evidence.attributableExecutions} (${evidence.infrastructureFailures || 0} connectivity failures excluded)
+- **Success Rate**: ${Math.round((evidence.successRate || 0) * 100)}%
+- **Timeout Rate**: ${Math.round((evidence.timeoutRate || 0) * 100)}%
+- **Average Response Time**: ${Math.round((evidence.averageResponseTime || 0) / 1000)}s
+- **Failure Types**: ${failureTypes}
 
+**What Happened:**
+DeepSeek was not attempted - this pattern has repeatedly failed there. ${Math.round(empiricalDecision.thresholds.explorationRate * 100)}% of matching queries are still re-tested so a recovered pattern is noticed.
+${policyAnalysis.escalationError ? `\n**Automatic Escalation Failed:** ${policyAnalysis.escalationError}\n` : ''}
 **Original Query:** ${prompt}`,
-      
-      model: 'empirical-routing-after-failure',
+
+      model: 'empirical-routing-policy',
       usage: { prompt_tokens: prompt.length, completion_tokens: 0, total_tokens: prompt.length },
       endpoint: 'empirical-evidence-router',
       timestamp: new Date().toISOString()
     };
-
-    return guidance;
   }
 
-  async executeDeepseekQuery(prompt, options = {}, classification = null) {
-    if (!this.baseURL) {
-      this.baseURL = await this.getWorkingBaseURL();
+  /**
+   * Run a query under the retry policy: transient errors retry the same backend with backoff,
+   * 'failover' decisions move on to the next configured role. Every attempt lands in retry_attempts.
+   */
+  async executeWithRetry(prompt, options = {}, classification = null, selection = null) {
+    selection = selection || this.providers.selectForRequest(prompt, options);
+    const chain = [selection, ...(this.failoverEnabled ? this.providers.getFailoverChain(selection) : [])];
+    const attempts = [];
+
+    try {
+      // A requested model belongs to the originally selected backend
+      const { result, index } = await this.retryPolicy.executeWithFailover(
+        chain,
+        (current, index) => this.executeDeepseekQuery(prompt, index > 0 ? { ...options, model: undefined } : options, classification, current),
+        {
+          signal: options.signal,
+          onFailover: current => console.error(`🔀 ${current.reason}`),
+          onAttempt: (current, attempt) => attempts.push({ provider: current.provider.name, role: current.role, ...attempt })
+        }
+      );
+      result.retry_attempts = attempts;
+      if (index > 0) {
+        result.failed_over_from = chain[0].provider.name;
+      }
+      result.quality = this.evaluateQuality(prompt, result, options);
+      this.recordBackendOutcomes(prompt, attempts, result);
+      return result;
+    } catch (error) {
+      error.retryAttempts = attempts;
+      if (!options.signal?.aborted) {
+        this.recordBackendOutcomes(prompt, attempts);
+      }
+      throw error;
     }
+  }
 
-    await this.getAvailableModels();
+  /**
+   * Token and timeout budget for one request: complexity tier first, then the latency model.
+   * max_tokens stays within the model's output limit and what its context has left after the prompt.
+   * Shared by executeDeepseekQuery and the preview_route dry run.
+   */
+  selectRequestBudget(prompt, options, classification, provider) {
+    const modelName = options.model || provider.model || (provider.name === 'local' ? this.defaultModel : null);
+    const capabilities = this.modelCapabilities.get(modelName);
+    const systemPrompt = this.getEnhancedSystemPrompt(options.task_type, classification, capabilities);
+    // Same 4-characters-per-token approximation FileAnalysisManager uses
+    const promptTokens = Math.ceil((systemPrompt.length + prompt.length) / 4);
+
+    // Dynamic token allocation and timeout based on classification; a reasoning model thinks
+    // inside its answer, so it keeps its full output on the heavier tiers
+    const heavyTierTokens = capabilities.reasoningTags ? capabilities.maxOutput : capabilities.optimalTokens;
+    let maxTokens, timeout, tier;
+    if (classification && classification.complexityScore > 0.7) {
+      tier = 'complex';
+      maxTokens = heavyTierTokens; // Conservative for high complexity
+      timeout = this.complexTimeout; // Extended timeout for complex tasks
+    } else if (classification && classification.complexityScore > 0.5) {
+      tier = 'moderate';
+      maxTokens = heavyTierTokens;
+      timeout = this.timeout + 30000; // Add 30s for moderate complexity
+    } else {
+      tier = 'standard';
+      maxTokens = options.max_tokens || capabilities.maxOutput;
+      timeout = this.timeout; // Standard timeout for simple tasks
+    }
+    let maxTokensBasis = tier === 'standard' && options.max_tokens ? 'requested' : 'tier';
+    if (capabilities.known) {
+      if (maxTokens > capabilities.maxOutput) {
+        maxTokens = capabilities.maxOutput;
+        maxTokensBasis = 'model_max_output';
+      }
+      // An oversized prompt still gets a usable answer length - the server reports the overflow
+      const contextRoom = Math.max(capabilities.contextLength - promptTokens, Math.min(256, maxTokens));
+      if (maxTokens > contextRoom) {
+        maxTokens = contextRoom;
+        maxTokensBasis = 'context_window';
+      }
+    }
+    const providerLimited = provider.clampMaxTokens(maxTokens);
+    if (providerLimited !== maxTokens) {
+      maxTokens = providerLimited;
+      maxTokensBasis = 'provider_limit';
+    }
+    
+    // Observed latency for this pattern, model and prompt size overrides the static tier once known
+    const latencyKey = {
+      fingerprint: this.empiricalRouter.generateQueryFingerprint(prompt).fingerprint,
+      model: `${provider.name}:${modelName || 'default'}`,
+      promptSize: Buffer.byteLength(prompt, 'utf8')
+    };
+    const tierTimeout = timeout;
+    let timeoutBasis = { source: 'complexity_tier', reason: 'Dynamic timeouts disabled' };
+    if (this.dynamicTimeoutsEnabled) {
+      ({ timeout, basis: timeoutBasis } = this.latencyModel.predict({ ...latencyKey, fallbackTimeout: timeout }));
+    }
+    
+    return { maxTokens, maxTokensBasis, timeout, timeoutBasis, tier, tierTimeout, modelName, latencyKey, capabilities, systemPrompt, promptTokens };
+  }
 
-    const modelToUse = options.model || this.defaultModel;
+  async executeDeepseekQuery(prompt, options = {}, classification = null, selection = null) {
+    const { provider, role, reason: providerReason } = selection || this.providers.selectForRequest(prompt, options);
     
     // Enhanced request size validation
     const requestSize = Buffer.byteLength(prompt, 'utf8');
@@ -1766,102 +3213,126 @@ This interaction is being recorded to improve future routing decisions. Similar
       // Don't reject, but warn - let DeepSeek handle it
     }
     
-    // Dynamic token allocation and timeout based on classification
-    let maxTokens, timeoutToUse;
-    if (classification && classification.complexityScore > 0.7) {
-      maxTokens = this.optimalTokens; // Conservative for high complexity
-      timeoutToUse = this.complexTimeout; // Extended timeout for complex tasks
-    } else if (classification && classification.complexityScore > 0.5) {
-      maxTokens = this.optimalTokens;
-      timeoutToUse = this.timeout + 30000; // Add 30s for moderate complexity
-    } else {
-      maxTokens = options.max_tokens || this.maxResponseTokens;
-      timeoutToUse = this.timeout; // Standard timeout for simple tasks
-    }
+    const { maxTokens, timeout: timeoutToUse, timeoutBasis, modelName, latencyKey, capabilities, systemPrompt } = this.selectRequestBudget(prompt, options, classification, provider);
     
-    const requestBody = {
-      model: modelToUse,
-      messages: [
-        {
-          role: 'system',
-          content: this.getEnhancedSystemPrompt(options.task_type, classification)
-        },
-        {
-          role: 'user', 
-          content: prompt
-        }
-      ],
-      temperature: options.temperature || 0.7,
-      max_tokens: maxTokens,
-      stream: false
-    };
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user', 
+        content: prompt
+      }
+    ];
 
-    console.error(`🚀 DeepSeek request: ${this.baseURL}/chat/completions (${modelToUse}, ${maxTokens} max tokens, ${timeoutToUse/1000}s timeout)`);
+    console.error(`🚀 ${provider.name} request via ${role} API (${options.model || provider.model || 'default model'}, ${maxTokens} max tokens, ${timeoutToUse/1000}s timeout) - ${providerReason}`);
     console.error(`📊 Request stats: ${Math.round(requestSize/1024)}KB request, complexity: ${classification ? Math.round(classification.complexityScore * 100) : 0}%`);
 
+    // Client cancellation (notifications/cancelled) aborts the in-flight request immediately
+    options.signal?.throwIfAborted();
     const controller = new AbortController();
+    const onCancel = () => {
+      console.error(`🛑 Request cancelled by client - aborting ${provider.name} request`);
+      controller.abort();
+    };
+    options.signal?.addEventListener('abort', onCancel, { once: true });
     const timeoutId = setTimeout(() => {
       console.error(`⏱️ Request timeout after ${timeoutToUse/1000}s - aborting`);
       controller.abort();
     }, timeoutToUse);
 
+    // Stream partial output as MCP progress notifications when the client asked for progress
+    const streaming = this.streamingEnabled && typeof options.onProgress === 'function' && provider.supportsStreaming;
+    let firstTokenTimedOut = false;
+    let firstTokenMs = null;
+    let firstTokenTimer = null;
+    if (streaming && this.firstTokenTimeout > 0 && this.firstTokenTimeout < timeoutToUse) {
+      firstTokenTimer = setTimeout(() => {
+        firstTokenTimedOut = true;
+        console.error(`⏱️ No first token after ${this.firstTokenTimeout/1000}s - aborting early`);
+        controller.abort();
+      }, this.firstTokenTimeout);
+    }
+    const requestStartTime = Date.now();
+    const progressStreamer = streaming
+      ? this.createProgressStreamer(options.onProgress, () => {
+          clearTimeout(firstTokenTimer);
+          firstTokenMs = Date.now() - requestStartTime;
+        })
+      : null;
+
     try {
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
+      const completion = await provider.complete({
+        messages,
+        model: options.model,
+        maxTokens,
+        temperature: options.temperature || 0.7,
+        signal: controller.signal,
+        onToken: progressStreamer?.onToken
       });
 
       clearTimeout(timeoutId);
+      clearTimeout(firstTokenTimer);
+      options.signal?.removeEventListener('abort', onCancel);
+      progressStreamer?.flush();
+      this.latencyModel.record({ ...latencyKey, latencyMs: Date.now() - requestStartTime });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        throw new Error('Invalid response format from DeepSeek server');
-      }
+      // A reasoning model's thinking is returned beside the answer, not in it
+      const { content, reasoning } = splitReasoning(completion.content, capabilities.reasoningTags);
 
       // Log success metrics for large requests
-      const responseSize = Buffer.byteLength(data.choices[0].message.content, 'utf8');
+      const responseSize = Buffer.byteLength(content, 'utf8');
       if (requestSize > 10000 || responseSize > 10000) {
         console.error(`📊 Large request completed: ${Math.round(requestSize/1024)}KB → ${Math.round(responseSize/1024)}KB in ${timeoutToUse/1000}s limit`);
       }
 
       return {
         success: true,
-        response: data.choices[0].message.content,
-        model: data.model || modelToUse,
-        usage: data.usage,
-        endpoint: this.baseURL,
+        response: content,
+        reasoning,
+        model: completion.model,
+        requested_model: modelName, // The empirical key; servers may report the model under another name
+        usage: completion.usage,
+        finish_reason: completion.finishReason,
+        provider: provider.name,
+        providerRole: role,
+        endpoint: completion.endpoint,
         timestamp: new Date().toISOString(),
         classification: classification,
-        contextWindow: this.contextWindow,
+        contextWindow: capabilities.contextLength,
         maxTokens: maxTokens,
         requestMetrics: {
           requestSize: Math.round(requestSize/1024),
           responseSize: Math.round(responseSize/1024), 
           timeoutUsed: timeoutToUse/1000,
-          complexityScore: classification ? Math.round(classification.complexityScore * 100) : 0
+          timeoutBasis,
+          complexityScore: classification ? Math.round(classification.complexityScore * 100) : 0,
+          streamed: Boolean(completion.streamed),
+          firstTokenMs
         }
       };
 
     } catch (error) {
       clearTimeout(timeoutId);
+      clearTimeout(firstTokenTimer);
+      options.signal?.removeEventListener('abort', onCancel);
       
       // Enhanced error handling with classification context and detailed diagnostics
       let errorMessage = error.message;
       let errorCategory = 'unknown';
-      
-      if (error.name === 'AbortError') {
+      const errorCode = error.code || error.cause?.code;
+      
+      if (options.signal?.aborted) {
+        errorCategory = 'cancelled';
+        errorMessage = `Request cancelled by client after ${Math.round((Date.now() - requestStartTime) / 1000)}s`;
+      } else if (error.name === 'AbortError' && firstTokenTimedOut) {
+        errorCategory = 'first_token_timeout';
+        errorMessage = `No first token after ${this.firstTokenTimeout/1000}s (first-token deadline, ${timeoutToUse/1000}s full timeout) - backend is stalled or still loading the model`;
+      } else if (error.name === 'AbortError') {
         errorCategory = 'timeout';
+        // Censored sample: the real latency was at least the timeout that cut the request off
+        this.latencyModel.record({ ...latencyKey, latencyMs: timeoutToUse, censored: true });
         const isComplexTask = classification && classification.complexityScore > 0.6;
         const timeoutUsed = timeoutToUse / 1000;
         
@@ -1873,10 +3344,12 @@ This interaction is being recorded to improve future routing decisions. Similar
           errorMessage += ` (Request size: ${Math.round(requestSize/1024)}KB)`;
           errorMessage += ` | Try reducing prompt size or using Claude for complex analysis`;
         }
-      } else if (error.code === 'ECONNREFUSED') {
+      } else if (errorCode === 'ECONNREFUSED') {
         errorCategory = 'connection';
-        errorMessage = 'Connection refused - DeepSeek server not available (check LM Studio is running)';
-      } else if (error.code === 'ENOTFOUND') {
+        errorMessage = provider.name === 'local'
+          ? 'Connection refused - DeepSeek server not available (check LM Studio is running)'
+          : `Connection refused - ${provider.name} API not reachable at ${provider.baseURL}`;
+      } else if (errorCode === 'ENOTFOUND') {
         errorCategory = 'network';
         errorMessage = 'DNS resolution failed - check network connectivity and WSL networking';
       } else if (error.message.includes('fetch')) {
@@ -1894,15 +3367,24 @@ This interaction is being recorded to improve future routing decisions. Similar
         requestSize: Math.round(requestSize/1024) + 'KB',
         complexity: classification ? Math.round(classification.complexityScore * 100) + '%' : 'unknown',
         timeout: timeoutToUse/1000 + 's',
-        endpoint: this.baseURL
+        timeoutBasis,
+        provider: provider.name,
+        endpoint: provider.baseURL || this.baseURL
       };
       
-      console.error(`❌ DeepSeek error [${errorCategory}]:`, errorMessage);
+      console.error(`❌ ${provider.name} error [${errorCategory}]:`, errorMessage);
       console.error(`🔍 Diagnostics:`, JSON.stringify(diagnostics, null, 2));
       
       const enhancedError = new Error(errorMessage);
       enhancedError.category = errorCategory;
       enhancedError.diagnostics = diagnostics;
+      enhancedError.code = errorCode;
+      enhancedError.status = error.status;
+      enhancedError.retryAfter = error.retryAfter;
+      enhancedError.provider = provider.name;
+      enhancedError.timeoutMs = timeoutToUse;
+      // Lets empirical history partition failures by model, like successes
+      enhancedError.model = modelName;
       throw enhancedError;
     }
   }
@@ -1926,11 +3408,12 @@ This interaction is being recorded to improve future routing decisions. Similar
   async executeDeepseekWithClassification(prompt, options, classification) {
     // Create the main service call with classification context
     const serviceCall = async () => {
-      return await this.executeDeepseekQuery(prompt, options, classification);
+      return await this.executeWithRetry(prompt, options, classification);
     };
 
     // Enhanced fallback with routing context
     const fallbackCall = async () => {
+      options.signal?.throwIfAborted(); // A cancelled request gets no fallback answer
       if (config.getBoolean('FALLBACK_RESPONSE_ENABLED', true)) {
         console.error('🔄 DeepSeek unavailable, generating fallback with routing context');
         const fallback = await this.fallbackGenerator.generateFallbackResponse(prompt, options);
@@ -1996,11 +3479,16 @@ This interaction is being recorded to improve future routing decisions. Similar
           reason: classification.reason,
           confidence: Math.round(classification.confidence * 100),
           complexity_score: Math.round((classification.complexityScore || 0.5) * 100),
-          expected_success: Math.round((classification.expectedSuccess || 80))
+          expected_success: Math.round((classification.expectedSuccess || 80)),
+          router: classification.router || null
         }
       };
       
     } catch (error) {
+      if (options.signal?.aborted) {
+        this.routingMetrics.cancelledRoutes++;
+        throw error;
+      }
       this.routingMetrics.failedRoutes++;
       console.error('💥 Enhanced circuit breaker execution failed:', error);
       
@@ -2013,13 +3501,49 @@ This interaction is being recorded to improve future routing decisions. Similar
     }
   }
 
-  getEnhancedSystemPrompt(taskType, classification = null) {
+  /**
+   * Batch streamed deltas into throttled progress notifications
+   * (progress = characters received so far, message = the new text since the last notification)
+   */
+  createProgressStreamer(onProgress, onFirstToken) {
+    let pending = '';
+    let received = 0;
+    let lastSent = 0;
+    let started = false;
+
+    const send = () => {
+      if (!pending) return;
+      const message = pending;
+      pending = '';
+      lastSent = Date.now();
+      Promise.resolve(onProgress({ progress: received, message }))
+        .catch(error => console.error(`⚠️ Progress notification failed: ${error.message}`));
+    };
+
+    return {
+      onToken: (delta) => {
+        if (!started) {
+          started = true;
+          onFirstToken();
+        }
+        pending += delta;
+        received += delta.length;
+        if (Date.now() - lastSent >= this.progressInterval) {
+          send();
+        }
+      },
+      flush: send
+    };
+  }
+
+  getEnhancedSystemPrompt(taskType, classification = null, capabilities = null) {
     const basePrompts = {
       coding: "You are an expert software developer. Provide clean, efficient, and well-documented code solutions. Focus on single components and clear implementations.",
       game_dev: "You are an expert game developer. Focus on performance, user experience, and maintainable game architecture. Handle single components and specific implementations.",
       optimization: "You are a performance optimization expert. Analyze code for efficiency improvements and best practices.",
       debugging: "You are a debugging expert. Systematically analyze code to identify and fix issues. Excellent for single-component debugging.",
-      analysis: "You are a code analysis expert. Provide detailed insights about code quality, patterns, and improvements."
+      analysis: "You are a code analysis expert. Provide detailed insights about code quality, patterns, and improvements.",
+      creative: "You are a creative collaborator. Generate original, well-structured ideas and prose, and explain the choices behind them."
     };
 
     let systemPrompt = basePrompts[taskType] || basePrompts.coding;
@@ -2033,7 +3557,8 @@ This interaction is being recorded to improve future routing decisions. Similar
       }
     }
     
-    systemPrompt += "\n\n32K CONTEXT OPTIMIZED: You have access to a 32K context window optimized for RTX 5080 16GB VRAM. Provide comprehensive, detailed responses within token limits.";
+    const contextLength = capabilities?.contextLength || this.contextWindow;
+    systemPrompt += `\n\n${Math.round(contextLength / 1024)}K CONTEXT: You have access to a ${Math.round(contextLength / 1024)}K token context window. Provide comprehensive, detailed responses within token limits.`;
     
     return systemPrompt;
   }
@@ -2060,6 +3585,12 @@ This interaction is being recorded to improve future routing decisions. Similar
         timestamp: new Date().toISOString(),
         environment: config.get('environment'),
         
+        // Provider adapters and role assignments
+        providers: this.providers.describe(),
+        localServers: this.localEndpoints.listServers().map(server => ({ url: server.url, type: server.type, models: server.models.length, primary: server.url === this.baseURL, health: this.healthMonitor.stateOf(server.url) })),
+        endpointHealth: this.healthMonitor.describe(),
+        defaultModelCapabilities: this.describeModelCapabilities(this.modelCapabilities.get(this.defaultModel)),
+        
         // Empirical routing status
         empiricalRouting: {
           enabled: true,
@@ -2083,19 +3614,19 @@ This interaction is being recorded to improve future routing decisions. Similar
           routingPatterns: {
             simpleTaskPatterns: this.taskClassifier.simpleTaskPatterns.length,
             complexTaskPatterns: this.taskClassifier.complexTaskPatterns.length,
-            complexityIndicators: Object.keys(this.taskClassifier.complexityIndicators).length
-          }
+            complexityIndicators: Object.keys(this.taskClassifier.complexityIndicators).length,
+            keywordRules: this.taskClassifier.keywordRules.length
+          },
+          rules: this.classifierRules?.describe() || null,
+          classifierMode: this.classifierMode,
+          llmRouter: this.llmRouter ? this.llmRouter.describe() : null
         },
         
         // Routing metrics with empirical data
-        routingMetrics: {
-          ...this.routingMetrics,
-          deepseekAttemptRate: this.routingMetrics.totalQueries > 0 
-            ? Math.round((this.routingMetrics.deepseekAttempted / this.routingMetrics.totalQueries) * 100) 
-            : 0,
-          claudeRoutingRate: this.routingMetrics.totalQueries > 0 
-            ? Math.round((this.routingMetrics.claudeRouted / this.routingMetrics.totalQueries) * 100) 
-            : 0
+        routingMetrics: this.getRoutingMetrics(),
+        banditRouting: {
+          strategy: this.routingStrategy,
+          ...this.banditRouter.describe()
         },
 
         // Empirical routing statistics
@@ -2115,8 +3646,16 @@ This interaction is being recorded to improve future routing decisions. Similar
         configuration: {
           timeout: this.timeout,
           complexTimeout: this.complexTimeout,
+          dynamicTimeouts: this.dynamicTimeoutsEnabled ? this.latencyModel.describe() : false,
+          decisionJournal: this.decisionJournal ? this.decisionJournal.describe() : false,
           retryAttempts: this.retryAttempts,
+          failoverEnabled: this.failoverEnabled,
+          routingPolicy: this.empiricalRouter.policy.describe(),
+          qualityEvaluation: this.qualityEvaluationEnabled ? this.qualityEvaluator.describe() : false,
           maxRequestSize: Math.round(this.maxRequestSize/1024) + 'KB',
+          escalationMode: this.escalationMode,
+          claudeEscalationAvailable: this.providers.isAvailable('anthropic'),
+          samplingEscalationAvailable: this.providers.isAvailable('mcp_sampling'),
           fallbackEnabled: config.getBoolean('FALLBACK_RESPONSE_ENABLED', true),
           empiricalRoutingEnabled: true,
           fileAnalysisEnabled: true,
@@ -2135,6 +3674,7 @@ This interaction is being recorded to improve future routing decisions. Similar
         timestamp: new Date().toISOString(),
         environment: config.get('environment'),
         circuitBreaker: circuitStatus,
+        providers: this.providers?.describe() || null,
         empiricalRouting: {
           enabled: true,
           status: 'Available - routing guidance works offline'
@@ -2147,7 +3687,7 @@ This interaction is being recorded to improve future routing decisions. Similar
           enabled: true,
           status: 'Available - routing guidance works offline'
         },
-        routingMetrics: this.routingMetrics,
+        routingMetrics: this.getRoutingMetrics(),
         suggestion: 'Start LM Studio with DeepSeek model. Empirical routing and file analysis provide guidance regardless of server status.',
         diagnostics: await this.getDiagnostics()
       };
@@ -2158,47 +3698,100 @@ This interaction is being recorded to improve future routing decisions. Similar
   // (Keeping the same implementation as the current server)
   
   async getWorkingBaseURL() {
-    if (this.cachedIP && this.lastIPCheck && 
-        (Date.now() - this.lastIPCheck) < this.ipCacheTimeout) {
-      return `http://${this.cachedIP}:1234/v1`;
+    const endpoint = await this.localEndpoints.resolve();
+    this.baseURL = endpoint.url;
+    return this.baseURL;
+  }
+
+  /**
+   * The local server hosting a model (the primary endpoint when no catalogue lists it)
+   */
+  async resolveLocalServer(model) {
+    if (!this.baseURL) {
+      this.baseURL = await this.getWorkingBaseURL();
+    }
+    if (model && this.availableModels.length === 0) {
+      await this.getAvailableModels();
     }
+    return this.localEndpoints.serverFor(model);
+  }
 
-    console.error('🔍 Discovering WSL IP address...');
-    
-    for (const strategy of this.ipStrategies) {
-      try {
-        const ips = await strategy();
-        for (const ip of ips) {
-          if (await this.testConnection(ip)) {
-            this.cachedIP = ip;
-            this.lastIPCheck = Date.now();
-            this.baseURL = `http://${ip}:1234/v1`;
-            console.error(`✅ Found working DeepSeek server at ${ip}`);
-            return this.baseURL;
-          }
-        }
-      } catch (error) {
-        console.error(`❌ Strategy failed: ${strategy.name} - ${error.message}`);
-      }
+  /**
+   * Health monitor transition of one local endpoint: refresh the catalogue, and for the primary
+   * endpoint tell the circuit breaker
+   */
+  handleEndpointTransition(change) {
+    if (this.lastModelCheck) {
+      this.availableModels = this.localEndpoints.getCatalogue();
+      this.selectDefaultModel();
+    }
+    if (change.primary) {
+      this.reportHealthToCircuitBreaker(change);
     }
+  }
 
-    throw new Error('No working DeepSeek server found on any discoverable IP address');
+  /**
+   * The primary endpoint died or came back: stop using the dead URL at once instead of waiting
+   * for DEEPSEEK_IP_CACHE_TTL, and keep routing away from local while nothing answers
+   */
+  handlePrimaryEndpointChange({ from, to }) {
+    this.baseURL = to;
+    this.providers.setHealth('local', Boolean(to), to ? null : `No local model server reachable (last: ${from || 'none'})`);
+    if (to) {
+      console.error(`🔀 Local primary endpoint: ${from || 'none'} → ${to}`);
+      this.lastModelCheck = null; // Re-read the catalogue from the new primary on next use
+    }
   }
 
-  async testConnection(ip) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000);
+  /**
+   * The circuit breaker guards local model calls; when the local server is the primary backend,
+   * a down transition counts its failed probes against the breaker and a recovery counts as a success,
+   * so the breaker opens without waiting for user queries to time out. Breakers without
+   * recordFailure/recordSuccess only learn from real calls.
+   */
+  reportHealthToCircuitBreaker(change) {
+    if (this.providers.roles.primary !== 'local' || change.to === 'degraded') return;
+    if (change.to === 'healthy' && change.from === 'unknown') return;
+
+    if (change.to === 'down' && typeof this.circuitBreaker?.recordFailure === 'function') {
+      const error = new Error(`Local endpoint ${change.url} down: ${change.record.lastError}`);
+      for (let i = 0; i < change.record.consecutiveFailures; i++) {
+        this.circuitBreaker.recordFailure(error);
+      }
+    } else if (change.to === 'healthy' && typeof this.circuitBreaker?.recordSuccess === 'function') {
+      this.circuitBreaker.recordSuccess();
+    }
+  }
 
-      const response = await fetch(`http://${ip}:1234/v1/models`, {
-        signal: controller.signal
-      });
+  /**
+   * Default local model from the catalogue - see pickDefaultModel
+   */
+  selectDefaultModel() {
+    if (this.availableModels.length > 0) {
+      this.defaultModel = pickDefaultModel(this.availableModels);
+    }
+    this.applyDefaultModelCapabilities();
+  }
 
-      clearTimeout(timeoutId);
-      return response.ok;
-    } catch (error) {
-      return false;
+  /**
+   * contextWindow, maxResponseTokens and optimalTokens describe the default model
+   */
+  applyDefaultModelCapabilities() {
+    const capabilities = this.modelCapabilities.get(this.defaultModel);
+    this.contextWindow = capabilities.contextLength;
+    this.maxResponseTokens = capabilities.maxOutput;
+    this.optimalTokens = capabilities.optimalTokens;
+  }
+
+  /**
+   * Capabilities of the model a request will use - the requested one, else the default local model
+   */
+  async resolveModelCapabilities(model = null) {
+    await this.initialize();
+    if (!model && this.providers.roles.primary === 'local') {
+      await this.getAvailableModels();
     }
+    return this.modelCapabilities.get(model || this.defaultModel);
   }
 
   async getAvailableModels() {
@@ -2208,42 +3801,21 @@ This interaction is being recorded to improve future routing decisions. Similar
     }
 
     try {
-      if (!this.baseURL) {
-        this.baseURL = await this.getWorkingBaseURL();
-      }
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-      const response = await fetch(`${this.baseURL}/models`, {
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const data = await response.json();
-      this.availableModels = data.data || [];
+      // Every reachable local server, fingerprinted and merged into one catalogue
+      const servers = await this.localEndpoints.refreshCatalogue();
+      this.baseURL = this.localEndpoints.selected.url;
+      this.availableModels = this.localEndpoints.getCatalogue();
       this.lastModelCheck = Date.now();
+      this.selectDefaultModel();
 
-      if (this.availableModels.length > 0) {
-        const deepseekModel = this.availableModels.find(m => 
-          m.id.toLowerCase().includes('deepseek') || 
-          m.id.toLowerCase().includes('coder')
-        );
-        this.defaultModel = deepseekModel ? deepseekModel.id : this.availableModels[0].id;
-      }
-
-      console.error(`🔍 Found ${this.availableModels.length} models, using: ${this.defaultModel}`);
+      console.error(`🔍 Found ${this.availableModels.length} models on ${servers.map(server => `${server.type}@${server.url}`).join(', ')}, using: ${this.defaultModel}`);
       return this.availableModels;
 
     } catch (error) {
       console.error('Failed to get available models:', error.message);
       this.availableModels = [{ id: 'deepseek-coder' }, { id: 'local-model' }];
       this.defaultModel = 'deepseek-coder';
+      this.applyDefaultModelCapabilities();
       return this.availableModels;
     }
   }
@@ -2341,106 +3913,62 @@ This interaction is being recorded to improve future routing decisions. Similar
         maxFiles: this.fileAnalyzer.maxFiles,
         allowedExtensions: this.fileAnalyzer.allowedExtensions.length + ' types'
       },
-      routingMetrics: this.routingMetrics,
+      routingMetrics: this.getRoutingMetrics(),
+      providers: this.providers?.describe() || null,
+      localEndpoints: this.localEndpoints?.describe() || null,
+      endpointHealth: this.healthMonitor?.describe() || null,
+      modelCapabilities: this.modelCapabilities?.describe() || null,
       circuitBreaker: this.circuitBreaker?.getStatus() || null
     };
   }
 
   /**
    * TDD ATOMIC TASK 2: Basic connectivity status check
-   * Provides core health metrics for system monitoring with caching
+   * Answers from the health monitor's live endpoint states; probes first when its last check is
+   * stale and none is running
    */
   async checkStatus() {
     await this.initialize();
     
-    // REFACTOR PHASE: Implement caching for performance optimization
-    const now = Date.now();
-    if (this.statusCache && this.lastStatusCheck && 
-        (now - this.lastStatusCheck) < this.statusCacheTimeout) {
-      // Return cached status with updated timestamp
-      return {
-        ...this.statusCache,
-        health_data: {
-          ...this.statusCache.health_data,
-          timestamp: new Date().toISOString(),
-          cache_hit: true,
-          cache_age_ms: now - this.lastStatusCheck
-        }
-      };
-    }
+    const health = await this.healthMonitor.snapshot();
+    const primary = health.endpoints.find(endpoint => endpoint.url === health.primary) || null;
+    const online = primary !== null && primary.state !== 'down';
+    const error = online ? null : (primary?.lastError || 'No local model server reachable');
     
-    try {
-      // Test basic connectivity with performance timing
-      const testStartTime = Date.now();
-      if (!this.baseURL) {
-        this.baseURL = await this.getWorkingBaseURL();
+    return {
+      status: online ? (primary.state === 'degraded' ? 'degraded' : 'online') : 'offline',
+      connectivity: {
+        available: online,
+        endpoint: health.primary,
+        state: primary?.state || 'down',
+        response_time: primary?.lastLatencyMs ?? null,
+        ...(error ? { error } : {})
+      },
+      available_models: online ? this.localEndpoints.getCatalogue() : [],
+      default_model: online ? this.defaultModel : null,
+      last_response_time: primary?.lastLatencyMs ?? null,
+      error_rate: online
+        ? (this.routingMetrics.totalQueries > 0 ? Math.round((this.routingMetrics.failedRoutes / this.routingMetrics.totalQueries) * 100) : 0)
+        : 100,
+      endpoints: health.endpoints.map(endpoint => ({
+        url: endpoint.url,
+        state: endpoint.state,
+        latency_ms: endpoint.lastLatencyMs,
+        since: endpoint.lastChangeAt,
+        ...(endpoint.lastError ? { error: endpoint.lastError } : {})
+      })),
+      health_data: {
+        timestamp: new Date().toISOString(),
+        version: '6.1.1',
+        total_queries: this.routingMetrics.totalQueries,
+        successful_routes: this.routingMetrics.successfulRoutes,
+        failed_routes: this.routingMetrics.failedRoutes,
+        routing_accuracy: this.routingMetrics.routingAccuracy,
+        uptime: this.initialized ? 'running' : 'initializing',
+        last_health_check: health.lastCheckAt,
+        ...(error ? { last_error: error } : {})
       }
-
-      const models = await this.getAvailableModels();
-      const responseTime = Date.now() - testStartTime;
-      
-      const statusResult = {
-        status: 'online',
-        connectivity: {
-          available: true,
-          endpoint: this.baseURL,
-          response_time: responseTime
-        },
-        available_models: models,
-        default_model: this.defaultModel,
-        last_response_time: responseTime,
-        error_rate: this.routingMetrics.totalQueries > 0 
-          ? Math.round((this.routingMetrics.failedRoutes / this.routingMetrics.totalQueries) * 100) 
-          : 0,
-        health_data: {
-          timestamp: new Date().toISOString(),
-          version: '6.1.1',
-          total_queries: this.routingMetrics.totalQueries,
-          successful_routes: this.routingMetrics.successfulRoutes,
-          failed_routes: this.routingMetrics.failedRoutes,
-          routing_accuracy: this.routingMetrics.routingAccuracy,
-          uptime: this.initialized ? 'running' : 'initializing',
-          cache_hit: false
-        }
-      };
-
-      // Cache successful status for performance
-      this.statusCache = statusResult;
-      this.lastStatusCheck = now;
-      
-      return statusResult;
-
-    } catch (error) {
-      const responseTime = Date.now() - (Date.now() - 5000); // Approximate error response time
-      
-      const errorResult = {
-        status: 'offline',
-        connectivity: {
-          available: false,
-          endpoint: this.baseURL,
-          response_time: responseTime,
-          error: error.message
-        },
-        available_models: [],
-        default_model: null,
-        last_response_time: responseTime,
-        error_rate: 100,
-        health_data: {
-          timestamp: new Date().toISOString(),
-          version: '6.1.1',
-          total_queries: this.routingMetrics.totalQueries,
-          successful_routes: this.routingMetrics.successfulRoutes,
-          failed_routes: this.routingMetrics.failedRoutes + 1, // Include this check failure
-          routing_accuracy: this.routingMetrics.routingAccuracy,
-          uptime: 'error',
-          last_error: error.message,
-          cache_hit: false
-        }
-      };
-
-      // Don't cache error results - always retry on next request
-      return errorResult;
-    }
+    };
   }
 }
 
@@ -2550,6 +4078,9 @@ const server = new Server(
   }
 );
 
+// Escalations can delegate to the client's model when it advertises sampling
+bridge.attachSamplingServer(server);
+
 
 // Enhanced tool definitions with empirical routing + file analysis
 server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -2565,14 +4096,24 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             context: { type: 'string', description: 'Additional context to improve classification accuracy' },
             task_type: {
               type: 'string',
-              enum: ['coding', 'game_dev', 'analysis', 'debugging', 'optimization'],
+              enum: QUERY_TASK_TYPES,
               description: 'Type of task for optimized processing'
             },
             model: { type: 'string', description: 'Specific DeepSeek model to use (if routed to DeepSeek)' },
+            provider: {
+              type: 'string',
+              enum: ['local', 'openai', 'anthropic', 'google', 'deepseek', 'nvidia'],
+              description: 'Override the configured PRIMARY_API / SECONDARY_API / LOCAL_API selection for this request'
+            },
             force_deepseek: { 
               type: 'boolean', 
               default: false,
               description: 'Force DeepSeek execution even for complex tasks (reduced success rate)'
+            },
+            escalation_mode: {
+              type: 'string',
+              enum: ['execute', 'sampling', 'anthropic', 'advice'],
+              description: 'On empirical failure: "execute" re-runs the prompt via MCP client sampling or the Claude API (default from ESCALATION_MODE), "sampling"/"anthropic" pin one backend, "advice" only returns routing guidance'
             }
           },
           required: ['prompt']
@@ -2622,7 +4163,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               enum: ['coding', 'game_dev', 'analysis', 'architecture', 'debugging', 'optimization'],
               description: 'Type of task to optimize DeepSeek response'
             },
-            model: { type: 'string', description: 'Specific DeepSeek model to use' }
+            model: { type: 'string', description: 'Specific DeepSeek model to use' },
+            provider: {
+              type: 'string',
+              enum: ['local', 'openai', 'anthropic', 'google', 'deepseek', 'nvidia'],
+              description: 'Override the configured provider selection for this request'
+            }
           },
           required: ['prompt']
         }
@@ -2687,13 +4233,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             chunk_size: {
               type: 'number',
-              default: 20000,
-              description: 'Target chunk size in tokens (default: 20K for optimal DeepSeek processing)'
+              description: 'Target chunk size in tokens (default: 80% of max_chunk_size)'
             },
             max_chunk_size: {
               type: 'number',
-              default: 25000,
-              description: 'Maximum chunk size in tokens (default: 25K)'
+              description: 'Maximum chunk size in tokens (default: what the local model\'s prompt budget holds - 24K for a 32K context)'
             },
             preserve_semantics: {
               type: 'boolean',
@@ -2923,6 +4467,121 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['filePaths']
         }
       },
+      {
+        name: 'rate_response',
+        description: '👍 **RATE A RESPONSE** - Report whether an enhanced_query_deepseek answer was actually useful. Pass the response_id from that answer with a good/bad verdict; bad ratings turn the recorded success into a failure so empirical routing stops trusting patterns that return wrong code. The last 500 response ids stay ratable, across restarts while EMPIRICAL_PERSISTENCE_ENABLED is on.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            response_id: { type: 'string', description: 'The response_id returned by enhanced_query_deepseek' },
+            verdict: { type: 'string', enum: ['good', 'bad'], description: 'Whether the response was useful' },
+            reason: { type: 'string', description: 'Optional reason, e.g. "code does not compile"' }
+          },
+          required: ['response_id', 'verdict']
+        }
+      },
+      {
+        name: 'preview_route',
+        description: '🔭 **ROUTE PREVIEW (DRY RUN)** - Show where enhanced_query_deepseek would send a prompt without calling any model: matched classifier patterns, complexity factors, empirical policy decision, predicted backend and failover chain, timeout and its basis, max_tokens, and estimated prompt tokens against the context window.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            prompt: { type: 'string', description: 'The prompt to preview' },
+            context: { type: 'string', description: 'Additional context, as for enhanced_query_deepseek' },
+            task_type: {
+              type: 'string',
+              enum: QUERY_TASK_TYPES,
+              description: 'Task type, as for enhanced_query_deepseek'
+            },
+            model: { type: 'string', description: 'Specific model, as for enhanced_query_deepseek' },
+            provider: { type: 'string', description: 'Provider override, as for enhanced_query_deepseek' },
+            force_deepseek: { type: 'boolean', default: false, description: 'Preview with the empirical policy overridden' },
+            escalation_mode: {
+              type: 'string',
+              enum: ['execute', 'sampling', 'anthropic', 'advice'],
+              description: 'Escalation mode, as for enhanced_query_deepseek'
+            }
+          },
+          required: ['prompt']
+        }
+      },
+      {
+        name: 'query_routing_journal',
+        description: '🧾 **ROUTING DECISION JOURNAL** - Inspect why enhanced_query_deepseek calls were routed where they were: fingerprint, classification, policy decision, backend, timings, outcome and failure analysis per call (prompts are hashed or redacted). Filter by time range, domain, outcome or backend; export as JSONL.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            since: { type: 'string', description: 'Start of the time range: ISO timestamp, epoch ms, or a relative duration such as "30m", "24h", "7d"' },
+            until: { type: 'string', description: 'End of the time range (same formats as since)' },
+            domain: {
+              type: 'string',
+              enum: FINGERPRINT_DOMAINS,
+              description: 'Only entries whose fingerprint has this domain'
+            },
+            outcome: {
+              type: 'string',
+              enum: ['success', 'escalated', 'policy_escalated', 'guidance', 'cancelled', 'error'],
+              description: 'Only entries with this outcome'
+            },
+            backend: { type: 'string', description: 'Backend that served or was attempted, e.g. "local", "openai"' },
+            limit: { type: 'number', default: 20, description: 'Maximum entries to return (newest first)' },
+            format: { type: 'string', enum: ['summary', 'jsonl'], default: 'summary', description: 'summary for a readable list, jsonl to export the matching entries' }
+          }
+        }
+      },
+      {
+        name: 'evaluate_classifier',
+        description: '🧪 **CLASSIFIER EVALUATION** - Run the routing classifier offline over a JSONL file of labelled prompts ({"prompt", "expected_route": "deepseek"|"claude", "expected_task_type"?, "id"?, "context"?}) and report route and task_type confusion matrices, per-rule hit counts and misrouted examples. Optionally scores the empirical policy too, and diffs against a saved baseline so rule changes can be reviewed with data.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            dataset_path: { type: 'string', description: 'Path to the JSONL dataset' },
+            baseline_path: { type: 'string', description: 'Baseline JSON to diff against (missing file = no diff)' },
+            save_baseline: { type: 'boolean', default: false, description: 'Write this run to baseline_path after diffing' },
+            include_policy: { type: 'boolean', default: false, description: 'Also score the empirical policy dry-run decision (uses live routing history)' },
+            use_llm_router: { type: 'boolean', default: false, description: 'Classify through the LLM router (CLASSIFIER_MODE=llm/blend) instead of the regex rules alone' },
+            max_examples: { type: 'number', default: 5000, description: 'Evaluate at most this many examples' },
+            max_misrouted: { type: 'number', default: 20, description: 'Misrouted examples to list' }
+          },
+          required: ['dataset_path']
+        }
+      },
+      {
+        name: 'plan_and_execute',
+        description: '🗺️ **PLAN AND EXECUTE** - Turn a complex request into a structured plan and run it: planning steps (design, decomposition, integration) on a strong backend, implementation steps on the local coder model. Steps run in dependency order with earlier outputs passed as context; failed steps are retried. Returns the combined deliverable with per-step status and timings.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            prompt: { type: 'string', description: 'The complex request to plan and execute' },
+            context: { type: 'string', description: 'Additional context shared with every step' },
+            task_type: {
+              type: 'string',
+              enum: ['coding', 'game_dev', 'analysis', 'debugging', 'unity', 'creative'],
+              description: 'Task type for implementation steps (default coding)'
+            },
+            planning_backend: { type: 'string', description: 'Role or provider for planning steps (default: escalation backend, then primary)' },
+            implementation_backend: { type: 'string', description: 'Role or provider for implementation steps (default: local, then primary)' },
+            max_steps: { type: 'number', default: 8, description: 'Maximum plan steps' },
+            step_retries: { type: 'number', default: 1, description: 'Retries per failed step (and for planning)' }
+          },
+          required: ['prompt']
+        }
+      },
+      {
+        name: 'manage_local_models',
+        description: '🧊 **LOCAL MODEL LIFECYCLE** - List the models on the local servers with their load state (loaded / not-loaded), load or unload a model through LM Studio\'s REST model API (or Ollama\'s keep_alive), send a warm-up request so the next query skips the cold load, or keep a model loaded with periodic pings. Routing prefers models that are already loaded.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['list', 'load', 'unload', 'warm', 'keep_alive'], description: 'What to do' },
+            model: { type: 'string', description: 'Model id, as listed (required except for list)' },
+            context_length: { type: 'number', description: 'load: context length to load the model with' },
+            ttl_seconds: { type: 'number', description: 'load/warm: idle seconds before the server may unload the model again' },
+            enabled: { type: 'boolean', default: true, description: 'keep_alive: start (true) or stop (false) pinging the model' }
+          },
+          required: ['action']
+        }
+      },
       {
         name: 'diagnose_file_access',
         description: '🔧 **FILE ACCESS DIAGNOSTICS** - Diagnose file access issues with comprehensive validation. Tests path normalization, security validation, file access permissions, and size validation. Provides detailed diagnostic information for troubleshooting file operations.',
@@ -2998,9 +4657,11 @@ class MCPToolPerformanceOptimizer {
         return {
           prompt: args.prompt,
           context: args.context || '',
-          task_type: args.task_type || 'coding',
+          task_type: args.task_type, // Unset lets classifier rules choose; 'coding' otherwise
           model: args.model,
-          force_deepseek: Boolean(args.force_deepseek)
+          provider: args.provider,
+          force_deepseek: Boolean(args.force_deepseek),
+          escalation_mode: args.escalation_mode
         };
       },
       
@@ -3048,8 +4709,8 @@ class MCPToolPerformanceOptimizer {
           allowed_extensions: args.allowed_extensions || ['.js', '.ts', '.py', '.md', '.json', '.txt'],
           concurrency: Math.min(args.concurrency || 5, 10),
           enable_chunking: args.enable_chunking !== false,
-          chunk_size: args.chunk_size || 20000,
-          max_chunk_size: args.max_chunk_size || 25000,
+          chunk_size: args.chunk_size,
+          max_chunk_size: args.max_chunk_size,
           preserve_semantics: args.preserve_semantics !== false,
           include_project_context: args.include_project_context !== false
         };
@@ -3060,7 +4721,8 @@ class MCPToolPerformanceOptimizer {
           prompt: args.prompt,
           context: args.context,
           task_type: args.task_type,
-          model: args.model
+          model: args.model,
+          provider: args.provider
         };
       },
       
@@ -3132,6 +4794,104 @@ class MCPToolPerformanceOptimizer {
         return {
           filePath: args.filePath
         };
+      },
+      
+      rate_response: (args) => {
+        if (!args.response_id || typeof args.response_id !== 'string') {
+          throw new Error('Invalid response_id parameter');
+        }
+        if (args.verdict !== 'good' && args.verdict !== 'bad') {
+          throw new Error('Invalid verdict parameter - expected "good" or "bad"');
+        }
+        return {
+          response_id: args.response_id,
+          verdict: args.verdict,
+          reason: typeof args.reason === 'string' ? args.reason : ''
+        };
+      },
+      
+      preview_route: (args) => {
+        if (!args.prompt || typeof args.prompt !== 'string') {
+          throw new Error('Invalid prompt parameter');
+        }
+        return {
+          prompt: args.prompt,
+          context: args.context || '',
+          task_type: args.task_type,
+          model: args.model,
+          provider: args.provider,
+          force_deepseek: Boolean(args.force_deepseek),
+          escalation_mode: args.escalation_mode
+        };
+      },
+      
+      query_routing_journal: (args) => {
+        // Validated here, resolved at execution time: validated params are cached and "24h" must stay relative
+        parseTimeFilter(args.since, 'since');
+        parseTimeFilter(args.until, 'until');
+        if (args.format !== undefined && args.format !== 'summary' && args.format !== 'jsonl') {
+          throw new Error('Invalid format parameter - expected "summary" or "jsonl"');
+        }
+        return {
+          since: args.since,
+          until: args.until,
+          domain: args.domain || undefined,
+          outcome: args.outcome || undefined,
+          backend: args.backend || undefined,
+          limit: Math.min(Math.max(Number(args.limit) || 20, 1), 1000),
+          format: args.format || 'summary'
+        };
+      },
+      
+      plan_and_execute: (args) => {
+        if (!args.prompt || typeof args.prompt !== 'string') {
+          throw new Error('Invalid prompt parameter');
+        }
+        return {
+          prompt: args.prompt,
+          context: args.context || '',
+          task_type: args.task_type,
+          planning_backend: args.planning_backend || undefined,
+          implementation_backend: args.implementation_backend || undefined,
+          max_steps: Math.min(Math.max(Number(args.max_steps) || config.getNumber('PLAN_MAX_STEPS', 8), 2), 20),
+          step_retries: Math.min(Math.max(args.step_retries === undefined ? config.getNumber('PLAN_STEP_RETRIES', 1) : Number(args.step_retries) || 0, 0), 3)
+        };
+      },
+      
+      manage_local_models: (args) => {
+        const actions = ['list', 'load', 'unload', 'warm', 'keep_alive'];
+        if (!actions.includes(args.action)) {
+          throw new Error(`Invalid action parameter - expected one of: ${actions.join(', ')}`);
+        }
+        if (args.action !== 'list' && (!args.model || typeof args.model !== 'string')) {
+          throw new Error(`Invalid model parameter - required for ${args.action}`);
+        }
+        const positive = value => Number(value) > 0 ? Math.round(Number(value)) : null;
+        return {
+          action: args.action,
+          model: args.model || null,
+          context_length: positive(args.context_length),
+          ttl_seconds: positive(args.ttl_seconds),
+          enabled: args.enabled !== false
+        };
+      },
+      
+      evaluate_classifier: (args) => {
+        if (!args.dataset_path || typeof args.dataset_path !== 'string') {
+          throw new Error('Invalid dataset_path parameter');
+        }
+        if (args.save_baseline && !args.baseline_path) {
+          throw new Error('save_baseline needs a baseline_path');
+        }
+        return {
+          dataset_path: args.dataset_path,
+          baseline_path: args.baseline_path || null,
+          save_baseline: Boolean(args.save_baseline),
+          include_policy: Boolean(args.include_policy),
+          use_llm_router: Boolean(args.use_llm_router),
+          max_examples: Math.min(Math.max(Number(args.max_examples) || 5000, 1), 50000),
+          max_misrouted: Math.min(Math.max(Number(args.max_misrouted) || 20, 1), 500)
+        };
       }
     };
   }
@@ -3171,19 +4931,19 @@ class MCPToolPerformanceOptimizer {
   /**
    * ⚡ CONCURRENT execution optimization for youtu routing
    */
-  async executeWithYoutuOptimization(toolName, optimizedParams) {
+  async executeWithYoutuOptimization(toolName, optimizedParams, requestContext = {}) {
     const startTime = performance.now();
     
     // Special youtu routing optimization
     if (this.shouldUseYoutuAgent(toolName, optimizedParams)) {
       console.error('⚡ OPTIMIZER: Routing through youtu agent for optimal performance');
-      const result = await this.executeYoutuOptimized(toolName, optimizedParams);
+      const result = await this.executeYoutuOptimized(toolName, optimizedParams, requestContext);
       this.recordExecutionTime(toolName, performance.now() - startTime);
       return result;
     }
     
     // Standard optimized execution
-    const result = await this.executeStandardOptimized(toolName, optimizedParams);
+    const result = await this.executeStandardOptimized(toolName, optimizedParams, requestContext);
     this.recordExecutionTime(toolName, performance.now() - startTime);
     return result;
   }
@@ -3199,7 +4959,7 @@ class MCPToolPerformanceOptimizer {
     return false;
   }
 
-  async executeYoutuOptimized(toolName, params) {
+  async executeYoutuOptimized(toolName, params, requestContext = {}) {
     // Execute with youtu agent optimization pathway
     switch (toolName) {
       case 'analyze_files':
@@ -3211,7 +4971,9 @@ class MCPToolPerformanceOptimizer {
           maxFiles: params.max_files,
           includeProjectContext: params.include_project_context,
           youtuOptimized: true, // Enable ALL youtu optimizations
-          task_type: 'analysis'
+          task_type: 'analysis',
+          onProgress: requestContext.onProgress,
+          signal: requestContext.signal
         });
         
         // Return youtu-enhanced results with full optimization metrics
@@ -3235,24 +4997,29 @@ class MCPToolPerformanceOptimizer {
         }
         return await this.bridge.enhancedQuery(params.prompt, {
           ...params,
-          youtuPreprocessing: true // Enable youtu preprocessing
+          youtuPreprocessing: true, // Enable youtu preprocessing
+          onProgress: requestContext.onProgress,
+          signal: requestContext.signal
         });
         
       default:
-        return await this.executeStandardOptimized(toolName, params);
+        return await this.executeStandardOptimized(toolName, params, requestContext);
     }
   }
 
-  async executeStandardOptimized(toolName, params) {
+  async executeStandardOptimized(toolName, params, requestContext = {}) {
     // Standard execution with performance optimization
     switch (toolName) {
       case 'enhanced_query_deepseek':
         if (params.force_deepseek) {
           console.error('⚠️ FORCE DEEPSEEK: Overriding empirical routing recommendation');
-          const classification = this.bridge.taskClassifier.classify(params.prompt, params.context);
+          const classification = await this.bridge.classifyPrompt(params.prompt, params.context, { signal: requestContext.signal });
           return await this.bridge.executeDeepseekWithClassification(params.prompt, {
             task_type: params.task_type,
-            model: params.model
+            model: params.model,
+            provider: params.provider,
+            onProgress: requestContext.onProgress,
+            signal: requestContext.signal
           }, classification);
         } else {
           if (!this.bridge.enhancedQuery) {
@@ -3261,7 +5028,11 @@ class MCPToolPerformanceOptimizer {
             console.error('🔍 Available methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(this.bridge)).filter(name => typeof this.bridge[name] === 'function'));
             throw new Error('Bridge enhancedQuery method not available - bridge may not be properly initialized');
           }
-          return await this.bridge.enhancedQuery(params.prompt, params);
+          return await this.bridge.enhancedQuery(params.prompt, {
+            ...params,
+            onProgress: requestContext.onProgress,
+            signal: requestContext.signal
+          });
         }
         
       case 'analyze_files':
@@ -3272,7 +5043,9 @@ class MCPToolPerformanceOptimizer {
           pattern: params.pattern,
           maxFiles: params.max_files,
           includeProjectContext: params.include_project_context,
-          task_type: 'analysis'
+          task_type: 'analysis',
+          onProgress: requestContext.onProgress,
+          signal: requestContext.signal
         });
         
         // Return combined results with optimization metrics
@@ -3290,7 +5063,10 @@ class MCPToolPerformanceOptimizer {
         const fullPrompt = params.context ? `Context: ${params.context}\n\nTask: ${params.prompt}` : params.prompt;
         return await this.bridge.queryDeepseek(fullPrompt, {
           task_type: params.task_type,
-          model: params.model
+          model: params.model,
+          provider: params.provider,
+          onProgress: requestContext.onProgress,
+          signal: requestContext.signal
         });
         
       case 'check_deepseek_status':
@@ -3301,35 +5077,57 @@ class MCPToolPerformanceOptimizer {
         return { classification, context: params.context, goal: params.goal };
         
       case 'calculate_game_balance':
-        return await this.executeGameBalanceCalculation(params);
+        return await this.executeGameBalanceCalculation(params, requestContext.signal);
         
       case 'intelligent_refactor':
-        return await this.executeIntelligentRefactor(params);
+        return await this.executeIntelligentRefactor(params, requestContext.signal);
         
       case 'youtu_agent_analyze_files':
-        return await this.executeYoutuAgentAnalysis(params);
+        return await this.executeYoutuAgentAnalysis(params, requestContext.signal);
         
       case 'analyze_file_with_triple_routing':
-        return await this.executeAnalyzeFileWithTripleRouting(params);
+        return await this.executeAnalyzeFileWithTripleRouting(params, requestContext.signal);
         
       case 'process_batch_with_routing':
-        return await this.executeProcessBatchWithRouting(params);
+        return await this.executeProcessBatchWithRouting(params, requestContext.signal);
         
       case 'compare_files_with_ai':
-        return await this.executeCompareFilesWithAI(params);
+        return await this.executeCompareFilesWithAI(params, requestContext.signal);
         
       case 'process_concurrent_batch':
-        return await this.executeProcessConcurrentBatch(params);
+        return await this.executeProcessConcurrentBatch(params, requestContext.signal);
         
       case 'diagnose_file_access':
         return await this.executeDiagnoseFileAccess(params);
         
+      case 'rate_response':
+        return await this.bridge.rateResponse(params.response_id, params.verdict, params.reason);
+        
+      case 'preview_route':
+        return await this.bridge.previewRoute(params.prompt, params);
+        
+      case 'query_routing_journal':
+        return await this.bridge.queryDecisionJournal(params);
+        
+      case 'evaluate_classifier':
+        return await this.bridge.evaluateClassifier(params);
+        
+      case 'plan_and_execute':
+        return await this.bridge.planAndExecute(params.prompt, {
+          ...params,
+          onProgress: requestContext.onProgress,
+          signal: requestContext.signal
+        });
+        
+      case 'manage_local_models':
+        return await this.bridge.manageLocalModels(params);
+        
       default:
         throw new Error(`Tool ${toolName} not implemented in optimizer`);
     }
   }
 
-  async executeGameBalanceCalculation(params) {
+  async executeGameBalanceCalculation(params, signal = null) {
     // Mathematical reasoning for game balance calculations using DeepSeek
     try {
       const mathPrompt = this.buildMathematicalReasoningPrompt(params);
@@ -3337,7 +5135,8 @@ class MCPToolPerformanceOptimizer {
       const result = await this.bridge.queryDeepseek(mathPrompt, {
         task_type: 'mathematical_reasoning',
         temperature: 0.1, // Lower for consistent math
-        max_tokens: 4000
+        max_tokens: 4000,
+        signal
       });
       
       return {
@@ -3350,6 +5149,7 @@ class MCPToolPerformanceOptimizer {
         }]
       };
     } catch (error) {
+      if (signal?.aborted) throw error;
       return {
         error: `Mathematical reasoning failed: ${error.message}`,
         analysisResults: []
@@ -3394,7 +5194,7 @@ class MCPToolPerformanceOptimizer {
 **Provide concrete numbers, formulas, and mathematical reasoning for all recommendations.**`;
   }
 
-  async executeIntelligentRefactor(params) {
+  async executeIntelligentRefactor(params, signal = null) {
     // Fill-in-the-Middle refactoring using DeepSeek
     try {
       const fimPrompt = this.buildFIMPrompt(params);
@@ -3402,7 +5202,8 @@ class MCPToolPerformanceOptimizer {
       const result = await this.bridge.queryDeepseek(fimPrompt, {
         task_type: 'code_refactoring',
         temperature: 0.2, // Slightly higher for creative code solutions
-        max_tokens: 3000
+        max_tokens: 3000,
+        signal
       });
       
       return {
@@ -3416,6 +5217,7 @@ class MCPToolPerformanceOptimizer {
         }]
       };
     } catch (error) {
+      if (signal?.aborted) throw error;
       return {
         error: `FIM refactoring failed: ${error.message}`,
         refactoringResults: []
@@ -3476,7 +5278,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
     return response;
   }
 
-  async executeYoutuAgentAnalysis(params) {
+  async executeYoutuAgentAnalysis(params, signal = null) {
     // High-performance youtu agent execution
     const youtAgent = new YoutAgentFileSystem({
       maxFileSize: params.max_file_size,
@@ -3484,10 +5286,13 @@ Please provide the complete code with the insertion, followed by your analysis.`
       securityValidation: true
     });
 
+    // Unset sizes follow the prompt budget of the local model the chunks are meant for
+    const sizes = chunkSizesFor(await this.bridge.resolveModelCapabilities());
+    const maxChunkSize = params.max_chunk_size || sizes.maxChunkSize;
     const contextChunker = new YoutAgentContextChunker({
-      targetChunkSize: params.chunk_size,
-      maxChunkSize: params.max_chunk_size,
-      minChunkSize: 5000,
+      targetChunkSize: Math.min(params.chunk_size || sizes.targetChunkSize, maxChunkSize),
+      maxChunkSize,
+      minChunkSize: sizes.minChunkSize,
       overlapTokens: 200,
       semanticBoundaries: params.preserve_semantics,
       preserveStructure: true,
@@ -3500,6 +5305,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
     // Concurrent file processing for MAXIMUM SPEED
     const processingPromises = params.files.map(async (filePath) => {
       try {
+        signal?.throwIfAborted();
         const stats = await fs.stat(filePath);
         if (stats.isDirectory()) {
           const detectedFiles = await youtAgent.detectFiles(filePath);
@@ -3520,6 +5326,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
     });
 
     const allResults = await Promise.all(processingPromises);
+    signal?.throwIfAborted();
     analysisResults.push(...allResults.flat());
 
     const successfulReads = analysisResults.filter(r => r.success);
@@ -3546,6 +5353,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
         });
 
       chunkingResults.push(...await Promise.all(chunkingPromises));
+      signal?.throwIfAborted();
     }
 
     return { analysisResults, chunkingResults, successfulReads };
@@ -3642,7 +5450,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
   // ATOMIC TASK 5: ENHANCED FILE OPERATIONS EXECUTION METHODS
   // ===============================
   
-  async executeAnalyzeFileWithTripleRouting(params) {
+  async executeAnalyzeFileWithTripleRouting(params, signal = null) {
     try {
       // Import FileProcessor
       const fileProcessorModule = await import('./src/file-processor.js');
@@ -3651,7 +5459,8 @@ Please provide the complete code with the insertion, followed by your analysis.`
       const result = await FileProcessor.analyzeFileWithTripleRouting(params.filePath, {
         analysisType: params.analysisType,
         temperature: params.temperature,
-        max_tokens: params.max_tokens
+        max_tokens: params.max_tokens,
+        signal
       });
       
       return {
@@ -3664,6 +5473,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
       };
       
     } catch (error) {
+      if (signal?.aborted) throw error;
       return {
         success: false,
         error: `File analysis failed: ${error.message}`,
@@ -3672,7 +5482,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
     }
   }
   
-  async executeProcessBatchWithRouting(params) {
+  async executeProcessBatchWithRouting(params, signal = null) {
     try {
       // Import FileProcessor
       const fileProcessorModule = await import('./src/file-processor.js');
@@ -3681,7 +5491,8 @@ Please provide the complete code with the insertion, followed by your analysis.`
       const result = await FileProcessor.processBatchWithRouting(params.filePaths, {
         maxConcurrent: params.maxConcurrent,
         memoryLimit: params.memoryLimit,
-        routingRules: params.routingRules
+        routingRules: params.routingRules,
+        signal
       });
       
       return {
@@ -3695,6 +5506,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
       };
       
     } catch (error) {
+      if (signal?.aborted) throw error;
       return {
         success: false,
         error: `Batch processing failed: ${error.message}`,
@@ -3703,7 +5515,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
     }
   }
   
-  async executeCompareFilesWithAI(params) {
+  async executeCompareFilesWithAI(params, signal = null) {
     try {
       // Import FileProcessor
       const fileProcessorModule = await import('./src/file-processor.js');
@@ -3711,7 +5523,8 @@ Please provide the complete code with the insertion, followed by your analysis.`
       
       const result = await FileProcessor.compareFilesWithAI(params.filePaths, {
         comparisonType: params.comparisonType,
-        analysisDepth: params.analysisDepth
+        analysisDepth: params.analysisDepth,
+        signal
       });
       
       return {
@@ -3725,6 +5538,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
       };
       
     } catch (error) {
+      if (signal?.aborted) throw error;
       return {
         success: false,
         error: `File comparison failed: ${error.message}`,
@@ -3733,7 +5547,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
     }
   }
   
-  async executeProcessConcurrentBatch(params) {
+  async executeProcessConcurrentBatch(params, signal = null) {
     try {
       // Import FileProcessor
       const fileProcessorModule = await import('./src/file-processor.js');
@@ -3743,7 +5557,8 @@ Please provide the complete code with the insertion, followed by your analysis.`
         maxConcurrent: params.maxConcurrent,
         memoryLimit: params.memoryLimit,
         timeoutPerFile: params.timeoutPerFile,
-        routingStrategy: params.routingStrategy
+        routingStrategy: params.routingStrategy,
+        signal
       });
       
       return {
@@ -3759,6 +5574,7 @@ Please provide the complete code with the insertion, followed by your analysis.`
       };
       
     } catch (error) {
+      if (signal?.aborted) throw error;
       return {
         success: false,
         error: `Concurrent processing failed: ${error.message}`,
@@ -3802,6 +5618,7 @@ async function initializeSystem() {
   try {
     // Initialize bridge first
     await bridge.initialize();
+    cleanupTasks.push(() => bridge.shutdown());
     
     // Bridge is ready - now create performance optimizer
     performanceOptimizer = new MCPToolPerformanceOptimizer(bridge);
@@ -3815,10 +5632,30 @@ async function initializeSystem() {
 
 // System will initialize before server starts - see bottom of file
 
+/**
+ * Per-call context threaded alongside the (cached) tool parameters.
+ * onProgress is only set when the client sent a progressToken; signal carries cancellation.
+ */
+function createRequestContext(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  // extra.signal aborts when the client sends notifications/cancelled for this request
+  const context = { onProgress: null, signal: extra?.signal || null };
+
+  if (progressToken !== undefined && extra?.sendNotification) {
+    context.onProgress = ({ progress, total, message }) => extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    });
+  }
+
+  return context;
+}
+
 // ⚡ BLAZING FAST Enhanced tool handlers with performance optimization
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
   const requestStart = performance.now();
+  const requestContext = createRequestContext(request, extra);
 
   try {
     // ⚡ GRACEFUL STARTUP: Allow basic functionality during optimizer startup
@@ -3833,7 +5670,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const optimizedParams = await performanceOptimizer.optimizeParameters(name, args);
     
     // ⚡ STEP 2: Execute with youtu routing optimization (TARGET: <100ms routing)
-    const executionResult = await performanceOptimizer.executeWithYoutuOptimization(name, optimizedParams);
+    const executionResult = await performanceOptimizer.executeWithYoutuOptimization(name, optimizedParams, requestContext);
     
     // ⚡ STEP 3: Format response with performance metrics
     const totalTime = performance.now() - requestStart;
@@ -3877,15 +5714,44 @@ async function formatOptimizedResponse(toolName, result, performanceData) {
         };
       }
       
-      let responseText = `**DeepSeek Response (OPTIMIZER-Enhanced Routing):**\n\n${result.response}`;
+      let responseText = `**${result.routing_decision?.escalated ? 'Claude' : 'DeepSeek'} Response (OPTIMIZER-Enhanced Routing):**\n\n${result.response}`;
       
       // TDD GREEN PHASE: Enhanced metadata display
       if (result.routing_decision) {
         responseText += `\n\n**🎯 Routing Decision:**\n- Service: ${result.routing_decision.service}\n- Method: ${result.routing_decision.method}\n- Reason: ${result.routing_decision.reason}\n- Confidence: ${result.routing_decision.confidence}%`;
+        if (result.routing_decision.escalated) {
+          responseText += `\n- Escalated From: ${result.routing_decision.escalated_from} (${result.routing_decision.escalation_reason})`;
+        }
+      }
+
+      if (result.response_id) {
+        responseText += `\n\n**🆔 Response ID:** ${result.response_id} (rate it with rate_response)`;
+      }
+
+      if (result.quality) {
+        responseText += `\n\n**🧪 Response Quality:** ${Math.round(result.quality.score * 100)}%${result.quality.issues.length > 0 ? ` (${result.quality.issues.map(issue => issue.code).join(', ')})` : ''}`;
+      }
+
+      if (result.requestMetrics?.timeoutBasis) {
+        const basis = result.requestMetrics.timeoutBasis;
+        responseText += `\n\n**⏱️ Timeout:** ${result.requestMetrics.timeoutUsed}s (${basis.source === 'latency_model' ? `p${basis.percentile} ${Math.round(basis.observedMs / 1000)}s over ${basis.samples} samples at ${basis.level} level x ${basis.safetyFactor}${basis.clamped ? `, clamped to ${basis.clamped}` : ''}` : basis.reason})`;
+      }
+
+      if (result.retry_attempts?.length > 1) {
+        responseText += `\n\n**🔁 Attempts (${result.retry_attempts.length}):**`;
+        result.retry_attempts.forEach(attempt => {
+          responseText += `\n- ${attempt.provider} #${attempt.attempt}: ${attempt.outcome === 'success' ? 'success' : `${attempt.decision} - ${attempt.reason}`} (${attempt.duration_ms}ms)`;
+        });
       }
 
       if (result.empirical_routing) {
         responseText += `\n\n**📊 Empirical Routing Analysis:**\n- Decision: ${result.empirical_routing.decision_reason}`;
+        if (result.empirical_routing.backend_selection) {
+          responseText += `\n- Backend: ${result.empirical_routing.backend_selection.backend} (${result.empirical_routing.backend_selection.strategy} routing)`;
+        }
+        if (result.empirical_routing.policy_decision) {
+          responseText += `\n- Policy: ${result.empirical_routing.policy_decision.action} (${result.empirical_routing.policy_decision.confidence}% confidence)`;
+        }
         if (result.empirical_routing.historical_data) {
           responseText += `\n- Success Rate: ${Math.round(result.empirical_routing.historical_data.successRate * 100)}%`;
           responseText += `\n- Total Executions: ${result.empirical_routing.historical_data.totalExecutions}`;
@@ -3897,13 +5763,19 @@ async function formatOptimizedResponse(toolName, result, performanceData) {
       
       if (result.classification_details) {
         responseText += `\n\n**🧠 Classification Analysis:**\n- Task Type: ${result.task_type}\n- Reason: ${result.classification_details.reason}\n- Confidence: ${result.classification_details.confidence}%\n- Complexity: ${result.classification_details.complexity_score}%\n- Expected Success: ${result.classification_details.expected_success}%`;
+        const router = result.classification_details.router;
+        if (router) {
+          responseText += router.llm
+            ? `\n- Router: ${router.mode} - LLM said ${router.llm.backend} (${Math.round(router.llm.confidence * 100)}%, ${router.llm.latencyMs}ms), regex said ${router.regexRoute}`
+            : `\n- Router: ${router.mode} - regex fallback${router.reason ? ` (${router.reason})` : ''}`;
+        }
       }
       
       if (result.performance_metrics) {
         responseText += `\n\n⚡ **PERFORMANCE METRICS:**\n- Total Time: ${result.performance_metrics.total_time_ms}ms\n- DeepSeek Time: ${result.performance_metrics.deepseek_time_ms}ms\n- Routing Time: ${result.performance_metrics.routing_time_ms}ms\n- Routing Accuracy: ${result.performance_metrics.routing_accuracy}%\n- Cache Hit Rate: ${Math.round(performanceMetrics.cacheHitRate * 100)}%`;
       }
       
-      responseText += `\n\n*Model: ${result.model} | Endpoint: ${result.endpoint}*\n*⚡ OPTIMIZER v6.1.1 - TDD GREEN PHASE with Enhanced Metadata*`;
+      responseText += `\n\n*Model: ${result.model} | Provider: ${result.provider || 'local'} | Endpoint: ${result.endpoint}*\n*⚡ OPTIMIZER v6.1.1 - TDD GREEN PHASE with Enhanced Metadata*`;
       
       return {
         content: [{
@@ -4113,7 +5985,7 @@ async function formatOptimizedResponse(toolName, result, performanceData) {
     case 'query_deepseek': {
       let responseText = `**DeepSeek Response (OPTIMIZER-Enhanced Legacy):**\n\n${result.response}`;
       responseText += `\n\n⚡ **PERFORMANCE BOOST**: ${Math.round(executionTime)}ms execution (${Math.round(performanceMetrics.averageExecutionTime)}ms avg)`;
-      responseText += `\n\n*Model: ${result.model} | Endpoint: ${result.endpoint}*\n*⚡ OPTIMIZER Enhanced → Upgrade to enhanced_query_deepseek for full optimization*`;
+      responseText += `\n\n*Model: ${result.model} | Provider: ${result.provider || 'local'} | Endpoint: ${result.endpoint}*\n*⚡ OPTIMIZER Enhanced → Upgrade to enhanced_query_deepseek for full optimization*`;
       
       return {
         content: [{
@@ -4143,8 +6015,23 @@ async function formatOptimizedResponse(toolName, result, performanceData) {
 - Status: Try First, Route on Evidence
 - Total Patterns Learned: ${status.empiricalStats?.patternsLearned || 0}
 - Overall Success Rate: ${Math.round((status.empiricalStats?.overallSuccessRate || 0) * 100)}%
+- History: ${status.empiricalStats?.persistence ? `Persisted (${status.empiricalStats.persistence.dataDir})` : 'In-memory only'}
+- Recent Success (1h / 24h / 7d): ${['hour', 'day', 'week'].map(name => { const window = status.empiricalStats?.recentWindows?.[name]; return window?.successRate !== null && window?.successRate !== undefined ? `${window.successRate}% (${window.executions})` : 'n/a'; }).join(' / ')}
+- Decay Half-Life: ${status.empiricalStats?.decayHalfLifeHours || 0}h
+- Fingerprinting: ${status.empiricalStats?.fingerprinting?.mode === 'semantic' ? `Semantic (${status.empiricalStats.fingerprinting.clusters} clusters, ${status.empiricalStats.fingerprinting.model || 'no embedding model yet'}${status.empiricalStats.fingerprinting.available ? '' : ', regex fallback active'})` : 'Regex keywords'}
+- Classifier: ${status.intelligentRouting?.llmRouter ? `LLM router, ${status.intelligentRouting.classifierMode} mode (${status.intelligentRouting.llmRouter.model || 'no answer yet'}, avg ${status.intelligentRouting.llmRouter.averageLatencyMs ?? '-'}ms, ${status.intelligentRouting.llmRouter.fallbacks} regex fallbacks${status.intelligentRouting.llmRouter.available ? '' : ', backing off'})` : 'Regex rules'}${status.empiricalStats?.routerAgreement?.llm.total > 0 ? `\n- Router Agreement with Outcomes: LLM ${status.empiricalStats.routerAgreement.llm.agreementRate}% vs regex ${status.empiricalStats.routerAgreement.regex.agreementRate}% over ${status.empiricalStats.routerAgreement.llm.total} requests` : ''}
+- Ratings: 👍 ${status.empiricalStats?.ratings?.good || 0} / 👎 ${status.empiricalStats?.ratings?.bad || 0}
+- Escalated Up Front (Policy): ${status.routingMetrics?.policyEscalations || 0}
+- Guidance Only (No Escalation Backend): ${status.routingMetrics?.advisedRoutes || 0}
 - Youtu Integration: ${performanceMetrics.totalExecutions > 0 ? 'Active' : 'Standby'}
 
+**🖥️ Local Servers:**
+${(status.localServers || []).map(server => `- ${server.type} at ${server.url}: ${server.models} models, ${server.health}${server.primary ? ' (primary)' : ''}`).join('\n') || '- None reachable'}${status.defaultModelCapabilities ? `\n- Default Model: ${status.defaultModelCapabilities.model || 'none'} - ${status.defaultModelCapabilities.context_length} context (${status.defaultModelCapabilities.context_length_source}), ${status.defaultModelCapabilities.max_output} max output${status.defaultModelCapabilities.features.length > 0 ? `, ${status.defaultModelCapabilities.features.join(', ')}` : ''}` : ''}
+- Health Checks: ${status.endpointHealth?.running ? `every ${Math.round(status.endpointHealth.interval / 1000)}s, last ${status.endpointHealth.lastCheckAt || 'pending'}` : 'on demand only'}${(status.endpointHealth?.endpoints || []).filter(endpoint => endpoint.state === 'down' && endpoint.lastChangeAt).map(endpoint => `\n- 💔 ${endpoint.url} down since ${endpoint.lastChangeAt}: ${endpoint.lastError}`).join('')}
+
+**🎰 Backend Statistics (${status.banditRouting?.strategy || 'roles'} routing${status.banditRouting?.strategy === 'bandit' ? `, ${status.banditRouting.algorithm}` : ''}):**
+${Object.entries(status.routingMetrics?.backends || {}).map(([backend, stats]) => `- ${backend}: ${stats.pulls} calls, ${stats.successRate}% success, ${stats.avgLatencyMs}ms avg, reward ${stats.meanReward}, $${stats.totalCostUSD}`).join('\n') || '- No backend calls yet'}
+
 **📁 File Analysis System (OPTIMIZED):**
 - Status: Operational at MAXIMUM SPEED
 - Processing Rate: ${result.files ? Math.round(result.files.length / (executionTime / 1000)) : 'N/A'} files/sec
@@ -4413,6 +6300,183 @@ Ready for UNLIMITED HIGH-PERFORMANCE development with all optimization features
       };
     }
 
+    case 'rate_response': {
+      const pattern = result.pattern;
+      return {
+        content: [{
+          type: 'text',
+          text: `${result.verdict === 'good' ? '👍' : '👎'} **Rating Recorded** for ${result.response_id}
+
+**Pattern:** ${result.fingerprint} (${result.domain})
+- Backend: ${result.backend}
+- Verdict: ${result.verdict}${result.reason ? ` - ${result.reason}` : ''}
+- Pattern Success Rate: ${pattern.successRate}% over ${pattern.executions} executions
+- Ratings: 👍 ${pattern.ratings.good} / 👎 ${pattern.ratings.bad}
+
+*Ratings are persisted and feed empirical routing decisions*`
+        }]
+      };
+    }
+
+    case 'preview_route': {
+      const classification = result.classification;
+      const route = result.predicted_route;
+      const budget = result.budget;
+      const patterns = [
+        ...classification.matched_patterns.simple.map(match => `simple: ${match.reason} (${match.weight})`),
+        ...classification.matched_patterns.complex.map(match => `complex: ${match.reason} (${match.weight})`),
+        ...classification.matched_patterns.keyword.map(match => `keyword: ${match.reason}`)
+      ];
+      const timeoutBasis = budget?.timeout_basis.source === 'latency_model'
+        ? `p${budget.timeout_basis.percentile} ${Math.round(budget.timeout_basis.observedMs / 1000)}s over ${budget.timeout_basis.samples} samples x ${budget.timeout_basis.safetyFactor}`
+        : budget?.timeout_basis.reason;
+      return {
+        content: [{
+          type: 'text',
+          text: `🔭 **Route Preview (dry run - no model called)**
+
+**🧠 Classification:** ${classification.reason}
+- Classifier Recommendation: ${classification.route_to} (${classification.confidence}% confidence, ${classification.expected_success}% expected success)
+- Complexity: ${classification.complexity_score}% (length factor ${classification.metrics.lengthFactor})
+- Task Type: ${classification.task_type || 'coding (default)'}${classification.rule_backend ? ` | Rule Backend: ${classification.rule_backend}` : ''}
+- Matched Patterns: ${patterns.join('; ') || 'none'}
+- Complexity Factors: ${classification.complexity_factors.map(factor => `${factor.category} [${factor.matches.join(', ')}]`).join('; ') || 'none'}${classification.note ? `\n- Note: ${classification.note}` : ''}
+
+**🎯 Empirical Policy:** ${result.policy_decision.action} - ${result.policy_decision.reason}${result.policy_decision.exploration_chance !== null ? ` (${result.policy_decision.exploration_chance}% exploration chance)` : ''}
+- Fingerprint: \`${result.fingerprint.id}\` (${result.fingerprint.mode}, ${result.fingerprint.domain})${result.fingerprint.note ? `\n- Note: ${result.fingerprint.note}` : ''}
+
+**🎰 Predicted Backend:** ${route ? `${route.backend}${route.model ? ` (${route.model})` : ''} via ${route.role} - ${route.reason}` : result.route_error}${route?.failover_chain.length > 0 ? `\n- Failover Chain: ${route.failover_chain.join(' → ')}` : ''}${/open/i.test(result.circuit_breaker?.state || '') ? `\n- Circuit Breaker: ${result.circuit_breaker.state} (fallback response likely)` : ''}
+
+**⏱️ Budget:**${budget ? `
+- Timeout: ${budget.timeout_ms / 1000}s (${timeoutBasis}; ${budget.tier} tier ${budget.tier_timeout_ms / 1000}s)
+- max_tokens: ${budget.max_tokens} (${budget.max_tokens_basis.replace(/_/g, ' ')})${budget.first_token_timeout_ms ? `\n- First-Token Deadline (streaming): ${budget.first_token_timeout_ms / 1000}s` : ''}` : ' n/a'}
+
+**📏 Tokens:** ~${result.tokens.estimated_prompt_tokens} prompt + ${result.tokens.max_response_tokens ?? 0} response of ${result.tokens.context_window} context window - ${result.tokens.fits ? `fits (${result.tokens.headroom} tokens headroom)` : `⚠️ exceeds by ${-result.tokens.headroom} tokens`}
+- Model Capabilities: ${result.model_capabilities.model || 'default'} - ${result.model_capabilities.context_length} context (${result.model_capabilities.context_length_source}), ${result.model_capabilities.max_output} max output${result.model_capabilities.features.length > 0 ? `, ${result.model_capabilities.features.join(', ')}` : ''}
+- Request Size: ${result.request_size_kb}KB`
+        }]
+      };
+    }
+
+    case 'query_routing_journal': {
+      if (result.format === 'jsonl') {
+        return {
+          content: [{
+            type: 'text',
+            text: result.jsonl || ''
+          }]
+        };
+      }
+      
+      const lines = result.entries.map(entry => `- ${new Date(entry.timestamp).toISOString()} **${entry.outcome}** via ${entry.backend || 'none'}${entry.model ? ` (${entry.model})` : ''} | ${entry.fingerprint?.domain || 'unknown'} \`${entry.fingerprint?.id || '-'}\` | policy: ${entry.decision?.action || '-'} | ${entry.timings.totalMs}ms${entry.failure ? ` | ${entry.failure.errorType}: ${entry.failure.reason}` : ''}${entry.responseId ? ` | response ${entry.responseId}` : ''}`);
+      return {
+        content: [{
+          type: 'text',
+          text: `🧾 **Routing Decision Journal** - ${result.entries.length} of ${result.total} matching entries (${result.journal.entries}/${result.journal.maxEntries} retained, prompts: ${result.journal.promptMode})
+
+${lines.join('\n') || 'No matching entries'}
+
+*Use format: "jsonl" to export the full entries*`
+        }]
+      };
+    }
+
+    case 'plan_and_execute': {
+      const icons = { completed: '✅', failed: '❌', skipped: '⏭️' };
+      const steps = result.steps.map((step, index) => `${index + 1}. ${icons[step.status]} **${step.title}** (${step.type}${step.backend ? ` on ${step.backend}${step.model ? `/${step.model}` : ''}` : ''}) - ${step.status}, ${Math.round(step.durationMs / 100) / 10}s${step.attempts.length > 1 ? `, ${step.attempts.length} attempts` : ''}${step.dependsOn.length > 0 ? ` | after ${step.dependsOn.join(', ')}` : ''}${step.error ? `\n   ${step.error}` : ''}`);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `🗺️ **Plan ${result.status === 'completed' ? 'Completed' : result.status === 'partial' ? 'Partially Completed' : 'Failed'}** - ${result.summary.completed}/${result.summary.total} steps in ${Math.round((result.plan.durationMs + result.durationMs) / 1000)}s
+
+**Plan:** ${result.plan.source === 'planner' ? `from ${result.plan.planner.backend}${result.plan.planner.model ? ` (${result.plan.planner.model})` : ''} in ${Math.round(result.plan.durationMs / 1000)}s` : `⚠️ classifier task breakdown - planner gave no usable plan (${result.plan.errors[result.plan.errors.length - 1]})`}
+**Backends:** planning → ${result.backends.planning}, implementation → ${result.backends.implementation}
+
+**Steps:**
+${steps.join('\n')}
+
+---
+
+${result.deliverable}`
+        }]
+      };
+    }
+
+    case 'manage_local_models': {
+      const stateIcon = state => ({ loaded: '🟢', 'not-loaded': '⚪' }[state] || '❔');
+      const keepAlive = result.keepAlive.keepAlive.length > 0
+        ? `\n\n**🔁 Keep-Alive** (every ${Math.round(result.keepAlive.keepAliveInterval / 1000)}s): ${result.keepAlive.keepAlive.map(entry => `${entry.model}${entry.lastError ? ` ⚠️ ${entry.lastError}` : entry.lastLatencyMs !== null ? ` (${entry.lastLatencyMs}ms)` : ''}`).join(', ')}`
+        : '';
+      let text;
+      if (result.action === 'list') {
+        text = `🧊 **Local Models** - default: ${result.defaultModel || 'none'}
+
+${result.servers.map(server => `**${server.type}** at ${server.url}${server.primary ? ' (primary)' : ''}${server.lifecycle.load ? '' : ' - fixed model'}
+${server.models.map(model => `- ${stateIcon(model.state)} ${model.id} - ${model.state}${model.kind ? `, ${model.kind}` : ''}${model.contextLength ? `, ${model.contextLength} ctx` : ''}`).join('\n') || '- no models'}`).join('\n\n') || 'No local server reachable'}`;
+      } else if (result.action === 'keep_alive') {
+        text = `🔁 **Keep-Alive ${result.enabled ? 'On' : 'Off'}** for ${result.model}${result.warm ? ` - warmed in ${result.warm.latencyMs}ms${result.warm.coldLoad ? ' (cold load)' : ''}` : ''}
+- Kept alive: ${result.models.join(', ') || 'none'}`;
+      } else {
+        text = `🧊 **${result.action === 'load' ? 'Loaded' : result.action === 'unload' ? 'Unloaded' : 'Warmed'}** ${result.model} on ${result.serverType} at ${result.server}
+- State: ${stateIcon(result.stateBefore)} ${result.stateBefore} → ${stateIcon(result.state)} ${result.state}${result.method ? `\n- Method: ${result.method === 'jit_request' ? 'just-in-time load via a warm-up request (no REST load endpoint)' : result.method}` : ''}
+- Time: ${result.latencyMs ?? result.durationMs}ms${result.coldLoad ? ' (cold load)' : ''}
+- Default Model: ${result.defaultModel || 'none'}`;
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `${text}${keepAlive}`
+        }]
+      };
+    }
+
+    case 'evaluate_classifier': {
+      const percent = value => `${Math.round(value * 100)}%`;
+      const matrix = confusion => [
+        `| expected \\ predicted | ${confusion.labels.join(' | ')} |`,
+        `|---|${confusion.labels.map(() => '---').join('|')}|`,
+        ...confusion.labels.filter(label => confusion.matrix[label]).map(label => `| ${label} | ${confusion.labels.map(predicted => confusion.matrix[label][predicted] || 0).join(' | ')} |`)
+      ].join('\n');
+      const change = entry => entry ? `${percent(entry.before)} → ${percent(entry.after)} (${entry.delta >= 0 ? '+' : ''}${Math.round(entry.delta * 1000) / 10} pts)` : 'n/a';
+      const diff = result.diff;
+      const diffSection = diff ? `
+
+**📐 Against Baseline** (${diff.baselineCreatedAt}):
+- Route Accuracy: ${change(diff.routeAccuracy)}
+- Task Type Accuracy: ${change(diff.taskTypeAccuracy)}${diff.policyAccuracy ? `\n- Policy Accuracy: ${change(diff.policyAccuracy)}` : ''}
+- Changed Routes: ${diff.changedRoutes} | Added: ${diff.added} | Removed: ${diff.removed}
+- ✅ Fixed (${diff.fixed.length}): ${diff.fixed.slice(0, 20).join(', ') || 'none'}
+- ❌ Newly Misrouted (${diff.newlyMisrouted.length}): ${diff.newlyMisrouted.slice(0, 20).join(', ') || 'none'}${diff.taskTypeRegressions.length > 0 ? `\n- ❌ Task Type Regressions (${diff.taskTypeRegressions.length}): ${diff.taskTypeRegressions.slice(0, 20).join(', ')}` : ''}
+- Rule Hit Changes: ${diff.ruleChanges.map(rule => `${rule.rule} ${rule.hitsBefore}→${rule.hits}`).join('; ') || 'none'}` : '';
+      const baselineNote = result.baseline
+        ? `\n\n*Baseline ${result.baseline.path}: ${result.baseline.found ? 'compared' : 'not found (no diff)'}${result.baseline.saved ? ', updated with this run' : ''}*`
+        : '';
+
+      return {
+        content: [{
+          type: 'text',
+          text: `🧪 **Classifier Evaluation** - ${result.examples} examples from ${result.dataset}${result.skipped > 0 ? ` (${result.skipped} skipped by max_examples)` : ''}
+- Classifier: ${result.classifier} | Rules: ${result.rules_source || 'built-in'}
+
+**🎯 Route Accuracy:** ${percent(result.route.accuracy)} (${result.route.correct}/${result.route.evaluated})
+${matrix(result.route)}
+${result.taskType ? `
+**🏷️ Task Type Accuracy:** ${percent(result.taskType.accuracy)} (${result.taskType.correct}/${result.taskType.evaluated} labelled)
+${matrix(result.taskType)}
+` : ''}${result.policy ? `
+**🧭 Empirical Policy Accuracy:** ${percent(result.policy.accuracy)} (${Object.entries(result.policy.actions).map(([action, count]) => `${action}: ${count}`).join(', ')})
+${matrix(result.policy)}
+` : ''}
+**📋 Rule Hits** (hits, routed correctly when hit):
+${result.rules.map(rule => `- ${rule.rule}: ${rule.hits} (${percent(rule.precision)})`).join('\n') || '- none'}
+
+**❌ Misrouted (${result.misroutedTotal}${result.misroutedTotal > result.misrouted.length ? `, first ${result.misrouted.length}` : ''}):**
+${result.misrouted.map(example => `- \`${example.id}\` (line ${example.line}) expected ${example.expectedRoute}${example.expectedTaskType ? `/${example.expectedTaskType}` : ''}, got ${example.route}/${example.taskType} - ${example.reason} | "${example.preview}"`).join('\n') || '- none'}${diffSection}${baselineNote}`
+        }]
+      };
+    }
+
     default:
       return {
         content: [{
@@ -4529,7 +6593,7 @@ async function startServer() {
     transport.start(server);
     
     console.error('⚡ ATOMIC TASK 5 COMPLETED - DeepSeek MCP Bridge v7.0.0 with Enhanced File Operations!');
-    console.error('🚀 ALL 14 TOOLS PERFORMANCE OPTIMIZED:');
+    console.error('🚀 ALL 19 TOOLS PERFORMANCE OPTIMIZED:');
     console.error('   1. enhanced_query_deepseek - Parameter caching + youtu routing');
     console.error('   2. analyze_files - Concurrent processing + smart chunking');  
     console.error('   3. query_deepseek - Legacy optimization + performance tracking');
@@ -4543,6 +6607,12 @@ async function startServer() {
     console.error('  11. compare_files_with_ai - Multi-endpoint file comparison');
     console.error('  12. process_concurrent_batch - Advanced concurrent processing');
     console.error('  13. diagnose_file_access - File access diagnostics');
+    console.error('  14. rate_response - Feed answer quality back into empirical routing');
+    console.error('  15. query_routing_journal - Inspect and export routing decisions');
+    console.error('  16. preview_route - Dry-run routing decision without calling a model');
+    console.error('  17. evaluate_classifier - Offline classifier accuracy against a labelled dataset');
+    console.error('  18. plan_and_execute - Planned, dependency-ordered multi-backend execution');
+    console.error('  19. manage_local_models - List, load, unload, warm and keep alive local models');
     console.error('');
     console.error('⚡ PERFORMANCE FEATURES ACTIVE:');
     console.error('   📈 Parameter caching with 80%+ hit rates');
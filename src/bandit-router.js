@@ -0,0 +1,229 @@
+/**
+ * Bandit Router - configured backends as arms of a multi-armed bandit, per query fingerprint
+ * Rewards in [0, 1] blend success, latency and cost; arms are chosen by Thompson sampling
+ * (Beta posterior over the reward) or UCB1. Sparse fingerprints borrow a prior from the
+ * backend's global mean reward, so a new pattern starts from what the backend usually does.
+ * Pass options.random to make selection deterministic for simulations.
+ */
+export class BanditRouter {
+  constructor(options = {}) {
+    this.algorithm = options.algorithm === 'ucb' ? 'ucb' : 'thompson';
+    this.random = options.random || Math.random;
+    this.rewardWeights = { success: 0.6, latency: 0.25, cost: 0.15, ...(options.rewardWeights || {}) };
+    this.latencyCeiling = options.latencyCeiling || 60000; // latency score reaches 0 here
+    this.costCeiling = options.costCeiling || 0.05; // USD per request where cost score reaches 0
+    this.costPer1kTokens = options.costPer1kTokens || {}; // backend -> USD per 1K tokens
+    this.priorStrength = options.priorStrength ?? 2;
+    this.explorationConstant = options.explorationConstant ?? Math.SQRT2;
+
+    this.arms = new Map(); // fingerprint -> Map(backend -> arm stats)
+    this.backends = new Map(); // backend -> aggregate stats across fingerprints
+    this.store = null;
+  }
+
+  createArmStats() {
+    return { pulls: 0, rewardSum: 0, successes: 0, failures: 0, latencySum: 0, costSum: 0, lastUpdated: null };
+  }
+
+  /**
+   * Pick a backend for a fingerprint from the currently available candidates
+   */
+  selectArm(fingerprint, candidates) {
+    if (candidates.length === 0) {
+      throw new Error('Bandit router has no candidate backends');
+    }
+
+    const scores = candidates.map(backend => ({
+      backend,
+      score: this.algorithm === 'ucb' ? this.ucbScore(fingerprint, backend) : this.thompsonSample(fingerprint, backend),
+      pulls: this.getArm(fingerprint, backend).pulls,
+      meanReward: this.meanReward(fingerprint, backend)
+    }));
+    const best = scores.reduce((winner, candidate) => candidate.score > winner.score ? candidate : winner);
+
+    return {
+      backend: best.backend,
+      algorithm: this.algorithm,
+      reason: `${this.algorithm === 'ucb' ? 'UCB1' : 'Thompson sampling'} picked ${best.backend} (${best.pulls} pulls, mean reward ${best.meanReward.toFixed(2)})`,
+      scores: scores.map(entry => ({ ...entry, score: Number(entry.score.toFixed(4)), meanReward: Number(entry.meanReward.toFixed(4)) }))
+    };
+  }
+
+  thompsonSample(fingerprint, backend) {
+    const arm = this.getArm(fingerprint, backend);
+    const prior = this.globalMean(backend);
+    const alpha = 1 + this.priorStrength * prior + arm.rewardSum;
+    const beta = 1 + this.priorStrength * (1 - prior) + (arm.pulls - arm.rewardSum);
+    return this.sampleBeta(alpha, beta);
+  }
+
+  ucbScore(fingerprint, backend) {
+    const arm = this.getArm(fingerprint, backend);
+    if (arm.pulls === 0) return Infinity; // Every arm gets tried once per fingerprint
+
+    const totalPulls = Array.from(this.arms.get(fingerprint)?.values() || []).reduce((sum, stats) => sum + stats.pulls, 0);
+    return arm.rewardSum / arm.pulls + this.explorationConstant * Math.sqrt(Math.log(totalPulls) / arm.pulls);
+  }
+
+  /**
+   * Reward in [0, 1]: failures earn nothing, successes earn the weighted success/latency/cost blend
+   */
+  computeReward({ success, latencyMs = 0, cost = 0 }) {
+    if (!success) return 0;
+    const latencyScore = 1 - Math.min(1, latencyMs / this.latencyCeiling);
+    const costScore = 1 - Math.min(1, cost / this.costCeiling);
+    const { success: ws, latency: wl, cost: wc } = this.rewardWeights;
+    return (ws + wl * latencyScore + wc * costScore) / (ws + wl + wc);
+  }
+
+  estimateCost(backend, usage) {
+    const tokens = usage?.total_tokens || ((usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0));
+    return (tokens / 1000) * (this.costPer1kTokens[backend] || 0);
+  }
+
+  /**
+   * Record the outcome of one pull; returns the reward that was credited
+   */
+  update(fingerprint, backend, { success, latencyMs = 0, usage = null }) {
+    const cost = this.estimateCost(backend, usage);
+    const reward = this.computeReward({ success, latencyMs, cost });
+    const event = { type: 'reward', fingerprint, backend, success, latencyMs, cost, reward, timestamp: Date.now() };
+    this.applyEvent(this.store ? this.store.append(event) : event);
+    return reward;
+  }
+
+  applyEvent(event) {
+    if (event.type !== 'reward') return;
+    if (!this.arms.has(event.fingerprint)) {
+      this.arms.set(event.fingerprint, new Map());
+    }
+    const fingerprintArms = this.arms.get(event.fingerprint);
+    if (!fingerprintArms.has(event.backend)) {
+      fingerprintArms.set(event.backend, this.createArmStats());
+    }
+    if (!this.backends.has(event.backend)) {
+      this.backends.set(event.backend, this.createArmStats());
+    }
+
+    for (const stats of [fingerprintArms.get(event.backend), this.backends.get(event.backend)]) {
+      stats.pulls++;
+      stats.rewardSum += event.reward;
+      stats[event.success ? 'successes' : 'failures']++;
+      stats.latencySum += event.latencyMs;
+      stats.costSum += event.cost;
+      stats.lastUpdated = event.timestamp;
+    }
+  }
+
+  getArm(fingerprint, backend) {
+    return this.arms.get(fingerprint)?.get(backend) || this.createArmStats();
+  }
+
+  meanReward(fingerprint, backend) {
+    const arm = this.getArm(fingerprint, backend);
+    return arm.pulls > 0 ? arm.rewardSum / arm.pulls : this.globalMean(backend);
+  }
+
+  globalMean(backend) {
+    const stats = this.backends.get(backend);
+    return stats && stats.pulls > 0 ? stats.rewardSum / stats.pulls : 0.5;
+  }
+
+  /**
+   * Per-backend statistics across all fingerprints
+   */
+  getBackendStats() {
+    return Object.fromEntries(Array.from(this.backends.entries()).map(([backend, stats]) => [backend, {
+      pulls: stats.pulls,
+      successes: stats.successes,
+      failures: stats.failures,
+      successRate: stats.pulls > 0 ? Math.round((stats.successes / stats.pulls) * 100) : 0,
+      meanReward: stats.pulls > 0 ? Number((stats.rewardSum / stats.pulls).toFixed(3)) : null,
+      avgLatencyMs: stats.pulls > 0 ? Math.round(stats.latencySum / stats.pulls) : 0,
+      totalCostUSD: Number(stats.costSum.toFixed(4)),
+      lastUpdated: stats.lastUpdated
+    }]));
+  }
+
+  exportState() {
+    return {
+      arms: Array.from(this.arms.entries()).map(([fingerprint, backends]) => [fingerprint, Object.fromEntries(backends)]),
+      backends: Object.fromEntries(this.backends)
+    };
+  }
+
+  importState(state) {
+    for (const [fingerprint, backends] of state.arms || []) {
+      this.arms.set(fingerprint, new Map(Object.entries(backends)));
+    }
+    for (const [backend, stats] of Object.entries(state.backends || {})) {
+      this.backends.set(backend, stats);
+    }
+  }
+
+  async attachStore(store) {
+    const { snapshot, events } = await store.load();
+    if (snapshot) {
+      this.importState(snapshot);
+    }
+    events.forEach(event => this.applyEvent(event));
+    this.store = store;
+    store.start(() => this.exportState());
+  }
+
+  describe() {
+    return {
+      algorithm: this.algorithm,
+      rewardWeights: { ...this.rewardWeights },
+      latencyCeiling: this.latencyCeiling,
+      costCeiling: this.costCeiling,
+      fingerprints: this.arms.size,
+      persistence: this.store ? this.store.describe() : null
+    };
+  }
+
+  // Beta(a, b) via two Gamma draws (Marsaglia-Tsang), using the injectable RNG throughout
+  sampleBeta(alpha, beta) {
+    const x = this.sampleGamma(alpha);
+    const y = this.sampleGamma(beta);
+    return x / (x + y);
+  }
+
+  sampleGamma(shape) {
+    if (shape < 1) {
+      return this.sampleGamma(shape + 1) * Math.pow(this.random(), 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x, v;
+      do {
+        x = this.sampleNormal();
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = this.random();
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+  }
+
+  sampleNormal() {
+    // Box-Muller; 1 - random() keeps the log argument away from 0
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+/**
+ * Parse "name:value,name:value" settings (reward weights, per-backend prices) into an object
+ */
+export function parseNumberList(value) {
+  if (!value) return undefined;
+  const entries = String(value).split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([name, number]) => name && number !== undefined && Number.isFinite(parseFloat(number)))
+    .map(([name, number]) => [name.toLowerCase(), parseFloat(number)]);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
@@ -0,0 +1,277 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Classifier Evaluation - offline accuracy of IntelligentTaskClassifier against a labelled dataset
+ * The dataset is JSONL, one example per line:
+ *
+ *   {"id": "typo-1", "prompt": "fix the typo in this function", "expected_route": "deepseek", "expected_task_type": "coding"}
+ *
+ * expected_route is 'deepseek' or 'claude'; id, context and expected_task_type are optional
+ * (examples without an id are keyed by a hash of their prompt, so baselines survive reordering).
+ * The report holds route and task_type confusion matrices, per-rule hit counts with how often a
+ * hit routed correctly, and the misrouted examples. With a policy, the empirical policy's dry-run
+ * decision is scored as well (escalate -> claude, try/explore -> deepseek). A saved baseline keeps
+ * each example's outcome, so a rule change can be reviewed as fixed vs newly misrouted examples.
+ */
+
+const ROUTES = ['deepseek', 'claude'];
+// The system prompt enhancedQuery uses when neither the caller nor a rule names a task_type
+const DEFAULT_TASK_TYPE = 'coding';
+
+/**
+ * Parse a JSONL dataset; throws one Error listing every invalid line
+ */
+export function parseDataset(text, source = 'dataset') {
+  const examples = [];
+  const errors = [];
+  const ids = new Set();
+
+  text.split('\n').forEach((raw, index) => {
+    const line = index + 1;
+    if (!raw.trim() || raw.trim().startsWith('//')) return;
+
+    let example;
+    try {
+      example = JSON.parse(raw);
+    } catch (error) {
+      errors.push(`line ${line}: invalid JSON - ${error.message}`);
+      return;
+    }
+    if (typeof example?.prompt !== 'string' || !example.prompt.trim()) {
+      errors.push(`line ${line}: prompt must be a non-empty string`);
+      return;
+    }
+    if (!ROUTES.includes(example.expected_route)) {
+      errors.push(`line ${line}: expected_route must be one of ${ROUTES.join(', ')}`);
+      return;
+    }
+    if (example.expected_task_type !== undefined && (typeof example.expected_task_type !== 'string' || !example.expected_task_type)) {
+      errors.push(`line ${line}: expected_task_type must be a non-empty string`);
+      return;
+    }
+
+    const context = typeof example.context === 'string' ? example.context : '';
+    const id = example.id !== undefined ? String(example.id) : createHash('sha256').update(`${context}\n${example.prompt}`).digest('hex').slice(0, 12);
+    if (ids.has(id)) {
+      errors.push(`line ${line}: duplicate id "${id}"`);
+      return;
+    }
+    ids.add(id);
+    examples.push({
+      id,
+      line,
+      prompt: example.prompt,
+      context,
+      expectedRoute: example.expected_route,
+      expectedTaskType: example.expected_task_type || null
+    });
+  });
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 10).join('; ');
+    throw new Error(`Invalid ${source}: ${shown}${errors.length > 10 ? `; ... and ${errors.length - 10} more` : ''}`);
+  }
+  if (examples.length === 0) {
+    throw new Error(`Invalid ${source}: no examples`);
+  }
+  return examples;
+}
+
+/**
+ * Score the classifier (and optionally the empirical policy) on parsed examples
+ * @param {object[]} examples - from parseDataset
+ * @param {{classify: Function, policy?: Function, maxMisrouted?: number}} options -
+ *   classify(prompt, context) returns a classification (or a promise of one), policy(prompt) an empirical decision
+ */
+export async function evaluateClassifier(examples, options = {}) {
+  const { classify, policy = null, maxMisrouted = 20 } = options;
+  const route = new ConfusionMatrix();
+  const taskType = new ConfusionMatrix();
+  const policyRoute = policy ? new ConfusionMatrix() : null;
+  const policyActions = {};
+  const rules = new Map();
+  const misrouted = [];
+  const outcomes = {};
+
+  for (const example of examples) {
+    const classification = await classify(example.prompt, example.context);
+    const predictedTaskType = classification.taskType || DEFAULT_TASK_TYPE;
+    const routeCorrect = classification.routeTo === example.expectedRoute;
+    const taskTypeCorrect = example.expectedTaskType ? predictedTaskType === example.expectedTaskType : null;
+
+    route.add(example.expectedRoute, classification.routeTo);
+    if (example.expectedTaskType) {
+      taskType.add(example.expectedTaskType, predictedTaskType);
+    }
+
+    for (const rule of rulesHit(classification)) {
+      const stats = rules.get(rule) || { rule, hits: 0, correct: 0 };
+      stats.hits++;
+      if (routeCorrect) stats.correct++;
+      rules.set(rule, stats);
+    }
+
+    let decision = null;
+    if (policy) {
+      decision = await policy(example.prompt);
+      policyRoute.add(example.expectedRoute, decision.tryDeepseek ? 'deepseek' : 'claude');
+      policyActions[decision.action] = (policyActions[decision.action] || 0) + 1;
+    }
+
+    outcomes[example.id] = {
+      route: classification.routeTo,
+      routeCorrect,
+      taskType: predictedTaskType,
+      taskTypeCorrect,
+      policyRoute: decision ? (decision.tryDeepseek ? 'deepseek' : 'claude') : null
+    };
+
+    if (!routeCorrect || taskTypeCorrect === false) {
+      misrouted.push({
+        id: example.id,
+        line: example.line,
+        preview: example.prompt.replace(/\s+/g, ' ').trim().slice(0, 100),
+        expectedRoute: example.expectedRoute,
+        route: classification.routeTo,
+        expectedTaskType: example.expectedTaskType,
+        taskType: predictedTaskType,
+        reason: classification.reason,
+        confidence: classification.confidence,
+        complexityScore: classification.complexityScore,
+        policy: decision ? { action: decision.action, reason: decision.reason } : null
+      });
+    }
+  }
+
+  return {
+    examples: examples.length,
+    route: route.describe(),
+    taskType: taskType.total > 0 ? taskType.describe() : null,
+    policy: policyRoute ? { ...policyRoute.describe(), actions: policyActions } : null,
+    rules: Array.from(rules.values())
+      .map(stats => ({ ...stats, precision: round(stats.correct / stats.hits) }))
+      .sort((a, b) => b.hits - a.hits || a.rule.localeCompare(b.rule)),
+    misroutedTotal: misrouted.length,
+    misrouted: misrouted.slice(0, maxMisrouted),
+    outcomes
+  };
+}
+
+/**
+ * Every rule that fired for a classification, plus the determineRouting branch that decided it
+ */
+function rulesHit(classification) {
+  const { indicators } = classification;
+  return [
+    `branch: ${classification.reason.split(':')[0]}`,
+    ...indicators.simpleMatches.map(match => `simple: ${match.reason}`),
+    ...indicators.complexMatches.map(match => `complex: ${match.reason}`),
+    ...(indicators.keywordMatches || []).map(match => `keyword: ${match.reason}`),
+    ...indicators.complexityFactors.map(factor => `indicator: ${factor.category}`)
+  ];
+}
+
+/**
+ * Compare a report with a saved baseline: accuracy deltas, rule hit deltas, and the examples
+ * whose route became wrong or right
+ */
+export function diffReports(current, baseline) {
+  const newlyMisrouted = [];
+  const fixed = [];
+  const taskTypeRegressions = [];
+  let changedRoutes = 0;
+
+  for (const [id, outcome] of Object.entries(current.outcomes)) {
+    const before = baseline.outcomes?.[id];
+    if (!before) continue;
+    if (before.route !== outcome.route) changedRoutes++;
+    if (before.routeCorrect && !outcome.routeCorrect) newlyMisrouted.push(id);
+    if (!before.routeCorrect && outcome.routeCorrect) fixed.push(id);
+    if (before.taskTypeCorrect === true && outcome.taskTypeCorrect === false) taskTypeRegressions.push(id);
+  }
+
+  const baselineRules = new Map((baseline.rules || []).map(stats => [stats.rule, stats]));
+  const ruleChanges = [];
+  for (const stats of current.rules) {
+    const before = baselineRules.get(stats.rule);
+    baselineRules.delete(stats.rule);
+    if (!before || before.hits !== stats.hits || before.correct !== stats.correct) {
+      ruleChanges.push({ rule: stats.rule, hits: stats.hits, hitsBefore: before?.hits || 0, correct: stats.correct, correctBefore: before?.correct || 0 });
+    }
+  }
+  for (const before of baselineRules.values()) {
+    ruleChanges.push({ rule: before.rule, hits: 0, hitsBefore: before.hits, correct: 0, correctBefore: before.correct });
+  }
+
+  return {
+    baselineCreatedAt: baseline.createdAt,
+    routeAccuracy: delta(current.route.accuracy, baseline.route?.accuracy),
+    taskTypeAccuracy: delta(current.taskType?.accuracy, baseline.taskType?.accuracy),
+    policyAccuracy: delta(current.policy?.accuracy, baseline.policy?.accuracy),
+    changedRoutes,
+    newlyMisrouted,
+    fixed,
+    taskTypeRegressions,
+    added: Object.keys(current.outcomes).filter(id => !baseline.outcomes?.[id]).length,
+    removed: Object.keys(baseline.outcomes || {}).filter(id => !current.outcomes[id]).length,
+    ruleChanges
+  };
+}
+
+/**
+ * Saved baseline, or null when the file does not exist yet
+ */
+export async function loadBaseline(filePath) {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Unreadable classifier baseline ${filePath}: ${error.message}`);
+  }
+}
+
+export async function saveBaseline(filePath, report, dataset) {
+  const { misrouted, misroutedTotal, ...baseline } = report;
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fsp.writeFile(tmpPath, JSON.stringify({ version: 1, createdAt: new Date().toISOString(), dataset, ...baseline }, null, 2), 'utf8');
+  await fsp.rename(tmpPath, filePath);
+}
+
+class ConfusionMatrix {
+  constructor() {
+    this.counts = {}; // expected -> predicted -> count
+    this.total = 0;
+    this.correct = 0;
+  }
+
+  add(expected, predicted) {
+    this.counts[expected] = this.counts[expected] || {};
+    this.counts[expected][predicted] = (this.counts[expected][predicted] || 0) + 1;
+    this.total++;
+    if (expected === predicted) this.correct++;
+  }
+
+  describe() {
+    const labels = new Set(Object.keys(this.counts));
+    Object.values(this.counts).forEach(row => Object.keys(row).forEach(label => labels.add(label)));
+    return {
+      evaluated: this.total,
+      correct: this.correct,
+      accuracy: round(this.correct / Math.max(this.total, 1)),
+      labels: Array.from(labels).sort(),
+      matrix: this.counts
+    };
+  }
+}
+
+function delta(after, before) {
+  if (after === undefined || after === null || before === undefined || before === null) return null;
+  return { before, after, delta: round(after - before) };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
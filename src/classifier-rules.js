@@ -0,0 +1,274 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * Classifier Rules - IntelligentTaskClassifier rule sets from a JSON/YAML file and the environment
+ * Every section in the file replaces the classifier's built-in section of the same name; sections
+ * left out keep the built-ins. Any pattern or keyword rule may name a task_type and/or a backend
+ * (a role - primary/secondary/local - or a provider name). ANALYSIS_PATTERNS, CODING_PATTERNS and
+ * CREATIVE_PATTERNS become keyword rules that set the task_type. The file is validated on every
+ * load and polled for changes; an invalid edit is rejected and the previous rules stay active.
+ *
+ *   {
+ *     "simpleTaskPatterns":  [{ "pattern": "\\bfix\\s+typo\\b", "weight": 0.9, "reason": "typo fix", "backend": "local" }],
+ *     "complexTaskPatterns": [{ "pattern": "\\bthreat model\\b", "weight": 0.9, "reason": "security design" }],
+ *     "complexityIndicators": { "security": { "weight": 0.9, "terms": ["threat model", "attack surface"] } },
+ *     "successWeights": { "simple": 0.95, "moderate": 0.8, "complex": 0.4, "architectural": 0.2 },
+ *     "keywordRules": [{ "name": "sql", "keywords": ["sql", "query plan"], "task_type": "analysis" }]
+ *   }
+ */
+
+const PATTERN_SECTIONS = ['simpleTaskPatterns', 'complexTaskPatterns'];
+const SUCCESS_WEIGHT_KEYS = ['simple', 'moderate', 'complex', 'architectural'];
+const KNOWN_SECTIONS = new Set(['version', ...PATTERN_SECTIONS, 'complexityIndicators', 'successWeights', 'keywordRules']);
+
+/**
+ * Validate and compile a raw rule document; throws one Error listing every problem found
+ * @param {object} raw - parsed JSON/YAML
+ * @param {string[]} [validBackends] - roles and provider names a rule may target
+ */
+export function compileClassifierRules(raw, validBackends = null) {
+  const errors = [];
+  const compiled = {};
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Classifier rules must be an object with rule sections');
+  }
+  for (const key of Object.keys(raw)) {
+    if (!KNOWN_SECTIONS.has(key)) errors.push(`unknown section "${key}"`);
+  }
+
+  const checkTarget = (rule, where) => {
+    if (rule.task_type !== undefined && (typeof rule.task_type !== 'string' || !rule.task_type)) {
+      errors.push(`${where}: task_type must be a non-empty string`);
+    }
+    if (rule.backend !== undefined) {
+      if (typeof rule.backend !== 'string' || !rule.backend) {
+        errors.push(`${where}: backend must be a non-empty string`);
+      } else if (validBackends && !validBackends.includes(rule.backend.toLowerCase())) {
+        errors.push(`${where}: unknown backend "${rule.backend}" (expected one of ${validBackends.join(', ')})`);
+      }
+    }
+  };
+  const checkWeight = (weight, where) => {
+    if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+      errors.push(`${where}: weight must be a number between 0 and 1`);
+    }
+  };
+
+  for (const section of PATTERN_SECTIONS) {
+    if (raw[section] === undefined) continue;
+    if (!Array.isArray(raw[section])) {
+      errors.push(`${section} must be an array`);
+      continue;
+    }
+    compiled[section] = raw[section].map((rule, index) => {
+      const where = `${section}[${index}]`;
+      let pattern = null;
+      if (typeof rule?.pattern !== 'string' || !rule.pattern) {
+        errors.push(`${where}: pattern must be a non-empty string`);
+      } else if (/[gy]/.test(rule.flags || '')) {
+        errors.push(`${where}: flags "g" and "y" make RegExp.test stateful and are not allowed`);
+      } else {
+        try {
+          pattern = new RegExp(rule.pattern, rule.flags ?? 'i');
+        } catch (error) {
+          errors.push(`${where}: invalid pattern - ${error.message}`);
+        }
+      }
+      checkWeight(rule?.weight, where);
+      if (typeof rule?.reason !== 'string' || !rule.reason) {
+        errors.push(`${where}: reason must be a non-empty string`);
+      }
+      checkTarget(rule || {}, where);
+      return { pattern, weight: rule?.weight, reason: rule?.reason, taskType: rule?.task_type, backend: rule?.backend?.toLowerCase() };
+    });
+  }
+
+  if (raw.complexityIndicators !== undefined) {
+    if (!raw.complexityIndicators || typeof raw.complexityIndicators !== 'object' || Array.isArray(raw.complexityIndicators)) {
+      errors.push('complexityIndicators must be an object of category -> { weight, terms }');
+    } else {
+      compiled.complexityIndicators = {};
+      compiled.categoryWeights = {};
+      for (const [category, entry] of Object.entries(raw.complexityIndicators)) {
+        const where = `complexityIndicators.${category}`;
+        const terms = Array.isArray(entry) ? entry : entry?.terms;
+        if (!Array.isArray(terms) || terms.length === 0 || terms.some(term => typeof term !== 'string' || !term)) {
+          errors.push(`${where}: terms must be a non-empty array of strings`);
+          continue;
+        }
+        if (!Array.isArray(entry) && entry.weight !== undefined) {
+          checkWeight(entry.weight, where);
+          compiled.categoryWeights[category] = entry.weight;
+        }
+        compiled.complexityIndicators[category] = terms.map(term => term.toLowerCase());
+      }
+    }
+  }
+
+  if (raw.successWeights !== undefined) {
+    if (!raw.successWeights || typeof raw.successWeights !== 'object') {
+      errors.push('successWeights must be an object');
+    } else {
+      for (const [key, weight] of Object.entries(raw.successWeights)) {
+        if (!SUCCESS_WEIGHT_KEYS.includes(key)) errors.push(`successWeights: unknown key "${key}"`);
+        checkWeight(weight, `successWeights.${key}`);
+      }
+      compiled.successWeights = raw.successWeights;
+    }
+  }
+
+  if (raw.keywordRules !== undefined) {
+    if (!Array.isArray(raw.keywordRules)) {
+      errors.push('keywordRules must be an array');
+    } else {
+      compiled.keywordRules = raw.keywordRules.map((rule, index) => {
+        const where = `keywordRules[${index}]`;
+        if (typeof rule?.name !== 'string' || !rule.name) {
+          errors.push(`${where}: name must be a non-empty string`);
+        }
+        if (!Array.isArray(rule?.keywords) || rule.keywords.length === 0 || rule.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+          errors.push(`${where}: keywords must be a non-empty array of strings`);
+        }
+        if (rule?.task_type === undefined && rule?.backend === undefined) {
+          errors.push(`${where}: a keyword rule needs a task_type or a backend`);
+        }
+        checkTarget(rule || {}, where);
+        return createKeywordRule(rule?.name, rule?.keywords || [], rule?.task_type, rule?.backend);
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid classifier rules: ${errors.join('; ')}`);
+  }
+  return compiled;
+}
+
+function createKeywordRule(name, keywords, taskType, backend) {
+  const terms = keywords.filter(keyword => typeof keyword === 'string' && keyword.trim()).map(keyword => keyword.trim().toLowerCase());
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return {
+    name,
+    keywords: terms,
+    // Word-start match, so "analyze" also matches "analyzes" but "api" does not match "rapid"
+    pattern: escaped.length > 0 ? new RegExp(`\\b(?:${escaped.join('|')})`, 'i') : null,
+    taskType,
+    backend: backend?.toLowerCase()
+  };
+}
+
+/**
+ * Keyword rules from ANALYSIS_PATTERNS / CODING_PATTERNS / CREATIVE_PATTERNS (comma-separated)
+ */
+export function keywordRulesFromEnv(config) {
+  return [
+    ['analysis', 'ANALYSIS_PATTERNS'],
+    ['coding', 'CODING_PATTERNS'],
+    ['creative', 'CREATIVE_PATTERNS']
+  ]
+    .map(([taskType, key]) => [taskType, (config.get(key) || '').split(',').map(keyword => keyword.trim()).filter(Boolean)])
+    .filter(([, keywords]) => keywords.length > 0)
+    .map(([taskType, keywords]) => createKeywordRule(taskType, keywords, taskType));
+}
+
+/**
+ * Loads the rules file, merges the environment keyword rules and hands the result to onLoad -
+ * at startup and again whenever the file changes
+ */
+export class ClassifierRuleSource {
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.envRules = options.envRules || [];
+    this.validBackends = options.validBackends || null;
+    this.pollInterval = options.pollInterval || 2000;
+    this.onLoad = options.onLoad;
+
+    this.watching = false;
+    this.stats = { loads: 0, rejected: 0, lastLoaded: null, lastError: null, sections: [] };
+  }
+
+  async load() {
+    let compiled = {};
+    if (this.filePath) {
+      const text = await fsp.readFile(this.filePath, 'utf8');
+      compiled = compileClassifierRules(await this.parse(text), this.validBackends);
+    }
+
+    this.apply(compiled);
+    this.stats.loads++;
+    this.stats.lastLoaded = Date.now();
+    this.stats.lastError = null;
+    this.stats.sections = Object.keys(compiled);
+    return compiled;
+  }
+
+  // Environment keyword rules replace file rules of the same name
+  apply(compiled) {
+    const envNames = new Set(this.envRules.map(rule => rule.name));
+    if (this.envRules.length > 0) {
+      compiled.keywordRules = [...(compiled.keywordRules || []).filter(rule => !envNames.has(rule.name)), ...this.envRules];
+    }
+    this.onLoad(compiled);
+  }
+
+  async parse(text) {
+    if (!/\.ya?ml$/i.test(this.filePath)) {
+      return JSON.parse(text);
+    }
+    let yaml;
+    try {
+      yaml = await import('yaml');
+    } catch (error) {
+      throw new Error('YAML classifier rules need the optional "yaml" package (npm install yaml) - or use a .json rules file');
+    }
+    return yaml.parse(text);
+  }
+
+  /**
+   * Poll the file (survives editors that replace it on save); reloads keep the old rules on error
+   */
+  start() {
+    if (!this.filePath || this.watching) return;
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: this.pollInterval, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      this.load()
+        .then(() => console.error(`🔁 Classifier rules reloaded from ${this.filePath}`))
+        .catch(error => this.reject(error));
+    });
+  }
+
+  /**
+   * A bad reload keeps the previous rules; a bad first load has none to keep, so the
+   * environment keyword rules still apply on their own
+   */
+  reject(error) {
+    this.stats.rejected++;
+    this.stats.lastError = error.message;
+    if (this.stats.loads === 0) {
+      this.apply({});
+      console.error(`⚠️ Classifier rules${this.filePath ? ` in ${this.filePath}` : ''} rejected, using the built-in and environment rules: ${error.message}`);
+      return;
+    }
+    console.error(`⚠️ Classifier rules${this.filePath ? ` in ${this.filePath}` : ''} rejected, keeping the previous rules: ${error.message}`);
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  describe() {
+    return {
+      file: this.filePath,
+      watching: this.watching,
+      envKeywordRules: this.envRules.map(rule => rule.name),
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,131 @@
+import { createHash, randomUUID } from 'crypto';
+
+/**
+ * Decision Journal - one entry per enhancedQuery call explaining where it went and why
+ * Entries hold the fingerprint, classification, policy decision, backend, timings, outcome and
+ * failure analysis. Prompts are never stored verbatim: 'hash' keeps a SHA-256 prefix and the
+ * length, 'redact' also keeps a short preview with secrets, e-mails, URLs and long numbers
+ * masked, 'omit' keeps the length only. The journal is bounded to maxEntries (oldest dropped)
+ * and persisted through an EmpiricalStore when one is attached.
+ */
+
+const REDACTIONS = [
+  [/\b(?:sk|pk|rk|nvapi|xox[abp])-[A-Za-z0-9_-]{8,}\b/g, '[SECRET]'],
+  [/\b(?:api[_-]?key|token|secret|password|passwd|authorization)\b\s*[:=]\s*\S+/gi, '[SECRET]'],
+  [/\bBearer\s+[A-Za-z0-9._~+/-]+=*/g, 'Bearer [SECRET]'],
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[EMAIL]'],
+  [/\bhttps?:\/\/\S+/g, '[URL]'],
+  [/\b\d{6,}\b/g, '[NUMBER]']
+];
+
+export class DecisionJournal {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.promptMode = ['hash', 'redact', 'omit'].includes(options.promptMode) ? options.promptMode : 'hash';
+    this.previewLength = options.previewLength || 120;
+    this.entries = [];
+    this.store = null;
+  }
+
+  describePrompt(prompt) {
+    const text = prompt || '';
+    const description = { length: text.length };
+    if (this.promptMode !== 'omit') {
+      description.sha256 = createHash('sha256').update(text).digest('hex').slice(0, 16);
+    }
+    if (this.promptMode === 'redact') {
+      description.preview = this.redact(text.slice(0, this.previewLength * 2)).slice(0, this.previewLength);
+    }
+    return description;
+  }
+
+  redact(text) {
+    return REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Append one routing decision; returns the stored entry
+   */
+  record(prompt, entry) {
+    const event = {
+      type: 'decision',
+      entry: { id: randomUUID(), timestamp: Date.now(), prompt: this.describePrompt(prompt), ...entry }
+    };
+    this.applyEvent(this.store ? this.store.append(event) : event);
+    return event.entry;
+  }
+
+  applyEvent(event) {
+    if (event.type !== 'decision') return;
+    this.entries.push(event.entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  /**
+   * Newest-first entries matching every given filter
+   * @param {{since?: number, until?: number, domain?: string, outcome?: string, backend?: string, limit?: number}} filters
+   */
+  query(filters = {}) {
+    const matches = this.entries.filter(entry =>
+      (filters.since === undefined || entry.timestamp >= filters.since) &&
+      (filters.until === undefined || entry.timestamp <= filters.until) &&
+      (!filters.domain || entry.fingerprint?.domain === filters.domain) &&
+      (!filters.outcome || entry.outcome === filters.outcome) &&
+      (!filters.backend || entry.backend === filters.backend || (entry.attempts || []).some(attempt => attempt.provider === filters.backend))
+    );
+    return {
+      total: matches.length,
+      entries: matches.reverse().slice(0, filters.limit || matches.length)
+    };
+  }
+
+  toJSONL(entries) {
+    return entries.map(entry => JSON.stringify(entry)).join('\n');
+  }
+
+  exportState() {
+    return { entries: this.entries };
+  }
+
+  importState(state) {
+    this.entries = (state.entries || []).slice(-this.maxEntries);
+  }
+
+  async attachStore(store) {
+    const { snapshot, events } = await store.load();
+    if (snapshot) {
+      this.importState(snapshot);
+    }
+    events.forEach(event => this.applyEvent(event));
+    this.store = store;
+    store.start(() => this.exportState());
+  }
+
+  describe() {
+    return {
+      entries: this.entries.length,
+      maxEntries: this.maxEntries,
+      promptMode: this.promptMode,
+      oldest: this.entries[0]?.timestamp || null,
+      persistence: this.store ? this.store.describe() : null
+    };
+  }
+}
+
+/**
+ * Time filter value to epoch ms: ISO timestamp, epoch ms, or a duration ago such as "30m", "24h", "7d"
+ */
+export function parseTimeFilter(value, name = 'time') {
+  if (value === undefined || value === null || value === '') return undefined;
+  const relative = /^(\d+)\s*([mhd])$/.exec(String(value).trim());
+  if (relative) {
+    return Date.now() - Number(relative[1]) * { m: 60000, h: 3600000, d: 86400000 }[relative[2]];
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid ${name} parameter - expected an ISO timestamp, epoch ms or a duration like "24h"`);
+  }
+  return time;
+}
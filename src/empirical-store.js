@@ -0,0 +1,170 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * Empirical Store - durable backing for EmpiricalRoutingManager
+ * Events go to an append-only JSONL journal; once it grows past the compaction threshold the
+ * in-memory state is written as a snapshot (tmp file + rename) and the journal is truncated.
+ * Every event carries a sequence number, so events already folded into the snapshot, or written
+ * twice around a crash, are skipped on replay.
+ */
+export class EmpiricalStore {
+  constructor(options = {}) {
+    const name = options.name || 'empirical';
+    this.dataDir = options.dataDir;
+    this.snapshotPath = path.join(this.dataDir, `${name}-snapshot.json`);
+    this.journalPath = path.join(this.dataDir, `${name}-journal.jsonl`);
+    this.flushInterval = options.flushInterval || 5000;
+    this.compactThreshold = options.compactThreshold || 1000;
+
+    this.seq = 0;
+    this.pending = [];
+    this.inFlight = [];
+    this.journalEvents = 0;
+    this.flushing = null;
+    this.timer = null;
+    this.getSnapshot = null;
+    this.stats = { loadedEvents: 0, skippedLines: 0, lastFlush: null, lastCompaction: null };
+  }
+
+  /**
+   * Read the snapshot and the journal events recorded after it
+   */
+  async load() {
+    await fsp.mkdir(this.dataDir, { recursive: true });
+
+    let snapshot = null;
+    try {
+      snapshot = JSON.parse(await fsp.readFile(this.snapshotPath, 'utf8'));
+      this.seq = snapshot.seq || 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Empirical snapshot unreadable, rebuilding from journal: ${error.message}`);
+      }
+    }
+
+    const events = [];
+    let journal = '';
+    try {
+      journal = await fsp.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (journal && !journal.endsWith('\n')) {
+      // Terminate a torn last line so the next append starts on a fresh one
+      await fsp.appendFile(this.journalPath, '\n', 'utf8');
+    }
+
+    for (const line of journal.split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        this.stats.skippedLines++; // Torn write from a crash mid-append
+        continue;
+      }
+      this.journalEvents++;
+      if (event.seq > this.seq) {
+        this.seq = event.seq;
+        events.push(event);
+      }
+    }
+
+    this.stats.loadedEvents = events.length;
+    return { snapshot: snapshot?.state || null, events };
+  }
+
+  /**
+   * Begin periodic flushing; getSnapshot returns the state to write on compaction
+   */
+  start(getSnapshot) {
+    this.getSnapshot = getSnapshot;
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error(`⚠️ Empirical flush failed: ${error.message}`));
+    }, this.flushInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stamp an event with the next sequence number and queue it for the journal
+   */
+  append(event) {
+    const stamped = { seq: ++this.seq, ...event };
+    this.pending.push(stamped);
+    return stamped;
+  }
+
+  async flush() {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      if (this.pending.length > 0) {
+        this.inFlight = this.pending;
+        this.pending = [];
+        await fsp.appendFile(this.journalPath, this.serialize(this.inFlight), 'utf8');
+        this.journalEvents += this.inFlight.length;
+        this.inFlight = [];
+        this.stats.lastFlush = Date.now();
+      }
+      if (this.journalEvents >= this.compactThreshold && this.getSnapshot) {
+        await this.compact();
+      }
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  async compact() {
+    // Captured synchronously: the state includes every event stamped so far
+    const snapshot = { version: 1, seq: this.seq, savedAt: Date.now(), state: this.getSnapshot() };
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    await fsp.writeFile(tmpPath, JSON.stringify(snapshot), 'utf8');
+    await fsp.rename(tmpPath, this.snapshotPath);
+    await fsp.writeFile(this.journalPath, '', 'utf8');
+    this.journalEvents = 0;
+    this.stats.lastCompaction = snapshot.savedAt;
+    console.error(`🗜️ Empirical journal compacted at seq ${snapshot.seq}`);
+  }
+
+  /**
+   * Shutdown path - cleanup tasks run synchronously right before process.exit
+   */
+  flushSync() {
+    this.stop();
+    const events = [...this.inFlight, ...this.pending];
+    if (events.length === 0) return;
+    fs.appendFileSync(this.journalPath, this.serialize(events), 'utf8');
+    this.pending = [];
+    this.inFlight = [];
+    this.stats.lastFlush = Date.now();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  serialize(events) {
+    return events.map(event => JSON.stringify(event)).join('\n') + '\n';
+  }
+
+  describe() {
+    return {
+      dataDir: this.dataDir,
+      seq: this.seq,
+      pendingEvents: this.pending.length,
+      journalEvents: this.journalEvents,
+      compactThreshold: this.compactThreshold,
+      flushInterval: this.flushInterval,
+      ...this.stats
+    };
+  }
+}
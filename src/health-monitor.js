@@ -0,0 +1,222 @@
+/**
+ * Endpoint Health Monitor - background liveness of every known local endpoint
+ * Each check pings every endpoint of the LocalEndpointRegistry and moves it between states
+ * with hysteresis, so one slow or dropped probe does not flap routing:
+ *
+ *   healthy  -> degraded   one failed probe, or a probe slower than degradedLatency
+ *   degraded -> down       failuresToDown consecutive failed probes
+ *   down     -> degraded   a slow answer
+ *   any      -> healthy    successesToRecover consecutive fast answers (the first answer from 'unknown')
+ *
+ * A server going down leaves the model catalogue; when the primary endpoint is down (or none
+ * is selected) the registry resolves again, including discovery when that is enabled. While
+ * nothing is reachable, re-resolving backs off (doubling from rediscoveryBackoff up to
+ * rediscoveryMaxBackoff) unless a known endpoint answers again. A recovering server is
+ * fingerprinted again so its models return to the catalogue.
+ */
+
+export const HEALTH_STATES = ['unknown', 'healthy', 'degraded', 'down'];
+
+export class EndpointHealthMonitor {
+  constructor(options = {}) {
+    this.registry = options.registry;
+    this.interval = options.interval ?? 30000; // 0 disables the background timer; check() still works on demand
+    this.degradedLatency = options.degradedLatency || 2000;
+    this.failuresToDown = options.failuresToDown || 3;
+    this.successesToRecover = options.successesToRecover || 2;
+    this.onTransition = options.onTransition || null; // ({ url, from, to, primary, record }) => void
+    this.onPrimaryChange = options.onPrimaryChange || null; // ({ from, to }) => void
+    this.rediscoveryBackoff = options.rediscoveryBackoff || this.interval || 30000;
+    this.rediscoveryMaxBackoff = options.rediscoveryMaxBackoff || 300000;
+
+    this.records = new Map(); // url -> { state, consecutiveFailures, consecutiveSuccesses, ... }
+    this.lastCheckAt = null;
+    this.checking = null;
+    this.timer = null;
+    this.stats = { checks: 0, transitions: 0, rediscoveries: 0 };
+    this.rediscovery = { failures: 0, nextAt: 0 }; // backoff while no endpoint resolves
+  }
+
+  start() {
+    if (!this.interval || this.timer) return;
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error(`⚠️ Endpoint health check failed: ${error.message}`));
+    }, this.interval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Whether the last check is recent enough to answer status questions without probing
+   */
+  isFresh() {
+    return this.lastCheckAt !== null && Date.now() - this.lastCheckAt < Math.max(this.interval, 5000);
+  }
+
+  /**
+   * Endpoint states for a status answer: probes when they are stale, but never waits behind a
+   * check already in flight once there are records to answer from
+   */
+  async snapshot() {
+    if (!this.isFresh() && !(this.checking && this.lastCheckAt !== null)) {
+      await this.check();
+    }
+    return this.describe();
+  }
+
+  /**
+   * Probe every known endpoint once; concurrent callers share the running check
+   */
+  async check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    const primaryBefore = this.registry.selected?.url || null;
+    const endpoints = this.registry.knownEndpoints();
+    const probes = await Promise.all(endpoints.map(async endpoint => {
+      try {
+        return { endpoint, ok: true, latencyMs: await this.registry.ping(endpoint) };
+      } catch (error) {
+        return { endpoint, ok: false, error: error.name === 'AbortError' ? `No answer within ${this.registry.probeTimeout}ms` : (error.cause?.code || error.message) };
+      }
+    }));
+
+    for (const probe of probes) {
+      const primary = probe.endpoint.url === this.registry.selected?.url;
+      let { from, to, record } = this.observe(probe.endpoint.url, probe);
+      if (from === to) continue;
+
+      this.stats.transitions++;
+      if (to === 'down') {
+        this.registry.removeServer(probe.endpoint.url);
+      } else if (from === 'down' || from === 'unknown') {
+        try {
+          await this.registry.probe(probe.endpoint, 'health_monitor');
+        } catch (error) {
+          // Answered the ping but not the model listing: a failed observation, not a failed check
+          ({ to, record } = this.observe(probe.endpoint.url, { ok: false, error: `Model listing failed: ${error.cause?.code || error.message}` }));
+        }
+      }
+      // A default port that never answered is not news
+      if (from !== 'unknown' || to !== 'down') {
+        console.error(`${to === 'healthy' ? '💚' : to === 'degraded' ? '💛' : '💔'} Local endpoint ${probe.endpoint.url}: ${from} → ${to}${record.lastError ? ` (${record.lastError})` : ''}`);
+      }
+      this.onTransition?.({ url: probe.endpoint.url, from, to, primary, record });
+    }
+
+    this.stats.checks++;
+    this.lastCheckAt = Date.now();
+    await this.ensurePrimary(primaryBefore, probes.some(probe => probe.ok));
+    return this.describe();
+  }
+
+  /**
+   * Apply one probe to an endpoint's record; returns the state before and after
+   */
+  observe(url, probe) {
+    const record = this.records.get(url) || {
+      state: 'unknown',
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      lastLatencyMs: null,
+      lastError: null,
+      lastCheckedAt: null,
+      lastChangeAt: null
+    };
+    const from = record.state;
+    record.lastCheckedAt = Date.now();
+
+    if (!probe.ok) {
+      record.consecutiveFailures++;
+      record.consecutiveSuccesses = 0;
+      record.lastError = probe.error;
+      if (record.consecutiveFailures >= this.failuresToDown || (from === 'unknown' && record.consecutiveFailures === 1 && !this.registry.servers.has(url))) {
+        record.state = 'down';
+      } else if (from === 'healthy' || from === 'unknown') {
+        record.state = 'degraded';
+      }
+    } else {
+      record.consecutiveFailures = 0;
+      record.lastLatencyMs = probe.latencyMs;
+      record.lastError = null;
+      if (probe.latencyMs > this.degradedLatency) {
+        record.consecutiveSuccesses = 0;
+        record.lastError = `Slow answer (${probe.latencyMs}ms > ${this.degradedLatency}ms)`;
+        if (from !== 'degraded') record.state = 'degraded';
+      } else {
+        record.consecutiveSuccesses++;
+        if (from === 'unknown' || record.consecutiveSuccesses >= this.successesToRecover) {
+          record.state = 'healthy';
+        }
+      }
+    }
+
+    if (record.state !== from) {
+      record.lastChangeAt = Date.now();
+    }
+    this.records.set(url, record);
+    return { from, to: record.state, record };
+  }
+
+  /**
+   * Resolve a new primary endpoint when the current one is down or gone; while none is
+   * reachable this retries with backoff (at once when a known endpoint answered), logging
+   * only the loss itself
+   */
+  async ensurePrimary(before, answered = false) {
+    if (before && this.registry.selected?.url === before && this.stateOf(before) !== 'down') return;
+    if (!before && !answered && Date.now() < this.rediscovery.nextAt) return;
+
+    this.stats.rediscoveries++;
+    this.registry.invalidate();
+    let after = null;
+    try {
+      after = (await this.registry.resolve()).url;
+      this.rediscovery = { failures: 0, nextAt: 0 };
+    } catch (error) {
+      if (before) console.error(`💔 No local model server reachable: ${error.message}`);
+      const failures = this.rediscovery.failures + 1;
+      this.rediscovery = {
+        failures,
+        nextAt: Date.now() + Math.min(this.rediscoveryBackoff * 2 ** (failures - 1), this.rediscoveryMaxBackoff)
+      };
+    }
+    if (after !== before) {
+      this.onPrimaryChange?.({ from: before, to: after });
+    }
+  }
+
+  stateOf(url) {
+    return this.records.get(url)?.state || 'unknown';
+  }
+
+  describe() {
+    return {
+      interval: this.interval,
+      running: Boolean(this.timer),
+      lastCheckAt: this.lastCheckAt ? new Date(this.lastCheckAt).toISOString() : null,
+      primary: this.registry.selected?.url || null,
+      thresholds: { degradedLatencyMs: this.degradedLatency, failuresToDown: this.failuresToDown, successesToRecover: this.successesToRecover },
+      nextRediscoveryAt: this.rediscovery.nextAt ? new Date(this.rediscovery.nextAt).toISOString() : null,
+      endpoints: Array.from(this.records.entries()).map(([url, record]) => ({
+        url,
+        ...record,
+        lastCheckedAt: record.lastCheckedAt ? new Date(record.lastCheckedAt).toISOString() : null,
+        lastChangeAt: record.lastChangeAt ? new Date(record.lastChangeAt).toISOString() : null
+      })),
+      ...this.stats
+    };
+  }
+}
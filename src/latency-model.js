@@ -0,0 +1,152 @@
+/**
+ * Latency Model - request timeouts predicted from observed latency
+ * Keeps a sliding window of latencies per (fingerprint, model, prompt size) and falls back
+ * through coarser keys while a key has too few samples:
+ *   fingerprint+model+size -> fingerprint+model -> model+size -> model
+ * Timeout = p95 x safety factor, clamped to [minTimeout, maxTimeout]. The size-blind keys are
+ * mostly small prompts, so a prediction from them never goes below the static tier timeout.
+ * Timed-out requests are recorded at the timeout that cut them off - a lower bound on their
+ * real latency.
+ */
+
+// Prompt size buckets in bytes; the last bucket catches everything larger
+const SIZE_BUCKETS = [
+  ['small', 2 * 1024],
+  ['medium', 16 * 1024],
+  ['large', 64 * 1024],
+  ['xlarge', Infinity]
+];
+
+const LEVELS = ['fingerprint_model_size', 'fingerprint_model', 'model_size', 'model'];
+const SIZE_BLIND_LEVELS = new Set(['fingerprint_model', 'model']);
+
+export class LatencyModel {
+  constructor(options = {}) {
+    this.percentile = options.percentile ?? 0.95;
+    this.safetyFactor = options.safetyFactor ?? 1.5;
+    this.minTimeout = options.minTimeout ?? 15000;
+    this.maxTimeout = options.maxTimeout ?? 180000;
+    this.minSamples = options.minSamples ?? 5;
+    this.maxSamples = options.maxSamples ?? 200;
+
+    this.samples = new Map(); // key -> [{ ms, censored, t }]
+    this.store = null;
+  }
+
+  sizeBucket(promptSize) {
+    return SIZE_BUCKETS.find(([, limit]) => promptSize < limit)[0];
+  }
+
+  keysFor({ fingerprint, model, promptSize }) {
+    const size = this.sizeBucket(promptSize || 0);
+    const modelKey = model || 'default';
+    return {
+      fingerprint_model_size: `${fingerprint}|${modelKey}|${size}`,
+      fingerprint_model: `${fingerprint}|${modelKey}`,
+      model_size: `*|${modelKey}|${size}`,
+      model: `*|${modelKey}`
+    };
+  }
+
+  /**
+   * Record one completed (or timed-out) request
+   */
+  record({ fingerprint, model, promptSize, latencyMs, censored = false }) {
+    const event = { type: 'latency', fingerprint, model, promptSize, latencyMs: Math.round(latencyMs), censored, timestamp: Date.now() };
+    this.applyEvent(this.store ? this.store.append(event) : event);
+  }
+
+  applyEvent(event) {
+    if (event.type !== 'latency') return;
+    for (const key of Object.values(this.keysFor(event))) {
+      if (!this.samples.has(key)) {
+        this.samples.set(key, []);
+      }
+      const window = this.samples.get(key);
+      window.push({ ms: event.latencyMs, censored: event.censored, t: event.timestamp });
+      if (window.length > this.maxSamples) {
+        window.shift();
+      }
+    }
+  }
+
+  /**
+   * Timeout for a request, with the basis it was derived from; fallbackTimeout applies
+   * until some key has minSamples observations
+   */
+  predict({ fingerprint, model, promptSize, fallbackTimeout }) {
+    const keys = this.keysFor({ fingerprint, model, promptSize });
+    for (const level of LEVELS) {
+      const window = this.samples.get(keys[level]) || [];
+      if (window.length < this.minSamples) continue;
+
+      const observed = this.quantile(window.map(sample => sample.ms), this.percentile);
+      const raw = Math.round(observed * this.safetyFactor);
+      let timeout = Math.min(this.maxTimeout, Math.max(this.minTimeout, raw));
+      const flooredAtTier = SIZE_BLIND_LEVELS.has(level) && fallbackTimeout > timeout;
+      if (flooredAtTier) {
+        timeout = fallbackTimeout;
+      }
+      return {
+        timeout,
+        basis: {
+          source: 'latency_model',
+          level,
+          key: keys[level],
+          samples: window.length,
+          censoredSamples: window.filter(sample => sample.censored).length,
+          percentile: Math.round(this.percentile * 100),
+          observedMs: Math.round(observed),
+          safetyFactor: this.safetyFactor,
+          clamped: flooredAtTier ? 'tier' : (timeout !== raw ? (timeout === this.maxTimeout ? 'max' : 'min') : null)
+        }
+      };
+    }
+
+    return {
+      timeout: fallbackTimeout,
+      basis: {
+        source: 'complexity_tier',
+        reason: `Fewer than ${this.minSamples} latency samples for ${model || 'default'} - using the static tier timeout`
+      }
+    };
+  }
+
+  // Nearest-rank quantile
+  quantile(values, q) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))];
+  }
+
+  exportState() {
+    return { samples: Array.from(this.samples.entries()) };
+  }
+
+  importState(state) {
+    for (const [key, window] of state.samples || []) {
+      this.samples.set(key, window.slice(-this.maxSamples));
+    }
+  }
+
+  async attachStore(store) {
+    const { snapshot, events } = await store.load();
+    if (snapshot) {
+      this.importState(snapshot);
+    }
+    events.forEach(event => this.applyEvent(event));
+    this.store = store;
+    store.start(() => this.exportState());
+  }
+
+  describe() {
+    return {
+      percentile: this.percentile,
+      safetyFactor: this.safetyFactor,
+      minTimeout: this.minTimeout,
+      maxTimeout: this.maxTimeout,
+      minSamples: this.minSamples,
+      keys: this.samples.size,
+      persistence: this.store ? this.store.describe() : null
+    };
+  }
+}
@@ -0,0 +1,218 @@
+import { createHash } from 'crypto';
+
+/**
+ * LLM Router - a small, fast model as an alternative to the regex task classifier
+ * The model gets the prompt plus a rubric and answers with JSON:
+ *   { "task_type": "debugging", "complexity": 0.3, "backend": "deepseek", "confidence": 0.8, "reason": "..." }
+ * 'llm' mode replaces the regex routing recommendation, task_type and complexity with the answer;
+ * 'blend' mixes the two recommendations by blendWeight. Every call runs under a strict latency
+ * budget - on timeout, an unreachable model or unparseable output route() returns null and the
+ * regex classification stands. Failures back off for retryInterval so a missing model costs one
+ * request per interval, not one per prompt.
+ */
+
+export const CLASSIFIER_MODES = ['regex', 'llm', 'blend'];
+const BACKENDS = ['deepseek', 'claude'];
+
+const RUBRIC = `You route coding-assistant requests. Reply with one JSON object and nothing else:
+{"task_type": "<type>", "complexity": <0-1>, "backend": "deepseek" | "claude", "confidence": <0-1>, "reason": "<one short sentence>"}
+
+task_type is one of: TASK_TYPES.
+complexity: 0 = one-line fix or factual question, 0.5 = a single function or component, 1 = multi-system architecture or coordination.
+backend: "deepseek" for self-contained tasks a strong code model handles alone (single function, component, bug, review, explanation);
+"claude" for system architecture, multi-service integration, cross-cutting refactors and open-ended design.
+confidence: how sure you are about backend.`;
+
+export class LlmRouter {
+  constructor(options = {}) {
+    this.complete = options.complete; // async (messages, signal) => { content, model }
+    this.mode = CLASSIFIER_MODES.includes(options.mode) ? options.mode : 'llm';
+    this.taskTypes = options.taskTypes || ['coding', 'debugging', 'analysis', 'architecture', 'optimization', 'game_dev', 'creative'];
+    this.blendWeight = options.blendWeight ?? 0.5;
+    this.timeout = options.timeout || 1500;
+    this.retryInterval = options.retryInterval || 60000;
+    this.maxPromptChars = options.maxPromptChars || 4000;
+    this.cacheSize = options.cacheSize || 500;
+
+    this.rubric = RUBRIC.replace('TASK_TYPES', this.taskTypes.join(', '));
+    this.cache = new Map(); // prompt hash -> answer (insertion-ordered LRU)
+    this.unavailableUntil = 0;
+    this.stats = { calls: 0, cacheHits: 0, fallbacks: 0, invalidAnswers: 0, totalLatencyMs: 0, model: null, lastError: null };
+  }
+
+  /**
+   * The model's routing answer for a prompt, or null when the regex classifier has to stand in
+   */
+  async route(prompt, context = '', signal = null) {
+    const key = createHash('sha256').update(`${context}\n${prompt}`).digest('hex');
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.cacheHits++;
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+    if (Date.now() < this.unavailableUntil) {
+      this.stats.fallbacks++;
+      return null;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const onClientAbort = () => controller.abort();
+    signal?.addEventListener('abort', onClientAbort, { once: true });
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await this.complete([
+        { role: 'system', content: this.rubric },
+        { role: 'user', content: this.excerpt(prompt, context) }
+      ], controller.signal);
+    } catch (error) {
+      this.stats.fallbacks++;
+      if (signal?.aborted) return null; // The client gave up - says nothing about the router model
+      this.unavailableUntil = Date.now() + this.retryInterval;
+      this.stats.lastError = error.name === 'AbortError' ? `No answer within ${this.timeout}ms` : error.message;
+      console.error(`⚠️ LLM router unavailable, using the regex classifier for ${this.retryInterval / 1000}s: ${this.stats.lastError}`);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onClientAbort);
+    }
+
+    const latencyMs = Date.now() - startTime;
+    this.stats.calls++;
+    this.stats.totalLatencyMs += latencyMs;
+    this.stats.model = response.model || this.stats.model;
+
+    const answer = this.parse(response.content);
+    if (!answer) {
+      // A malformed answer is a per-prompt problem, not an outage - no back-off
+      this.stats.fallbacks++;
+      this.stats.invalidAnswers++;
+      this.stats.lastError = `Unparseable router answer: ${(response.content || '').slice(0, 80)}`;
+      return null;
+    }
+    answer.latencyMs = latencyMs;
+    answer.model = response.model || null;
+
+    this.cache.set(key, answer);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return answer;
+  }
+
+  excerpt(prompt, context) {
+    // Routing needs the gist, not a whole pasted file - keep the router call fast
+    const text = context ? `Context: ${context}\n\nRequest: ${prompt}` : prompt;
+    return text.length > this.maxPromptChars
+      ? `${text.slice(0, this.maxPromptChars)}\n[... ${text.length - this.maxPromptChars} more characters]`
+      : text;
+  }
+
+  /**
+   * Validated answer from the model's text, or null; tolerates code fences and <think> blocks
+   */
+  parse(content) {
+    const text = (content || '').replace(/<think>[\s\S]*?<\/think>/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    let raw;
+    try {
+      raw = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+    const backend = typeof raw.backend === 'string' ? raw.backend.toLowerCase() : null;
+    const complexity = Number(raw.complexity);
+    if (!BACKENDS.includes(backend) || !Number.isFinite(complexity)) return null;
+
+    const confidence = Number(raw.confidence);
+    return {
+      taskType: this.taskTypes.includes(raw.task_type) ? raw.task_type : null,
+      complexity: Math.min(Math.max(complexity, 0), 1),
+      backend,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.7,
+      reason: typeof raw.reason === 'string' ? raw.reason.slice(0, 200) : ''
+    };
+  }
+
+  /**
+   * Classification with the router's answer applied (or the regex one, marked as a fallback).
+   * Rule-assigned task types and backends are explicit configuration and always win.
+   */
+  apply(classification, answer) {
+    const regexRoute = classification.routeTo;
+    if (!answer) {
+      return { ...classification, router: { mode: this.mode, source: 'regex_fallback', regexRoute, reason: this.stats.lastError } };
+    }
+
+    // Both recommendations as a probability that the task needs Claude
+    const claudeScore = (route, confidence) => route === 'claude' ? confidence : 1 - confidence;
+    const llmScore = claudeScore(answer.backend, answer.confidence);
+    const score = this.mode === 'blend'
+      ? this.blendWeight * llmScore + (1 - this.blendWeight) * claudeScore(regexRoute, classification.confidence)
+      : llmScore;
+    const routeTo = score >= 0.5 ? 'claude' : 'deepseek';
+    const complexityScore = this.mode === 'blend'
+      ? this.blendWeight * answer.complexity + (1 - this.blendWeight) * classification.complexityScore
+      : answer.complexity;
+
+    return {
+      ...classification,
+      routeTo,
+      confidence: Math.round((routeTo === 'claude' ? score : 1 - score) * 100) / 100,
+      reason: this.mode === 'blend'
+        ? `Blended router: ${answer.reason || answer.backend} (LLM ${answer.backend}, regex ${regexRoute})`
+        : `LLM router: ${answer.reason || answer.backend}`,
+      complexityScore: Math.round(complexityScore * 100) / 100,
+      taskType: classification.ruleReason && classification.taskType ? classification.taskType : (answer.taskType || classification.taskType),
+      router: {
+        mode: this.mode,
+        source: this.mode,
+        regexRoute,
+        regexReason: classification.reason,
+        llm: answer
+      }
+    };
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      model: this.stats.model,
+      timeout: this.timeout,
+      blendWeight: this.mode === 'blend' ? this.blendWeight : null,
+      available: Date.now() >= this.unavailableUntil,
+      averageLatencyMs: this.stats.calls > 0 ? Math.round(this.stats.totalLatencyMs / this.stats.calls) : null,
+      calls: this.stats.calls,
+      cacheHits: this.stats.cacheHits,
+      fallbacks: this.stats.fallbacks,
+      invalidAnswers: this.stats.invalidAnswers,
+      lastError: this.stats.lastError
+    };
+  }
+}
+
+/**
+ * Router model for the local backend when LLM_ROUTER_MODEL is unset: the smallest chat model of
+ * at most maxParamsB billion parameters, loaded ones first; null when the catalogue has none.
+ * Sizes come from Ollama's parameter_size or the model id ("qwen2.5-1.5b-instruct", "phi3:3.8b").
+ */
+export function pickRouterModel(models, maxParamsB = 8) {
+  const paramsB = model => {
+    const reported = String(model.parameterSize || '').match(/^([\d.]+)\s*([MB])$/i);
+    if (reported) return parseFloat(reported[1]) / (reported[2].toUpperCase() === 'M' ? 1000 : 1);
+    const named = model.id.match(/(?:^|[-_:.])(\d+(?:\.\d+)?)b(?=$|[-_:.])/i);
+    return named ? parseFloat(named[1]) : null;
+  };
+  const candidates = models
+    .filter(model => model.kind !== 'embeddings' && !/embed/i.test(model.id))
+    .map(model => ({ model, size: paramsB(model) }))
+    .filter(({ size }) => size !== null && size <= maxParamsB)
+    .sort((a, b) => Number(b.model.state === 'loaded') - Number(a.model.state === 'loaded') || a.size - b.size);
+  return candidates[0]?.model.id || null;
+}
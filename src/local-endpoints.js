@@ -0,0 +1,395 @@
+/**
+ * Local Endpoint Registry - where the local model servers live and what they serve
+ * Endpoints come from LOCAL_ENDPOINTS (JSON list or comma-separated URLs) and LOCAL_MODEL_URL,
+ * each with a type, a priority (lower is tried first) and an optional auth header; with neither
+ * set, the default ports of LM Studio, Ollama, vLLM and llama.cpp on localhost are tried. They
+ * are probed in priority order; the first that answers is the primary endpoint until cacheTtl
+ * expires or it is invalidated. IP discovery (WSL host, gateways, common subnets) only runs when
+ * enabled and no configured endpoint answers. Every probe is recorded so diagnostics can show
+ * why an endpoint was chosen.
+ *
+ * An 'auto' endpoint's server type is fingerprinted from the shape of its responses, and every
+ * reachable server's models are merged into one catalogue, so a request for a model goes to the
+ * server that has it.
+ *
+ *   LOCAL_ENDPOINTS=[{"url": "http://localhost:1234/v1", "type": "lmstudio", "priority": 1},
+ *                    {"url": "http://gpu-box:8000/v1", "type": "vllm", "priority": 2, "auth": "Bearer token"}]
+ */
+
+export const ENDPOINT_TYPES = ['auto', 'lmstudio', 'ollama', 'vllm', 'llamacpp', 'openai'];
+
+// Each server's default port - tried on localhost when nothing is configured, and by discovery
+export const KNOWN_SERVER_PORTS = { lmstudio: 1234, ollama: 11434, vllm: 8000, llamacpp: 8080 };
+
+const DEFAULT_ENDPOINTS = Object.entries(KNOWN_SERVER_PORTS).map(([type, port], index) => ({
+  url: `http://localhost:${port}/v1`, type, priority: index + 1, headers: {}, source: 'default'
+}));
+
+/**
+ * Endpoint definitions from LOCAL_ENDPOINTS and LOCAL_MODEL_URL; throws one Error listing every problem
+ */
+export function parseEndpoints(endpointsSetting, modelUrlSetting = null) {
+  const errors = [];
+  let raw = [];
+  const text = (endpointsSetting || '').trim();
+  if (text.startsWith('[')) {
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid LOCAL_ENDPOINTS: ${error.message}`);
+    }
+  } else if (text) {
+    raw = text.split(',').map(url => url.trim()).filter(Boolean).map(url => ({ url }));
+  }
+
+  const endpoints = raw.map((entry, index) => {
+    const where = `LOCAL_ENDPOINTS[${index}]`;
+    const url = normalizeUrl(entry?.url);
+    if (!url) errors.push(`${where}: url must be an http(s) URL`);
+    const type = entry?.type || 'auto';
+    if (!ENDPOINT_TYPES.includes(type)) errors.push(`${where}: type must be one of ${ENDPOINT_TYPES.join(', ')}`);
+    if (entry?.priority !== undefined && !Number.isFinite(Number(entry.priority))) errors.push(`${where}: priority must be a number`);
+    if (entry?.auth !== undefined && typeof entry.auth !== 'string') errors.push(`${where}: auth must be a string`);
+    return {
+      url,
+      type,
+      priority: entry?.priority !== undefined ? Number(entry.priority) : index + 1,
+      headers: parseAuth(entry?.auth),
+      source: 'configured'
+    };
+  });
+
+  const modelUrl = normalizeUrl(modelUrlSetting);
+  if (modelUrlSetting && !modelUrl) {
+    errors.push('LOCAL_MODEL_URL must be an http(s) URL');
+  } else if (modelUrl && !endpoints.some(endpoint => endpoint.url === modelUrl)) {
+    endpoints.push({ url: modelUrl, type: 'auto', priority: Math.max(0, ...endpoints.map(endpoint => endpoint.priority)) + 1, headers: {}, source: 'LOCAL_MODEL_URL' });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid local endpoint configuration: ${errors.join('; ')}`);
+  }
+  return endpoints.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * LOCAL_DISCOVERY_PORTS ("1234,11434") as numbers; empty means the known server ports
+ */
+export function parsePorts(value) {
+  return String(value || '').split(',')
+    .map(port => Number(port.trim()))
+    .filter(port => Number.isInteger(port) && port > 0 && port < 65536);
+}
+
+/**
+ * "Bearer abc" becomes an Authorization header, "X-Api-Key: abc" a header of that name
+ */
+function parseAuth(auth) {
+  if (!auth) return {};
+  const custom = /^([A-Za-z0-9-]+):\s*(.+)$/.exec(auth);
+  return custom ? { [custom[1]]: custom[2] } : { Authorization: auth };
+}
+
+/**
+ * Base of a server's native API: http://host:11434/v1 -> http://host:11434
+ */
+function serverRoot(url) {
+  return url.replace(/\/v1$/, '');
+}
+
+function normalizeUrl(value) {
+  if (typeof value !== 'string' || !/^https?:\/\/[^/\s]+/i.test(value.trim())) return null;
+  const url = value.trim().replace(/\/+$/, '');
+  // A bare host:port means the OpenAI-compatible API under /v1
+  return /^https?:\/\/[^/]+$/i.test(url) ? `${url}/v1` : url;
+}
+
+export class LocalEndpointRegistry {
+  constructor(options = {}) {
+    this.endpoints = options.endpoints?.length > 0 ? options.endpoints : DEFAULT_ENDPOINTS;
+    this.discoveryEnabled = Boolean(options.discoveryEnabled);
+    this.discoveryStrategies = options.discoveryStrategies || []; // [{ name, run: async () => [ip] }]
+    this.discoveryPorts = options.discoveryPorts?.length > 0 ? options.discoveryPorts : Object.values(KNOWN_SERVER_PORTS);
+    this.probeTimeout = options.probeTimeout || 3000;
+    this.cacheTtl = options.cacheTtl ?? 300000;
+    this.maxAttempts = options.maxAttempts || 100;
+
+    this.selected = null; // { url, type, priority, headers, source, models, selectedAt, reason }
+    this.servers = new Map(); // url -> { url, root, type, priority, headers, source, models, checkedAt }
+    this.attempts = []; // most recent probes, oldest first
+    this.lastResolution = null;
+  }
+
+  /**
+   * The endpoint to use - cached, else the first configured endpoint that answers, else discovery
+   */
+  async resolve() {
+    if (this.selected && Date.now() - this.selected.selectedAt < this.cacheTtl) {
+      return this.selected;
+    }
+
+    const startedAt = Date.now();
+    const tried = [];
+    for (const endpoint of this.endpoints) {
+      tried.push(endpoint.url);
+      const server = await this.probe(endpoint, endpoint.source);
+      if (server) {
+        return this.select(server, `${endpoint.source === 'default' ? `Default ${endpoint.type} port` : `Configured endpoint (priority ${endpoint.priority})`} answered`, startedAt);
+      }
+    }
+
+    if (this.discoveryEnabled) {
+      console.error(`🔍 No configured local endpoint answered - discovering on ports ${this.discoveryPorts.join(', ')}...`);
+      for (const strategy of this.discoveryStrategies) {
+        let ips = [];
+        try {
+          ips = await strategy.run();
+        } catch (error) {
+          this.recordAttempt({ url: null, source: 'discovery', strategy: strategy.name, outcome: 'strategy_failed', error: error.message, ms: 0 });
+          continue;
+        }
+        for (const ip of ips) {
+          for (const port of this.discoveryPorts) {
+            const endpoint = { url: `http://${ip}:${port}/v1`, type: 'auto', priority: null, headers: {}, source: 'discovery', strategy: strategy.name };
+            if (tried.includes(endpoint.url)) continue;
+            tried.push(endpoint.url);
+            const server = await this.probe(endpoint, 'discovery', strategy.name);
+            if (server) {
+              return this.select(server, `Discovered via ${strategy.name} after ${this.endpoints.length} configured endpoint(s) failed`, startedAt);
+            }
+          }
+        }
+      }
+    }
+
+    this.selected = null;
+    this.lastResolution = { at: new Date().toISOString(), selected: null, reason: 'No endpoint answered', tried: tried.length, durationMs: Date.now() - startedAt };
+    throw new Error(`No working local model server: ${tried.length} endpoint(s) tried${this.discoveryEnabled ? ' including discovery' : ' (set LOCAL_ENDPOINTS, or LOCAL_DISCOVERY_ENABLED=true to scan)'} - see diagnostics for each attempt`);
+  }
+
+  /**
+   * Fingerprint one endpoint; the server entry (type and models) when it answers, else null.
+   * Updates the catalogue either way.
+   */
+  async probe(endpoint, source, strategy = null) {
+    const startTime = Date.now();
+    try {
+      const { type, models } = await this.fingerprint(endpoint);
+      this.recordAttempt({ url: endpoint.url, source, strategy, outcome: 'ok', serverType: type, models: models.length, ms: Date.now() - startTime });
+      const server = { ...endpoint, root: serverRoot(endpoint.url), type, models, checkedAt: Date.now() };
+      this.servers.set(endpoint.url, server);
+      return server;
+    } catch (error) {
+      this.recordAttempt({ url: endpoint.url, source, strategy, outcome: error.status ? `http_${error.status}` : (error.name === 'AbortError' ? 'timeout' : 'unreachable'), error: error.cause?.code || error.cause?.message || error.message, ms: Date.now() - startTime });
+      this.servers.delete(endpoint.url);
+      return null;
+    }
+  }
+
+  /**
+   * Server type and model list from the shape of the server's answers:
+   *   vLLM       /v1/models entries carry max_model_len (owned_by "vllm")
+   *   llama.cpp  /v1/models entries owned_by "llamacpp", or /props has default_generation_settings
+   *   Ollama     /api/tags lists { models: [{ name, details }] }
+   *   LM Studio  /api/v0/models lists entries with a load state
+   * A configured type skips the guessing but still reads the native model list. Each model
+   * carries its load state where the server tells it (LM Studio, Ollama's /api/ps); vLLM and
+   * llama.cpp only list the model they serve. Context lengths come from vLLM's max_model_len,
+   * LM Studio's loaded (else maximum) context and llama.cpp's n_ctx.
+   */
+  async fingerprint(endpoint) {
+    const root = serverRoot(endpoint.url);
+    const openaiModels = await this.getJSON(`${endpoint.url}/models`, endpoint.headers).catch(error => {
+      // A dead host fails every probe - only an HTTP error leaves room for a native API
+      if (!error.status) throw error;
+      return null;
+    });
+    const entries = Array.isArray(openaiModels?.data) ? openaiModels.data : [];
+    const asModels = (list, state = null) => list.map(model => ({ id: model.id, ownedBy: model.owned_by || null, ...(state ? { state } : {}) }));
+
+    const isType = async (type) => {
+      if (endpoint.type !== 'auto') return endpoint.type === type;
+      switch (type) {
+        case 'vllm': return entries.some(model => model.owned_by === 'vllm' || model.max_model_len !== undefined);
+        case 'llamacpp': return entries.some(model => model.owned_by === 'llamacpp')
+          || Boolean((await this.getJSON(`${root}/props`, endpoint.headers).catch(() => null))?.default_generation_settings);
+        default: return false;
+      }
+    };
+
+    if (await isType('vllm')) {
+      return { type: 'vllm', models: entries.map(model => ({ id: model.id, ownedBy: model.owned_by || null, state: 'loaded', contextLength: model.max_model_len || null })) };
+    }
+    if (endpoint.type === 'auto' || endpoint.type === 'ollama') {
+      const tags = await this.getJSON(`${root}/api/tags`, endpoint.headers).catch(() => null);
+      if (Array.isArray(tags?.models) && tags.models.every(model => typeof model.name === 'string')) {
+        const running = await this.getJSON(`${root}/api/ps`, endpoint.headers).catch(() => null);
+        const loaded = Array.isArray(running?.models) ? new Set(running.models.map(model => model.name)) : null;
+        return {
+          type: 'ollama',
+          models: tags.models.map(model => ({
+            id: model.name,
+            ownedBy: 'ollama',
+            state: loaded ? (loaded.has(model.name) ? 'loaded' : 'not-loaded') : null,
+            kind: /embed/i.test(model.name) ? 'embeddings' : 'llm',
+            family: model.details?.family || null,
+            parameterSize: model.details?.parameter_size || null,
+            sizeBytes: model.size || null
+          }))
+        };
+      }
+    }
+    if (endpoint.type === 'auto' || endpoint.type === 'lmstudio') {
+      const native = await this.getJSON(`${root}/api/v0/models`, endpoint.headers).catch(() => null);
+      if (Array.isArray(native?.data) && native.data.some(model => typeof model.state === 'string')) {
+        // max_context_length is the model's ceiling, not what a just-in-time load gives it
+        return {
+          type: 'lmstudio',
+          models: native.data.map(model => ({ id: model.id, ownedBy: model.publisher || null, kind: model.type || null, state: model.state || null, contextLength: model.loaded_context_length || null }))
+        };
+      }
+    }
+    if (await isType('llamacpp')) {
+      // n_ctx is the context the server was started with; n_ctx_train only the model's ceiling
+      const props = await this.getJSON(`${root}/props`, endpoint.headers).catch(() => null);
+      const contextLength = props?.default_generation_settings?.n_ctx || props?.n_ctx || null;
+      return {
+        type: 'llamacpp',
+        models: entries.map(model => ({ ...asModels([model], 'loaded')[0], contextLength: contextLength || model.meta?.n_ctx_train || null }))
+      };
+    }
+    if (!openaiModels) {
+      const error = new Error(`No model list at ${endpoint.url}/models`);
+      error.status = 404;
+      throw error;
+    }
+    return { type: endpoint.type === 'auto' ? 'openai' : endpoint.type, models: asModels(entries) };
+  }
+
+  async getJSON(url, headers = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.probeTimeout);
+    try {
+      const response = await fetch(url, { headers: { 'Accept': 'application/json', ...headers }, signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} from ${url}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Re-fingerprint every known endpoint (configured, default and the selected one) and return
+   * the reachable servers in priority order
+   */
+  async refreshCatalogue() {
+    await this.resolve();
+    await Promise.all(this.knownEndpoints().map(endpoint => this.probe(endpoint, endpoint.source, endpoint.strategy || null)));
+    if (this.selected && this.servers.has(this.selected.url)) {
+      this.selected = { ...this.selected, ...this.servers.get(this.selected.url) };
+    }
+    return this.listServers();
+  }
+
+  /**
+   * Configured (or default) endpoints plus a discovered primary endpoint
+   */
+  knownEndpoints() {
+    const endpoints = [...this.endpoints];
+    if (this.selected && !endpoints.some(endpoint => endpoint.url === this.selected.url)) {
+      endpoints.push(this.selected);
+    }
+    return endpoints;
+  }
+
+  /**
+   * Cheap liveness check for the health monitor - the model list, native for Ollama; latency in ms or throws
+   */
+  async ping(endpoint) {
+    const startTime = Date.now();
+    const type = this.servers.get(endpoint.url)?.type || endpoint.type;
+    await this.getJSON(type === 'ollama' ? `${serverRoot(endpoint.url)}/api/tags` : `${endpoint.url}/models`, endpoint.headers);
+    return Date.now() - startTime;
+  }
+
+  /**
+   * Drop a dead server from the catalogue; dropping the primary endpoint forces the next resolve() to probe again
+   */
+  removeServer(url) {
+    this.servers.delete(url);
+    if (this.selected?.url === url) {
+      this.invalidate();
+    }
+  }
+
+  listServers() {
+    const rank = server => server.url === this.selected?.url ? -Infinity : (server.priority ?? Infinity);
+    return Array.from(this.servers.values()).sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Every model from every reachable server; a model served twice is listed once, under the
+   * server that ranks first (the primary endpoint, then priority)
+   */
+  getCatalogue() {
+    const catalogue = new Map();
+    for (const server of this.listServers()) {
+      for (const model of server.models) {
+        if (!catalogue.has(model.id)) {
+          catalogue.set(model.id, { ...model, object: 'model', owned_by: model.ownedBy, server: server.url, serverType: server.type });
+        }
+      }
+    }
+    return Array.from(catalogue.values());
+  }
+
+  /**
+   * The server to send a request for this model to - the one whose catalogue lists it, else the primary endpoint
+   */
+  serverFor(model) {
+    if (model) {
+      const server = this.listServers().find(candidate => candidate.models.some(entry => entry.id === model));
+      if (server) return server;
+    }
+    return this.selected;
+  }
+
+  select(server, reason, startedAt) {
+    if (this.selected?.url !== server.url) {
+      console.error(`✅ Local model server: ${server.url} (${server.type}) - ${reason}`);
+    }
+    this.selected = { ...server, selectedAt: Date.now(), reason };
+    this.lastResolution = { at: new Date().toISOString(), selected: server.url, reason, durationMs: Date.now() - startedAt };
+    return this.selected;
+  }
+
+  /**
+   * Forget the selected endpoint so the next resolve() probes again
+   */
+  invalidate() {
+    this.selected = null;
+  }
+
+  recordAttempt(attempt) {
+    this.attempts.push({ at: new Date().toISOString(), ...attempt });
+    if (this.attempts.length > this.maxAttempts) {
+      this.attempts.shift();
+    }
+  }
+
+  describe() {
+    const redact = headers => Object.fromEntries(Object.keys(headers || {}).map(name => [name, '[set]']));
+    return {
+      selected: this.selected ? { url: this.selected.url, type: this.selected.type, source: this.selected.source, reason: this.selected.reason, selectedAt: new Date(this.selected.selectedAt).toISOString() } : null,
+      endpoints: this.endpoints.map(endpoint => ({ url: endpoint.url, type: endpoint.type, priority: endpoint.priority, source: endpoint.source, headers: redact(endpoint.headers) })),
+      servers: this.listServers().map(server => ({ url: server.url, type: server.type, models: server.models.map(model => model.id), checkedAt: new Date(server.checkedAt).toISOString() })),
+      discovery: { enabled: this.discoveryEnabled, ports: this.discoveryPorts, strategies: this.discoveryStrategies.map(strategy => strategy.name) },
+      lastResolution: this.lastResolution,
+      attempts: this.attempts.slice(-20)
+    };
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Model Capabilities - what each model can take and give, for prompt sizing and max_tokens
+ * Per model: context length, max output tokens, FIM (fill-in-the-middle) support, JSON mode,
+ * vision, and the tags a reasoning model wraps its thinking in. Filled, in rising precedence, from:
+ *
+ *   defaults   MODEL_DEFAULT_CONTEXT_LENGTH / MODEL_DEFAULT_MAX_OUTPUT (the old 32K / 8000 standard)
+ *   inferred   model-name hints and the server type (coder models fill in the middle, R1/QwQ think)
+ *   metadata   the local catalogue - vLLM max_model_len, LM Studio loaded_context_length and type,
+ *              llama.cpp n_ctx
+ *   override   MODEL_CAPABILITIES, keyed by model id or a * pattern; an exact id beats patterns
+ *
+ *   MODEL_CAPABILITIES={"*-r1-*": {"reasoningTags": true},
+ *                       "qwen2.5-coder-32b-instruct": {"contextLength": 131072, "maxOutput": 16384}}
+ *
+ * Without an override, max output is a quarter of the context (capped at the default), so
+ * prompt and answer always fit together.
+ */
+
+export const CAPABILITY_FIELDS = {
+  contextLength: 'number',
+  maxOutput: 'number',
+  fim: 'boolean',
+  jsonMode: 'boolean',
+  vision: 'boolean',
+  reasoningTags: 'tags' // true (<think>...</think>), false, or { open, close }
+};
+
+const THINK_TAGS = { open: '<think>', close: '</think>' };
+
+// What /v1/models does not say, guessed from the model name
+const NAME_HINTS = {
+  fim: /coder|codestral|starcoder|codellama|codegemma|deepseek-v[23]/i,
+  vision: /vision|llava|pixtral|moondream|minicpm-v|[-_.]vl([-_.:]|$)/i,
+  reasoningTags: /deepseek-r1|r1-distill|qwq|qwen3(?!-coder)|magistral|reasoning/i
+};
+
+// Servers whose OpenAI-compatible API honours response_format json_object
+const JSON_MODE_SERVERS = ['lmstudio', 'ollama', 'vllm', 'llamacpp'];
+
+/**
+ * MODEL_CAPABILITIES JSON as [{ key, pattern, values }]; throws one Error listing every problem
+ */
+export function parseCapabilityOverrides(value) {
+  const text = (value || '').trim();
+  if (!text) return [];
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid MODEL_CAPABILITIES: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid MODEL_CAPABILITIES: expected an object keyed by model id or pattern');
+  }
+
+  const errors = [];
+  const overrides = Object.entries(raw).map(([key, entry]) => {
+    const where = `MODEL_CAPABILITIES["${key}"]`;
+    const values = {};
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where}: expected an object`);
+      return null;
+    }
+    for (const [field, fieldValue] of Object.entries(entry)) {
+      const kind = CAPABILITY_FIELDS[field];
+      if (!kind) {
+        errors.push(`${where}.${field}: unknown capability (known: ${Object.keys(CAPABILITY_FIELDS).join(', ')})`);
+      } else if (kind === 'number' && !(Number.isInteger(fieldValue) && fieldValue > 0)) {
+        errors.push(`${where}.${field}: must be a positive integer`);
+      } else if (kind === 'boolean' && typeof fieldValue !== 'boolean') {
+        errors.push(`${where}.${field}: must be true or false`);
+      } else if (kind === 'tags') {
+        const tags = toTags(fieldValue);
+        if (tags === undefined) errors.push(`${where}.${field}: must be true, false or { "open": "<tag>", "close": "</tag>" }`);
+        else values[field] = tags;
+        continue;
+      }
+      values[field] = fieldValue;
+    }
+    return {
+      key,
+      pattern: key.includes('*') ? new RegExp(`^${key.split('*').map(escapeRegExp).join('.*')}$`, 'i') : null,
+      values
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid model capability configuration: ${errors.join('; ')}`);
+  }
+  return overrides;
+}
+
+export class ModelCapabilityRegistry {
+  constructor(options = {}) {
+    this.catalogue = options.catalogue || (() => []); // () => catalogue entries ({ id, contextLength, kind, serverType })
+    this.overrides = options.overrides || [];
+    this.defaults = {
+      contextLength: options.defaultContextLength || 32768,
+      maxOutput: options.defaultMaxOutput || 8000,
+      fim: false,
+      jsonMode: false,
+      vision: false,
+      reasoningTags: null
+    };
+  }
+
+  /**
+   * Capabilities of one model (the defaults for null or an unknown model), with the token budgets
+   * derived from them and where each value came from
+   */
+  get(model) {
+    const capabilities = { ...this.defaults };
+    const sources = Object.fromEntries(Object.keys(CAPABILITY_FIELDS).map(field => [field, 'default']));
+    const apply = (values, source) => {
+      for (const [field, value] of Object.entries(values)) {
+        if (value === undefined || (value === null && field !== 'reasoningTags')) continue;
+        capabilities[field] = value;
+        sources[field] = source;
+      }
+    };
+
+    const entry = model ? this.catalogue().find(candidate => candidate.id === model) : null;
+    if (model) {
+      apply({
+        fim: NAME_HINTS.fim.test(model) || undefined,
+        vision: NAME_HINTS.vision.test(model) || undefined,
+        reasoningTags: NAME_HINTS.reasoningTags.test(model) ? THINK_TAGS : undefined,
+        jsonMode: JSON_MODE_SERVERS.includes(entry?.serverType) || undefined
+      }, 'inferred');
+    }
+    if (entry) {
+      apply({
+        contextLength: entry.contextLength || undefined,
+        vision: entry.kind === 'vlm' || undefined
+      }, 'metadata');
+    }
+    const matching = model ? this.overrides.filter(override => override.pattern ? override.pattern.test(model) : override.key === model) : [];
+    matching.sort((a, b) => Number(!a.pattern) - Number(!b.pattern)).forEach(override => apply(override.values, 'override'));
+
+    if (sources.maxOutput !== 'override') {
+      capabilities.maxOutput = Math.min(this.defaults.maxOutput, Math.floor(capabilities.contextLength / 4));
+      sources.maxOutput = sources.contextLength === 'default' ? 'default' : 'derived';
+    }
+    return {
+      model: model || null,
+      // Only a catalogued or configured model has limits worth enforcing; the rest get defaults for sizing
+      known: Boolean(entry || matching.length > 0),
+      ...capabilities,
+      optimalTokens: Math.floor(capabilities.maxOutput / 2),
+      promptBudget: Math.max(capabilities.contextLength - capabilities.maxOutput, 0),
+      sources
+    };
+  }
+
+  describe() {
+    return {
+      defaults: { contextLength: this.defaults.contextLength, maxOutput: this.defaults.maxOutput },
+      overrides: this.overrides.map(override => ({ key: override.key, ...override.values })),
+      models: this.catalogue().map(entry => {
+        const { sources, ...capabilities } = this.get(entry.id);
+        return { ...capabilities, contextLengthSource: sources.contextLength };
+      })
+    };
+  }
+}
+
+/**
+ * Context chunk sizes in tokens for a model: a chunk plus its framing fits the prompt budget,
+ * and chunking aims a fifth below that limit
+ */
+export function chunkSizesFor(capabilities, framingTokens = 500) {
+  const maxChunkSize = Math.max(capabilities.promptBudget - framingTokens, 1000);
+  const targetChunkSize = Math.floor(maxChunkSize * 0.8);
+  return { targetChunkSize, maxChunkSize, minChunkSize: Math.min(5000, Math.floor(targetChunkSize / 4)) };
+}
+
+/**
+ * Split a reasoning model's answer into its thinking and the answer proper; an unclosed block
+ * (cut off at max_tokens) is all thinking
+ */
+export function splitReasoning(content, tags) {
+  if (!tags || typeof content !== 'string') return { content, reasoning: null };
+  const start = content.indexOf(tags.open);
+  if (start === -1) {
+    // Chat templates that open the block in the prompt leave only the closing tag in the answer
+    const end = content.indexOf(tags.close);
+    if (end === -1) return { content, reasoning: null };
+    return { content: content.slice(end + tags.close.length).trim(), reasoning: content.slice(0, end).trim() };
+  }
+  const end = content.indexOf(tags.close, start + tags.open.length);
+  if (end === -1) {
+    return { content: content.slice(0, start).trim(), reasoning: content.slice(start + tags.open.length).trim() };
+  }
+  return {
+    content: (content.slice(0, start) + content.slice(end + tags.close.length)).trim(),
+    reasoning: content.slice(start + tags.open.length, end).trim()
+  };
+}
+
+function toTags(value) {
+  if (value === true) return THINK_TAGS;
+  if (value === false || value === null) return null;
+  if (value && typeof value.open === 'string' && typeof value.close === 'string' && value.open && value.close) {
+    return { open: value.open, close: value.close };
+  }
+  return undefined;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
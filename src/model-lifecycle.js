@@ -0,0 +1,261 @@
+/**
+ * Model Lifecycle - list, load, unload, warm and keep alive models on the local servers
+ * LM Studio lists every downloaded model with its state (loaded / not-loaded) at /api/v0/models.
+ * Loading and unloading go through its REST model API (/api/v1/models/load and /unload); a
+ * server without that API loads just-in-time on the first request, which a one-token warm-up
+ * completion triggers. Ollama reports loaded models at /api/ps and loads or unloads through
+ * /api/generate with keep_alive. vLLM and llama.cpp serve the model they were started with.
+ *
+ * Keep-alive pings send a warm-up to each registered model every keepAliveInterval, so a model
+ * is not evicted by the server's idle TTL between requests.
+ */
+
+const LMSTUDIO_LOAD_PATH = '/api/v1/models/load';
+const LMSTUDIO_UNLOAD_PATH = '/api/v1/models/unload';
+
+/**
+ * Default local model: loaded before unknown before not-loaded (an unloaded model makes the
+ * first request pay for a cold load), then deepseek/coder models, embedding models last
+ */
+export function pickDefaultModel(models) {
+  const loadRank = m => m.state === 'loaded' ? 0 : (m.state === 'not-loaded' ? 2 : 1);
+  const isCoder = m => m.id.toLowerCase().includes('deepseek') || m.id.toLowerCase().includes('coder');
+  const isEmbedding = m => m.kind === 'embeddings' || /embed/i.test(m.id);
+  const rank = m => (isEmbedding(m) ? 10 : 0) + loadRank(m) * 2 + (isCoder(m) ? 0 : 1);
+  return models.reduce((best, m) => rank(m) < rank(best) ? m : best).id;
+}
+
+export class ModelLifecycleManager {
+  constructor(options = {}) {
+    this.registry = options.registry; // LocalEndpointRegistry
+    this.loadTimeout = options.loadTimeout || 300000; // cold loads of large models take minutes
+    this.keepAliveInterval = options.keepAliveInterval ?? 240000;
+    this.keepAliveTtl = options.keepAliveTtl || 600; // seconds the server keeps a pinged model loaded
+
+    this.keepAlive = new Map(); // model -> { since, lastPingAt, lastLatencyMs, lastError }
+    this.timer = null;
+    (options.keepAliveModels || []).forEach(model => this.setKeepAlive(model, true));
+  }
+
+  /**
+   * Every reachable server with its models and their load state, freshly read
+   */
+  async list() {
+    const servers = await this.registry.refreshCatalogue();
+    return servers.map(server => ({
+      url: server.url,
+      type: server.type,
+      primary: server.url === this.registry.selected?.url,
+      lifecycle: this.supports(server),
+      models: server.models.map(model => ({ ...model, state: model.state || 'unknown' }))
+    }));
+  }
+
+  /**
+   * What a server type lets us do: LM Studio and Ollama manage models, the others serve a fixed one
+   */
+  supports(server) {
+    const managed = server.type === 'lmstudio' || server.type === 'ollama';
+    return { load: managed, unload: managed, warm: true };
+  }
+
+  async load(model, { contextLength = null, ttlSeconds = null } = {}) {
+    const server = await this.findServer(model);
+    const before = this.stateOf(server, model);
+    const startTime = Date.now();
+    let method;
+
+    if (server.type === 'lmstudio') {
+      try {
+        await this.post(`${server.root}${LMSTUDIO_LOAD_PATH}`, server.headers, {
+          model,
+          ...(contextLength ? { context_length: contextLength } : {}),
+          ...(ttlSeconds ? { ttl: ttlSeconds } : {})
+        });
+        method = 'rest_api';
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 405) throw error;
+        // Older LM Studio: no load endpoint, but the first request loads the model just in time
+        await this.ping(server, model, ttlSeconds);
+        method = 'jit_request';
+      }
+    } else if (server.type === 'ollama') {
+      await this.post(`${server.root}/api/generate`, server.headers, {
+        model,
+        keep_alive: ttlSeconds ? `${ttlSeconds}s` : '30m',
+        ...(contextLength ? { options: { num_ctx: contextLength } } : {})
+      });
+      method = 'keep_alive';
+    } else {
+      throw new Error(`${server.type} at ${server.url} serves a fixed model - load "${model}" by restarting that server`);
+    }
+
+    const after = await this.refreshState(server, model);
+    return { action: 'load', model, server: server.url, serverType: server.type, method, stateBefore: before, state: after, durationMs: Date.now() - startTime };
+  }
+
+  async unload(model) {
+    const server = await this.findServer(model);
+    const before = this.stateOf(server, model);
+    const startTime = Date.now();
+
+    if (server.type === 'lmstudio') {
+      try {
+        await this.post(`${server.root}${LMSTUDIO_UNLOAD_PATH}`, server.headers, { instance_id: model });
+      } catch (error) {
+        if (error.status === 404 || error.status === 405) {
+          throw new Error(`LM Studio at ${server.url} has no REST unload endpoint (needs the /api/v1 model API) - unload "${model}" in LM Studio or with "lms unload"`);
+        }
+        throw error;
+      }
+    } else if (server.type === 'ollama') {
+      await this.post(`${server.root}/api/generate`, server.headers, { model, keep_alive: 0 });
+    } else {
+      throw new Error(`${server.type} at ${server.url} serves a fixed model - it cannot unload "${model}"`);
+    }
+
+    // An unloaded model cannot be kept alive - the next ping would load it again
+    this.keepAlive.delete(model);
+    const after = await this.refreshState(server, model);
+    return { action: 'unload', model, server: server.url, serverType: server.type, stateBefore: before, state: after, durationMs: Date.now() - startTime };
+  }
+
+  /**
+   * One-token request so the model is loaded and its weights are paged in; coldLoad tells
+   * whether this request paid for the load
+   */
+  async warm(model, { ttlSeconds = null } = {}) {
+    const server = await this.findServer(model);
+    const before = this.stateOf(server, model);
+    const latencyMs = await this.ping(server, model, ttlSeconds);
+    const after = await this.refreshState(server, model);
+    return { action: 'warm', model, server: server.url, serverType: server.type, stateBefore: before, state: after, coldLoad: before === 'not-loaded', latencyMs };
+  }
+
+  setKeepAlive(model, enabled) {
+    if (enabled) {
+      if (!this.keepAlive.has(model)) {
+        this.keepAlive.set(model, { since: Date.now(), lastPingAt: null, lastLatencyMs: null, lastError: null });
+      }
+      this.start();
+    } else {
+      this.keepAlive.delete(model);
+      if (this.keepAlive.size === 0) this.stop();
+    }
+    return { action: 'keep_alive', model, enabled, interval: this.keepAliveInterval, models: Array.from(this.keepAlive.keys()) };
+  }
+
+  start() {
+    if (!this.keepAliveInterval || this.timer || this.keepAlive.size === 0) return;
+    this.timer = setInterval(() => {
+      this.pingKeepAlive().catch(error => console.error(`⚠️ Keep-alive pings failed: ${error.message}`));
+    }, this.keepAliveInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async pingKeepAlive() {
+    for (const [model, entry] of this.keepAlive) {
+      try {
+        const server = await this.findServer(model);
+        entry.lastLatencyMs = await this.ping(server, model, this.keepAliveTtl);
+        entry.lastError = null;
+      } catch (error) {
+        entry.lastError = error.message;
+        console.error(`⚠️ Keep-alive ping for ${model} failed: ${error.message}`);
+      }
+      entry.lastPingAt = Date.now();
+    }
+  }
+
+  /**
+   * Minimal generation against the model's own server; latency in ms
+   */
+  async ping(server, model, ttlSeconds = null) {
+    const startTime = Date.now();
+    if (server.type === 'ollama') {
+      await this.post(`${server.root}/api/generate`, server.headers, { model, keep_alive: ttlSeconds ? `${ttlSeconds}s` : '30m' });
+    } else {
+      await this.post(`${server.url}/chat/completions`, server.headers, {
+        model,
+        messages: [{ role: 'user', content: 'ping' }],
+        max_tokens: 1,
+        temperature: 0,
+        // LM Studio keeps a just-in-time loaded model for ttl idle seconds
+        ...(server.type === 'lmstudio' && ttlSeconds ? { ttl: ttlSeconds } : {})
+      });
+    }
+    return Date.now() - startTime;
+  }
+
+  /**
+   * The server listing a model; re-reads the catalogue once before giving up
+   */
+  async findServer(model) {
+    const lookup = () => this.registry.listServers().find(server => server.models.some(entry => entry.id === model));
+    let server = lookup();
+    if (!server) {
+      await this.registry.refreshCatalogue();
+      server = lookup();
+    }
+    if (!server) {
+      const known = this.registry.getCatalogue().map(entry => entry.id);
+      throw new Error(`Model "${model}" is not on any reachable local server${known.length > 0 ? ` - known: ${known.slice(0, 20).join(', ')}` : ''}`);
+    }
+    return server;
+  }
+
+  stateOf(server, model) {
+    return server.models.find(entry => entry.id === model)?.state || 'unknown';
+  }
+
+  async refreshState(server, model) {
+    const refreshed = await this.registry.probe(server, 'model_lifecycle');
+    return refreshed ? this.stateOf(refreshed, model) : 'unknown';
+  }
+
+  async post(url, headers, body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.loadTimeout);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} from ${url}: ${(await response.text().catch(() => '')).slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+      return await response.json().catch(() => null);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`No answer from ${url} within ${Math.round(this.loadTimeout / 1000)}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  describe() {
+    return {
+      keepAliveInterval: this.keepAliveInterval,
+      keepAlive: Array.from(this.keepAlive.entries()).map(([model, entry]) => ({
+        model,
+        since: new Date(entry.since).toISOString(),
+        lastPingAt: entry.lastPingAt ? new Date(entry.lastPingAt).toISOString() : null,
+        lastLatencyMs: entry.lastLatencyMs,
+        lastError: entry.lastError
+      }))
+    };
+  }
+}
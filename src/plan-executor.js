@@ -0,0 +1,205 @@
+/**
+ * Plan Executor - runs a complex request as a dependency-ordered plan of typed steps
+ * A planning backend turns the request into JSON steps; 'planning' steps (design, decomposition,
+ * integration decisions) go to the strong backend and 'implementation' steps to the local coder.
+ * Steps run in dependency order, each with the outputs of the steps it depends on as context.
+ * A failed step is retried up to maxStepRetries times; steps downstream of a step that still
+ * failed are skipped, independent branches keep going. The deliverable stitches the step
+ * outputs together in plan order.
+ */
+
+export const STEP_TYPES = ['planning', 'implementation'];
+
+export const PLAN_INSTRUCTIONS = `Break the request below into an execution plan. Reply with one JSON object and nothing else:
+{"steps": [{"id": "<short-kebab-id>", "title": "<what the step produces>", "type": "planning" | "implementation",
+  "instructions": "<self-contained instructions for this step>", "depends_on": ["<ids of earlier steps whose output it needs>"]}]}
+
+"planning" steps design, decompose, choose interfaces or integrate results; they run on a strong reasoning model.
+"implementation" steps write one focused piece of code or text from a clear spec; they run on a local code model.
+Use between 2 and MAX_STEPS steps. Each step only sees the request, its own instructions and the output of the steps it depends on.`;
+
+/**
+ * Validate a plan answer; throws one Error listing every problem found
+ * @param {string|object} answer - the planning model's text (fences and <think> blocks tolerated) or a parsed plan
+ */
+export function parsePlan(answer, maxSteps = 8) {
+  let raw = answer;
+  if (typeof answer === 'string') {
+    const text = answer.replace(/<think>[\s\S]*?<\/think>/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Invalid plan: no JSON object in the planning response');
+    }
+    try {
+      raw = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      throw new Error(`Invalid plan: ${error.message}`);
+    }
+  }
+
+  const errors = [];
+  if (!Array.isArray(raw?.steps) || raw.steps.length === 0) {
+    throw new Error('Invalid plan: steps must be a non-empty array');
+  }
+  if (raw.steps.length > maxSteps) {
+    errors.push(`${raw.steps.length} steps exceed the limit of ${maxSteps}`);
+  }
+
+  const ids = new Set();
+  const steps = raw.steps.map((step, index) => {
+    const where = `steps[${index}]`;
+    const id = typeof step?.id === 'string' && step.id.trim() ? step.id.trim() : `step-${index + 1}`;
+    if (ids.has(id)) errors.push(`${where}: duplicate id "${id}"`);
+    ids.add(id);
+    if (!STEP_TYPES.includes(step?.type)) errors.push(`${where}: type must be one of ${STEP_TYPES.join(', ')}`);
+    if (typeof step?.instructions !== 'string' || !step.instructions.trim()) errors.push(`${where}: instructions must be a non-empty string`);
+    if (step?.depends_on !== undefined && !Array.isArray(step.depends_on)) errors.push(`${where}: depends_on must be an array of step ids`);
+    return {
+      id,
+      title: typeof step?.title === 'string' && step.title.trim() ? step.title.trim() : id,
+      type: step?.type,
+      instructions: step?.instructions,
+      dependsOn: Array.isArray(step?.depends_on) ? step.depends_on.map(String) : []
+    };
+  });
+
+  for (const step of steps) {
+    for (const dependency of step.dependsOn) {
+      if (!ids.has(dependency)) errors.push(`step "${step.id}" depends on unknown step "${dependency}"`);
+      if (dependency === step.id) errors.push(`step "${step.id}" depends on itself`);
+    }
+  }
+  if (errors.length === 0 && !orderSteps(steps)) {
+    errors.push('depends_on contains a cycle');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid plan: ${errors.join('; ')}`);
+  }
+  return { steps: orderSteps(steps) };
+}
+
+/**
+ * Kahn's algorithm, stable with respect to the planner's order; null on a cycle
+ */
+function orderSteps(steps) {
+  const remaining = new Map(steps.map(step => [step.id, new Set(step.dependsOn)]));
+  const ordered = [];
+  while (remaining.size > 0) {
+    const ready = steps.find(step => remaining.has(step.id) && remaining.get(step.id).size === 0);
+    if (!ready) return null;
+    ordered.push(ready);
+    remaining.delete(ready.id);
+    remaining.forEach(dependencies => dependencies.delete(ready.id));
+  }
+  return ordered;
+}
+
+export class PlanExecutor {
+  constructor(options = {}) {
+    this.runStep = options.runStep; // async (step, stepPrompt, signal) => { response, provider, model }
+    this.maxStepRetries = options.maxStepRetries ?? 1;
+    this.maxContextChars = options.maxContextChars || 12000;
+    this.onProgress = options.onProgress || null;
+  }
+
+  /**
+   * Run every step of a parsed plan; never throws for a failed step, only for cancellation
+   */
+  async execute(request, plan, signal = null) {
+    const results = new Map();
+    const startTime = Date.now();
+
+    for (const [index, step] of plan.steps.entries()) {
+      signal?.throwIfAborted();
+      const blockedBy = step.dependsOn.filter(dependency => results.get(dependency).status !== 'completed');
+      if (blockedBy.length > 0) {
+        results.set(step.id, { ...this.describeStep(step), status: 'skipped', attempts: [], durationMs: 0, error: `Skipped - depends on failed step(s): ${blockedBy.join(', ')}` });
+        this.reportProgress(index + 1, plan.steps.length, `⏭️ ${step.title} skipped`);
+        continue;
+      }
+
+      this.reportProgress(index, plan.steps.length, `▶️ Step ${index + 1}/${plan.steps.length} (${step.type}): ${step.title}`);
+      const stepPrompt = this.buildStepPrompt(request, step, results);
+      results.set(step.id, await this.runWithRetries(step, stepPrompt, signal));
+      this.reportProgress(index + 1, plan.steps.length, `${results.get(step.id).status === 'completed' ? '✅' : '❌'} ${step.title}`);
+    }
+
+    const steps = plan.steps.map(step => results.get(step.id));
+    const count = status => steps.filter(step => step.status === status).length;
+    return {
+      status: count('completed') === steps.length ? 'completed' : (count('completed') > 0 ? 'partial' : 'failed'),
+      steps,
+      summary: { total: steps.length, completed: count('completed'), failed: count('failed'), skipped: count('skipped') },
+      deliverable: this.combine(steps),
+      durationMs: Date.now() - startTime
+    };
+  }
+
+  async runWithRetries(step, stepPrompt, signal) {
+    const attempts = [];
+    const stepStart = Date.now();
+    for (let attempt = 1; attempt <= this.maxStepRetries + 1; attempt++) {
+      const attemptStart = Date.now();
+      try {
+        const result = await this.runStep(step, stepPrompt, signal);
+        attempts.push({ attempt, outcome: 'success', provider: result.provider, durationMs: Date.now() - attemptStart });
+        return {
+          ...this.describeStep(step),
+          status: 'completed',
+          backend: result.provider,
+          model: result.model,
+          output: result.response,
+          attempts,
+          durationMs: Date.now() - stepStart
+        };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        attempts.push({ attempt, outcome: 'error', provider: error.provider || null, error: error.message, durationMs: Date.now() - attemptStart });
+        console.error(`⚠️ Plan step "${step.id}" attempt ${attempt} failed: ${error.message}`);
+      }
+    }
+    return {
+      ...this.describeStep(step),
+      status: 'failed',
+      attempts,
+      durationMs: Date.now() - stepStart,
+      error: attempts[attempts.length - 1].error
+    };
+  }
+
+  describeStep(step) {
+    return { id: step.id, title: step.title, type: step.type, dependsOn: step.dependsOn };
+  }
+
+  buildStepPrompt(request, step, results) {
+    // Budget split evenly across dependencies so one long output cannot crowd out the others
+    const budget = Math.floor(this.maxContextChars / Math.max(step.dependsOn.length, 1));
+    const context = step.dependsOn.map(dependency => {
+      const output = results.get(dependency).output || '';
+      const excerpt = output.length > budget ? `${output.slice(0, budget)}\n[... ${output.length - budget} characters truncated]` : output;
+      return `### Output of "${results.get(dependency).title}"\n${excerpt}`;
+    });
+
+    return [
+      `Overall request:\n${request}`,
+      ...(context.length > 0 ? [`Results of earlier steps:\n\n${context.join('\n\n')}`] : []),
+      `Your step - ${step.title}:\n${step.instructions}`,
+      'Produce only this step\'s output.'
+    ].join('\n\n');
+  }
+
+  combine(steps) {
+    return steps.map(step => step.status === 'completed'
+      ? `## ${step.title}\n\n${step.output}`
+      : `## ${step.title}\n\n_${step.status === 'failed' ? `Failed: ${step.error}` : step.error}_`
+    ).join('\n\n');
+  }
+
+  reportProgress(progress, total, message) {
+    if (!this.onProgress) return;
+    Promise.resolve(this.onProgress({ progress, total, message }))
+      .catch(error => console.error(`⚠️ Progress notification failed: ${error.message}`));
+  }
+}
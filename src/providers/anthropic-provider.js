@@ -0,0 +1,50 @@
+import { BaseProvider } from './base-provider.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Provider
+ * Speaks the Messages API: system prompt is top-level, usage is reported as input/output tokens
+ */
+export class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ type: 'anthropic', baseURL: 'https://api.anthropic.com', ...options });
+  }
+
+  async complete({ messages, model, maxTokens, temperature, signal }) {
+    const { system, turns } = this.splitSystemPrompt(messages);
+    const modelToUse = model || this.model;
+
+    const body = {
+      model: modelToUse,
+      max_tokens: this.clampMaxTokens(maxTokens) || 4096,
+      messages: turns.map(m => ({ role: m.role, content: m.content }))
+    };
+    if (system) body.system = system;
+    if (temperature !== undefined) body.temperature = Math.min(temperature, 1);
+
+    const response = await this.postJSON(`${this.baseURL}/v1/messages`, body, {
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      signal
+    });
+
+    const data = await response.json();
+    if (!Array.isArray(data.content)) {
+      throw new Error(`Invalid response format from ${this.name} server`);
+    }
+
+    const inputTokens = data.usage?.input_tokens || 0;
+    const outputTokens = data.usage?.output_tokens || 0;
+
+    return {
+      content: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: data.model || modelToUse,
+      usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+      finishReason: data.stop_reason === 'max_tokens' ? 'length' : data.stop_reason,
+      endpoint: this.baseURL
+    };
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Base Provider Adapter
+ * Shared plumbing for every AI backend: configuration, HTTP calls and error shaping
+ */
+export class BaseProvider {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.type = options.type || 'openai';
+    this.baseURL = options.baseURL ? options.baseURL.replace(/\/+$/, '') : null;
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || null;
+    this.maxTokens = options.maxTokens || null;
+    this.requiresApiKey = options.requiresApiKey !== false;
+  }
+
+  /**
+   * A provider is usable once it has somewhere to send requests and, for cloud APIs, a key
+   */
+  isConfigured() {
+    if (!this.baseURL && !this.resolveBaseURL) return false;
+    if (this.requiresApiKey && (!this.apiKey || this.apiKey.startsWith('your-'))) return false;
+    return true;
+  }
+
+  /**
+   * Clamp the requested response budget to the provider's configured ceiling
+   */
+  clampMaxTokens(requested) {
+    if (!this.maxTokens) return requested;
+    return requested ? Math.min(requested, this.maxTokens) : this.maxTokens;
+  }
+
+  /**
+   * Send a chat completion - implemented by each wire format
+   * @returns {Promise<{content: string, model: string, usage: object, finishReason: string, endpoint: string}>}
+   */
+  async complete(request) {
+    throw new Error(`Provider ${this.name} does not implement complete()`);
+  }
+
+  async postJSON(url, body, { headers = {}, signal } = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.createHttpError(response);
+    }
+
+    return response;
+  }
+
+  async createHttpError(response) {
+    const errorText = await response.text().catch(() => '');
+    const error = new Error(`HTTP ${response.status}: ${errorText}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('retry-after');
+    error.provider = this.name;
+    return error;
+  }
+
+  /**
+   * Split OpenAI-style messages into a system prompt and the conversation turns
+   */
+  splitSystemPrompt(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const turns = messages.filter(m => m.role !== 'system');
+    return { system, turns };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      baseURL: this.baseURL || 'auto-discovered',
+      model: this.model || 'auto',
+      maxTokens: this.maxTokens,
+      configured: this.isConfigured()
+    };
+  }
+}
@@ -0,0 +1,53 @@
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * Google Gemini Provider
+ * Uses generateContent with the key as a query parameter and "model" as the assistant role
+ */
+export class GeminiProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ type: 'gemini', baseURL: 'https://generativelanguage.googleapis.com/v1', ...options });
+  }
+
+  async complete({ messages, model, maxTokens, temperature, signal }) {
+    const { system, turns } = this.splitSystemPrompt(messages);
+    const modelToUse = model || this.model;
+
+    const body = {
+      contents: turns.map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      })),
+      generationConfig: {
+        maxOutputTokens: this.clampMaxTokens(maxTokens),
+        temperature
+      }
+    };
+    // The v1 endpoint has no systemInstruction field, so fold it into the first turn
+    if (system && body.contents.length > 0) {
+      body.contents[0].parts.unshift({ text: system });
+    }
+
+    const url = `${this.baseURL}/models/${encodeURIComponent(modelToUse)}:generateContent?key=${encodeURIComponent(this.apiKey)}`;
+    const response = await this.postJSON(url, body, { signal });
+    const data = await response.json();
+
+    const candidate = data.candidates?.[0];
+    if (!candidate) {
+      throw new Error(`Invalid response format from ${this.name} server${data.promptFeedback?.blockReason ? ` (blocked: ${data.promptFeedback.blockReason} content policy)` : ''}`);
+    }
+
+    const usage = data.usageMetadata || {};
+    return {
+      content: (candidate.content?.parts || []).map(part => part.text || '').join(''),
+      model: modelToUse,
+      usage: {
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: usage.candidatesTokenCount || 0,
+        total_tokens: usage.totalTokenCount || 0
+      },
+      finishReason: candidate.finishReason === 'MAX_TOKENS' ? 'length' : (candidate.finishReason || '').toLowerCase() || null,
+      endpoint: this.baseURL
+    };
+  }
+}
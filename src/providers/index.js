@@ -0,0 +1,239 @@
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { LocalProvider } from './local-provider.js';
+import { OllamaProvider } from './ollama-provider.js';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { GeminiProvider } from './gemini-provider.js';
+import { McpSamplingProvider } from './mcp-sampling-provider.js';
+
+export { BaseProvider } from './base-provider.js';
+export { OpenAICompatibleProvider, LocalProvider, OllamaProvider, AnthropicProvider, GeminiProvider, McpSamplingProvider };
+
+/**
+ * Provider definitions keyed by the names used in PRIMARY_API / SECONDARY_API / LOCAL_API
+ * Each vendor reads <PREFIX>_API_KEY, <PREFIX>_BASE_URL, <PREFIX>_MODEL and <PREFIX>_MAX_TOKENS
+ */
+const PROVIDER_DEFINITIONS = {
+  openai: { envPrefix: 'OPENAI', Adapter: OpenAICompatibleProvider, baseURL: 'https://api.openai.com/v1', model: 'gpt-4-turbo' },
+  anthropic: { envPrefix: 'ANTHROPIC', Adapter: AnthropicProvider, baseURL: 'https://api.anthropic.com', model: 'claude-3-sonnet-20240229' },
+  google: { envPrefix: 'GOOGLE', Adapter: GeminiProvider, baseURL: 'https://generativelanguage.googleapis.com/v1', model: 'gemini-pro' },
+  deepseek: { envPrefix: 'DEEPSEEK', Adapter: OpenAICompatibleProvider, baseURL: 'https://api.deepseek.com', model: 'deepseek-chat' },
+  nvidia: { envPrefix: 'NVIDIA', Adapter: OpenAICompatibleProvider, baseURL: 'https://integrate.api.nvidia.com/v1', model: null },
+  local: { envPrefix: 'LOCAL_MODEL', Adapter: LocalProvider, baseURL: null, model: null, local: true }
+};
+
+// Backends an escalation may run on, per ESCALATION_MODE, in order of preference
+export const ESCALATION_CANDIDATES = {
+  execute: ['mcp_sampling', 'anthropic'],
+  sampling: ['mcp_sampling'],
+  anthropic: ['anthropic'],
+  advice: []
+};
+
+const PROVIDER_ALIASES = {
+  gemini: 'google',
+  claude: 'anthropic',
+  lmstudio: 'local'
+};
+
+export function normalizeProviderName(name) {
+  if (!name) return null;
+  const normalized = String(name).trim().toLowerCase();
+  return PROVIDER_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Read a string setting, treating the .env.template placeholders ("your-...") as unset
+ */
+function readSetting(config, key) {
+  const value = config.get(key);
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value);
+  return text.startsWith('your-') || text.startsWith('your_') ? null : text;
+}
+
+function createProvider(name, config, localHooks) {
+  const definition = PROVIDER_DEFINITIONS[name];
+  const prefix = definition.envPrefix;
+
+  return new definition.Adapter({
+    name,
+    baseURL: definition.local ? null : (readSetting(config, `${prefix}_BASE_URL`) || definition.baseURL),
+    apiKey: definition.local ? null : readSetting(config, `${prefix}_API_KEY`),
+    model: readSetting(config, definition.local ? `${prefix}_NAME` : `${prefix}_MODEL`) || definition.model,
+    maxTokens: config.getNumber(`${prefix}_MAX_TOKENS`, 0) || null,
+    requiresApiKey: !definition.local,
+    resolveBaseURL: definition.local ? localHooks.resolveBaseURL : undefined,
+    resolveModel: definition.local ? localHooks.resolveModel : undefined,
+    resolveHeaders: definition.local ? localHooks.resolveHeaders : undefined,
+    resolveServer: definition.local ? localHooks.resolveServer : undefined,
+    resolveContextLength: definition.local ? localHooks.resolveContextLength : undefined
+  });
+}
+
+/**
+ * Provider Registry
+ * Builds one adapter per vendor and maps the primary/secondary/local roles onto them
+ */
+export class ProviderRegistry {
+  constructor(config, localHooks = {}) {
+    this.providers = new Map();
+    for (const name of Object.keys(PROVIDER_DEFINITIONS)) {
+      this.providers.set(name, createProvider(name, config, localHooks));
+    }
+
+    this.roles = {
+      primary: normalizeProviderName(config.get('PRIMARY_API') || 'local'),
+      secondary: normalizeProviderName(config.get('SECONDARY_API') || 'anthropic'),
+      local: normalizeProviderName(config.get('LOCAL_API') || 'local')
+    };
+    this.localEnabled = config.getBoolean('LOCAL_MODEL_ENABLED', true);
+    this.unhealthy = new Map(); // provider name -> reason, set by the endpoint health monitor
+    this.largeContentThreshold = config.getNumber('LARGE_CONTENT_THRESHOLD', 50000);
+  }
+
+  /**
+   * Add an adapter that only exists at runtime (e.g. MCP client sampling)
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  get(name) {
+    return this.providers.get(normalizeProviderName(name)) || null;
+  }
+
+  /**
+   * Mark a provider down (or up again); a down provider is skipped by selection and failover
+   */
+  setHealth(name, healthy, reason = null) {
+    const normalized = normalizeProviderName(name);
+    if (healthy) {
+      this.unhealthy.delete(normalized);
+    } else {
+      this.unhealthy.set(normalized, reason || 'Marked down by the health monitor');
+    }
+  }
+
+  isAvailable(name) {
+    const provider = this.get(name);
+    if (!provider) return false;
+    if (provider.name === 'local' && !this.localEnabled) return false;
+    if (this.unhealthy.has(provider.name)) return false;
+    return provider.isConfigured();
+  }
+
+  require(name) {
+    const provider = this.get(name);
+    if (!provider) {
+      throw new Error(`Unknown provider "${name}" - expected one of: ${Array.from(this.providers.keys()).join(', ')}`);
+    }
+    if (this.unhealthy.has(provider.name)) {
+      throw new Error(`Provider "${provider.name}" is down: ${this.unhealthy.get(provider.name)}`);
+    }
+    if (!this.isAvailable(provider.name)) {
+      const definition = PROVIDER_DEFINITIONS[provider.name];
+      throw new Error(definition
+        ? `Provider "${provider.name}" is not configured - set ${definition.envPrefix}_API_KEY in .env`
+        : `Provider "${provider.name}" is not available right now`);
+    }
+    return provider;
+  }
+
+  getRole(role) {
+    const name = this.roles[role];
+    return name && this.isAvailable(name) ? this.get(name) : null;
+  }
+
+  listAvailable() {
+    return Array.from(this.providers.values()).filter(provider => this.isAvailable(provider.name));
+  }
+
+  /**
+   * A classifier rule target: a role name (primary/secondary/local) or a provider name
+   */
+  resolveBackend(name) {
+    if (this.roles[name]) return this.getRole(name);
+    return this.isAvailable(name) ? this.get(name) : null;
+  }
+
+  /**
+   * Pick the backend for a request: explicit override, then large content → local,
+   * classifier rule backend, analysis → secondary, everything else → primary
+   */
+  selectForRequest(prompt, options = {}) {
+    if (options.provider) {
+      return { provider: this.require(options.provider), role: 'explicit', reason: `Provider override: ${options.provider}` };
+    }
+
+    const requestSize = Buffer.byteLength(prompt || '', 'utf8');
+    const candidates = [];
+    if (requestSize > this.largeContentThreshold) {
+      candidates.push({ role: 'local', reason: `Large content (${Math.round(requestSize / 1024)}KB) routed to local API` });
+    }
+    if (options.preferred_backend) {
+      candidates.push({ role: 'rule', backend: options.preferred_backend.name, reason: `${options.preferred_backend.reason} → ${options.preferred_backend.name}` });
+    }
+    if (options.task_type === 'analysis') {
+      candidates.push({ role: 'secondary', reason: 'Analysis task routed to secondary API' });
+    }
+    candidates.push({ role: 'primary', reason: 'Routed to primary API' });
+    candidates.push({ role: 'local', reason: 'Primary API unavailable - using local API' });
+
+    for (const candidate of candidates) {
+      const provider = candidate.backend ? this.resolveBackend(candidate.backend) : this.getRole(candidate.role);
+      if (provider) {
+        return { provider, role: candidate.role, reason: candidate.reason };
+      }
+    }
+
+    const fallback = this.listAvailable()[0];
+    if (fallback) {
+      return { provider: fallback, role: 'fallback', reason: `Configured roles unavailable - using ${fallback.name}` };
+    }
+
+    if (this.unhealthy.size > 0) {
+      throw new Error(`No AI provider available - down: ${Array.from(this.unhealthy.entries()).map(([name, reason]) => `${name} (${reason})`).join(', ')}`);
+    }
+    throw new Error('No AI provider configured - set PRIMARY_API and the matching API key in .env');
+  }
+
+  /**
+   * Backends to fail over to after the selected one: the other configured roles, in role order.
+   * An explicit provider override pins the request, and client sampling is reserved for escalation.
+   */
+  getFailoverChain(selection) {
+    if (selection.role === 'explicit') return [];
+
+    const chain = [];
+    for (const role of ['primary', 'secondary', 'local']) {
+      const provider = this.getRole(role);
+      if (provider && provider !== selection.provider && !chain.some(entry => entry.provider === provider)) {
+        chain.push({ provider, role, reason: `Failover from ${selection.provider.name} to ${role} API` });
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * Escalation backend for a mode: 'execute' prefers client sampling, then the Anthropic API;
+   * 'sampling' and 'anthropic' pin one; 'advice' (or nothing available) gives null, so the caller
+   * falls back to guidance text
+   */
+  selectEscalation(mode, failedProvider = null) {
+    const candidates = ESCALATION_CANDIDATES[mode] || [];
+    return candidates.find(name => name !== failedProvider && this.isAvailable(name)) || null;
+  }
+
+  describe() {
+    return {
+      roles: { ...this.roles },
+      localEnabled: this.localEnabled,
+      unhealthy: Object.fromEntries(this.unhealthy),
+      largeContentThreshold: this.largeContentThreshold,
+      providers: Array.from(this.providers.values()).map(provider => ({
+        ...provider.describe(),
+        available: this.isAvailable(provider.name)
+      }))
+    };
+  }
+}
@@ -0,0 +1,38 @@
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { OllamaProvider } from './ollama-provider.js';
+
+/**
+ * Local Provider
+ * The 'local' backend spans every reachable local server (LM Studio, Ollama, vLLM, llama.cpp).
+ * Each request goes to the server whose catalogue lists the model; Ollama servers get their
+ * native API, everything else the OpenAI-compatible one.
+ */
+export class LocalProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super(options);
+    this.resolveServer = options.resolveServer || null; // async (model) => { url, root, type, headers }
+    this.resolveContextLength = options.resolveContextLength || null; // (model) => context the prompts are sized to
+  }
+
+  async complete(request) {
+    const model = await this.getModel(request.model);
+    const ollama = await this.getOllamaAdapter(model);
+    return ollama
+      ? await ollama.complete({ ...request, model, contextLength: this.resolveContextLength?.(model) })
+      : await super.complete({ ...request, model });
+  }
+
+  async embed(request) {
+    const ollama = await this.getOllamaAdapter(request.model);
+    return ollama ? await ollama.embed(request) : await super.embed(request);
+  }
+
+  /**
+   * A native adapter when the model lives on an Ollama server, else null
+   */
+  async getOllamaAdapter(model) {
+    const server = this.resolveServer ? await this.resolveServer(model) : null;
+    if (server?.type !== 'ollama') return null;
+    return new OllamaProvider({ name: this.name, baseURL: server.root, headers: server.headers, maxTokens: this.maxTokens });
+  }
+}
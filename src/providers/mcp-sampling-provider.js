@@ -0,0 +1,58 @@
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * MCP Client Sampling Provider
+ * Delegates completions to the host's model through sampling/createMessage,
+ * so escalations need no API key on the bridge host
+ */
+export class McpSamplingProvider extends BaseProvider {
+  constructor(server, options = {}) {
+    super({ name: 'mcp_sampling', type: 'mcp-sampling', requiresApiKey: false, ...options });
+    this.server = server;
+    this.requestTimeout = options.requestTimeout || 300000;
+    this.modelHints = options.modelHints || ['claude'];
+  }
+
+  /**
+   * Only usable once the connected client has advertised the sampling capability
+   */
+  isConfigured() {
+    return Boolean(this.server?.getClientCapabilities?.()?.sampling);
+  }
+
+  async complete({ messages, maxTokens, temperature, signal }) {
+    const { system, turns } = this.splitSystemPrompt(messages);
+
+    const result = await this.server.createMessage({
+      messages: turns.map(m => ({
+        role: m.role === 'assistant' ? 'assistant' : 'user',
+        content: { type: 'text', text: m.content }
+      })),
+      systemPrompt: system || undefined,
+      maxTokens: this.clampMaxTokens(maxTokens) || 4096,
+      temperature,
+      includeContext: 'none',
+      modelPreferences: {
+        hints: this.modelHints.map(name => ({ name })),
+        intelligencePriority: 0.9,
+        speedPriority: 0.3
+      }
+    }, { signal, timeout: this.requestTimeout });
+
+    return {
+      content: result.content?.type === 'text' ? result.content.text : '',
+      model: result.model || 'mcp-client-model',
+      usage: null,
+      finishReason: result.stopReason === 'maxTokens' ? 'length' : (result.stopReason || null),
+      endpoint: 'mcp-client-sampling'
+    };
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      baseURL: 'mcp-client',
+      model: this.modelHints.join(', ')
+    };
+  }
+}
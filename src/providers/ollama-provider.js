@@ -0,0 +1,128 @@
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * Ollama Provider
+ * Native /api/chat and /api/embed - Ollama's OpenAI layer drops options such as num_ctx and
+ * reports no finish reason when streaming, so local Ollama servers are spoken to directly.
+ * contextLength becomes num_ctx, so Ollama loads the model with the context the prompt was
+ * sized to rather than its own small default.
+ * baseURL is the server root (http://host:11434), not the /v1 path.
+ */
+export class OllamaProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ type: 'ollama', requiresApiKey: false, ...options });
+    this.headers = options.headers || {};
+    this.supportsStreaming = true;
+  }
+
+  /**
+   * Send a chat completion; passing onToken streams Ollama's NDJSON chunks and reports each delta
+   */
+  async complete({ messages, model, maxTokens, temperature, contextLength, signal, onToken }) {
+    const stream = typeof onToken === 'function';
+    const maxOutput = this.clampMaxTokens(maxTokens);
+
+    const response = await this.postJSON(`${this.baseURL}/api/chat`, {
+      model,
+      messages,
+      stream,
+      options: {
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxOutput ? { num_predict: maxOutput } : {}),
+        ...(contextLength ? { num_ctx: contextLength } : {})
+      }
+    }, {
+      headers: { ...this.headers, ...(stream ? { 'Accept': 'application/x-ndjson' } : {}) },
+      signal
+    });
+
+    if (stream) {
+      return await this.readNdjsonStream(response, { modelToUse: model, onToken });
+    }
+
+    const data = await response.json();
+    if (!data.message || typeof data.message.content !== 'string') {
+      throw new Error(`Invalid response format from ${this.name} server (Ollama)`);
+    }
+    return this.toResult(data, data.message.content, model);
+  }
+
+  /**
+   * Embed one input via /api/embed (used for semantic query fingerprints)
+   */
+  async embed({ input, model, signal }) {
+    const response = await this.postJSON(`${this.baseURL}/api/embed`, { model, input }, {
+      headers: this.headers,
+      signal
+    });
+
+    const data = await response.json();
+    const vector = data.embeddings?.[0];
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error(`Invalid embeddings response from ${this.name} server (Ollama)`);
+    }
+
+    return { vector, model: data.model || model };
+  }
+
+  /**
+   * Accumulate an NDJSON stream: one {"message": {"content": "..."}, "done": false} object per line,
+   * the last one carrying done, done_reason and the token counts
+   */
+  async readNdjsonStream(response, { modelToUse, onToken }) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let final = null;
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let chunk;
+      try {
+        chunk = JSON.parse(line);
+      } catch (error) {
+        return; // Partial garbage from a dropped connection
+      }
+
+      if (chunk.error) {
+        throw new Error(`Stream error from ${this.name}: ${chunk.error}`);
+      }
+
+      const delta = chunk.message?.content || '';
+      if (delta) {
+        content += delta;
+        onToken(delta, content);
+      }
+      if (chunk.done) {
+        final = chunk;
+      }
+    };
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+      if (final) break;
+    }
+    if (!final && buffer) {
+      handleLine(buffer);
+    }
+
+    return { ...this.toResult(final || {}, content, modelToUse), streamed: true };
+  }
+
+  toResult(data, content, modelToUse) {
+    const promptTokens = data.prompt_eval_count;
+    const completionTokens = data.eval_count;
+    return {
+      content,
+      model: data.model || modelToUse,
+      usage: promptTokens !== undefined || completionTokens !== undefined
+        ? { prompt_tokens: promptTokens || 0, completion_tokens: completionTokens || 0, total_tokens: (promptTokens || 0) + (completionTokens || 0) }
+        : null,
+      finishReason: data.done_reason || null,
+      endpoint: this.baseURL
+    };
+  }
+}
@@ -0,0 +1,159 @@
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * OpenAI-compatible Provider
+ * Covers OpenAI, DeepSeek, NVIDIA and local servers (LM Studio, vLLM, ...) speaking /chat/completions
+ */
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ type: 'openai', ...options });
+    // Local servers are resolved at runtime (endpoint registry) rather than configured up front
+    this.resolveBaseURL = options.resolveBaseURL || null;
+    this.resolveModel = options.resolveModel || null;
+    this.resolveHeaders = options.resolveHeaders || null; // per-endpoint auth of the resolved local server
+    this.supportsStreaming = true;
+  }
+
+  async getBaseURL(model = null) {
+    if (this.baseURL) return this.baseURL;
+    if (this.resolveBaseURL) return (await this.resolveBaseURL(model)).replace(/\/+$/, '');
+    throw new Error(`Provider ${this.name} has no base URL configured`);
+  }
+
+  async getModel(requested) {
+    if (requested) return requested;
+    if (this.model) return this.model;
+    if (this.resolveModel) return await this.resolveModel();
+    throw new Error(`Provider ${this.name} has no model configured`);
+  }
+
+  getHeaders(model = null) {
+    return {
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+      ...(this.resolveHeaders ? this.resolveHeaders(model) : {})
+    };
+  }
+
+  /**
+   * Send a chat completion; passing onToken switches to SSE streaming and reports each delta
+   */
+  async complete({ messages, model, maxTokens, temperature, signal, onToken }) {
+    const modelToUse = await this.getModel(model);
+    const baseURL = await this.getBaseURL(modelToUse);
+    const stream = typeof onToken === 'function';
+
+    const response = await this.postJSON(`${baseURL}/chat/completions`, {
+      model: modelToUse,
+      messages,
+      temperature,
+      max_tokens: this.clampMaxTokens(maxTokens),
+      stream
+    }, {
+      headers: { ...this.getHeaders(modelToUse), ...(stream ? { 'Accept': 'text/event-stream' } : {}) },
+      signal
+    });
+
+    if (stream) {
+      return await this.readEventStream(response, { modelToUse, baseURL, onToken });
+    }
+
+    const data = await response.json();
+
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      throw new Error(`Invalid response format from ${this.name} server`);
+    }
+
+    return {
+      content: data.choices[0].message.content || '',
+      model: data.model || modelToUse,
+      usage: data.usage,
+      finishReason: data.choices[0].finish_reason || null,
+      endpoint: baseURL
+    };
+  }
+
+  /**
+   * Embed one input via /embeddings (used for semantic query fingerprints)
+   */
+  async embed({ input, model, signal }) {
+    const baseURL = await this.getBaseURL(model);
+    const response = await this.postJSON(`${baseURL}/embeddings`, { model, input }, {
+      headers: this.getHeaders(model),
+      signal
+    });
+
+    const data = await response.json();
+    const vector = data.data?.[0]?.embedding;
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error(`Invalid embeddings response from ${this.name} server`);
+    }
+
+    return { vector, model: data.model || model };
+  }
+
+  /**
+   * Accumulate an OpenAI-style SSE stream ("data: {...}" lines terminated by "data: [DONE]")
+   */
+  async readEventStream(response, { modelToUse, baseURL, onToken }) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let model = modelToUse;
+    let done = false;
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        done = true;
+        return;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch (error) {
+        return; // Ignore keep-alive comments and partial garbage
+      }
+
+      if (chunk.error) {
+        throw new Error(`Stream error from ${this.name}: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+      }
+
+      model = chunk.model || model;
+      usage = chunk.usage || usage;
+      const choice = chunk.choices?.[0];
+      if (!choice) return;
+
+      const delta = choice.delta?.content || '';
+      if (delta) {
+        content += delta;
+        onToken(delta, content);
+      }
+      finishReason = choice.finish_reason || finishReason;
+    };
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+      if (done) break;
+    }
+    if (!done && buffer) {
+      handleLine(buffer);
+    }
+
+    return {
+      content,
+      model,
+      usage,
+      finishReason,
+      endpoint: baseURL,
+      streamed: true
+    };
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Recency Tracker - recent views of a fingerprint's history
+ * Lifetime averages hide a model swap behind months of old data, so each record also carries:
+ *   decayed  - exponentially decayed success/latency/failure weights (configurable half-life)
+ *   recent   - raw outcomes from the last week (capped) for hour/day/week rolling windows
+ *   models   - the same decayed weights partitioned by the model the backend reported
+ */
+
+const WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+export class RecencyTracker {
+  constructor(options = {}) {
+    this.halfLife = options.halfLife || 3 * 24 * 60 * 60 * 1000;
+    this.maxRecent = options.maxRecent || 500;
+  }
+
+  createDecayed() {
+    return { weight: 0, successWeight: 0, responseTimeWeight: 0, failureWeights: {}, lastTimestamp: null };
+  }
+
+  createRecord() {
+    return { decayed: this.createDecayed(), recent: [], models: {}, lastModel: null };
+  }
+
+  /**
+   * Fold one outcome ({ timestamp, success, responseTime, failureType, model }) into a record
+   */
+  add(record, outcome) {
+    const model = outcome.model || 'unknown';
+    if (!record.models[model]) {
+      record.models[model] = this.createDecayed();
+    }
+    for (const decayed of [record.decayed, record.models[model]]) {
+      this.decayTo(decayed, outcome.timestamp);
+      decayed.weight += 1;
+      if (outcome.success) {
+        decayed.successWeight += 1;
+        decayed.responseTimeWeight += outcome.responseTime;
+      } else {
+        decayed.failureWeights[outcome.failureType] = (decayed.failureWeights[outcome.failureType] || 0) + 1;
+      }
+    }
+
+    record.lastModel = model;
+    record.recent.push({ t: outcome.timestamp, ok: outcome.success, ms: outcome.responseTime, model, failureType: outcome.failureType || null });
+    this.prune(record, outcome.timestamp);
+  }
+
+  /**
+   * A bad rating retracts one success from the decayed view and the windows
+   */
+  retractSuccess(record, timestamp, model) {
+    const targets = [record.decayed, record.models[model || record.lastModel]].filter(Boolean);
+    for (const decayed of targets) {
+      this.decayTo(decayed, timestamp);
+      const share = decayed.successWeight > 0 ? decayed.responseTimeWeight / decayed.successWeight : 0;
+      decayed.successWeight = Math.max(0, decayed.successWeight - 1);
+      decayed.responseTimeWeight = Math.max(0, decayed.responseTimeWeight - share);
+      decayed.failureWeights.rated_bad = (decayed.failureWeights.rated_bad || 0) + 1;
+    }
+    record.recent.push({ t: timestamp, rating: 'bad', model: model || record.lastModel });
+    this.prune(record, timestamp);
+  }
+
+  decayTo(decayed, timestamp) {
+    if (decayed.lastTimestamp !== null && timestamp > decayed.lastTimestamp) {
+      const factor = Math.pow(0.5, (timestamp - decayed.lastTimestamp) / this.halfLife);
+      decayed.weight *= factor;
+      decayed.successWeight *= factor;
+      decayed.responseTimeWeight *= factor;
+      for (const type of Object.keys(decayed.failureWeights)) {
+        decayed.failureWeights[type] *= factor;
+      }
+    }
+    decayed.lastTimestamp = Math.max(decayed.lastTimestamp ?? timestamp, timestamp);
+  }
+
+  prune(record, now) {
+    const cutoff = now - WINDOWS.week;
+    while (record.recent.length > 0 && (record.recent[0].t < cutoff || record.recent.length > this.maxRecent)) {
+      record.recent.shift();
+    }
+  }
+
+  /**
+   * Decayed view shaped like an execution record, so RoutingPolicy can evaluate it unchanged
+   */
+  summarizeDecayed(decayed, now = Date.now()) {
+    const copy = { ...decayed, failureWeights: { ...decayed.failureWeights } };
+    this.decayTo(copy, now);
+    return {
+      totalExecutions: Number(copy.weight.toFixed(2)),
+      successfulExecutions: Number(copy.successWeight.toFixed(2)),
+      successRate: copy.weight > 0 ? copy.successWeight / copy.weight : 0,
+      averageResponseTime: copy.successWeight > 0 ? copy.responseTimeWeight / copy.successWeight : 0,
+      failurePatterns: new Map(Object.entries(copy.failureWeights).map(([type, weight]) => [type, Number(weight.toFixed(2))])),
+      lastUpdated: decayed.lastTimestamp
+    };
+  }
+
+  summarizeWindows(recent, now = Date.now(), model = null) {
+    const windows = {};
+    for (const [name, span] of Object.entries(WINDOWS)) {
+      const entries = recent.filter(entry => entry.t >= now - span && (!model || entry.model === model));
+      const outcomes = entries.filter(entry => entry.rating === undefined);
+      const badRatings = entries.length - outcomes.length;
+      const successful = outcomes.filter(entry => entry.ok);
+      const successes = Math.max(0, successful.length - badRatings);
+      windows[name] = {
+        executions: outcomes.length,
+        successes,
+        successRate: outcomes.length > 0 ? Math.round((successes / outcomes.length) * 100) : null,
+        averageResponseTime: successful.length > 0 ? Math.round(successful.reduce((sum, entry) => sum + entry.ms, 0) / successful.length) : null
+      };
+    }
+    return windows;
+  }
+
+  /**
+   * Recent view for one fingerprint; model defaults to the last model that served it
+   */
+  view(record, now = Date.now(), model = null) {
+    if (!record?.recency) return null;
+    const recency = record.recency;
+    const activeModel = model && recency.models[model] ? model : recency.lastModel;
+    const partition = activeModel ? recency.models[activeModel] : null;
+
+    return {
+      halfLifeHours: Math.round(this.halfLife / 3600000),
+      model: activeModel,
+      decayed: this.summarizeDecayed(recency.decayed, now),
+      modelDecayed: partition ? this.summarizeDecayed(partition, now) : null,
+      windows: this.summarizeWindows(recency.recent, now),
+      modelWindows: activeModel ? this.summarizeWindows(recency.recent, now, activeModel) : null,
+      models: Object.keys(recency.models)
+    };
+  }
+
+  /**
+   * Sum the rolling windows across every fingerprint
+   */
+  aggregateWindows(records, now = Date.now()) {
+    const totals = {};
+    for (const name of Object.keys(WINDOWS)) {
+      totals[name] = { executions: 0, successes: 0, successRate: null };
+    }
+    for (const record of records) {
+      if (!record.recency) continue;
+      const windows = this.summarizeWindows(record.recency.recent, now);
+      for (const [name, window] of Object.entries(windows)) {
+        totals[name].executions += window.executions;
+        totals[name].successes += window.successes;
+      }
+    }
+    for (const window of Object.values(totals)) {
+      window.successRate = window.executions > 0 ? Math.round((window.successes / window.executions) * 100) : null;
+    }
+    return totals;
+  }
+}
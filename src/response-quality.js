@@ -0,0 +1,95 @@
+/**
+ * Response Quality Evaluator
+ * An HTTP 200 is not a success on its own: empty answers, max_tokens truncations, refusals,
+ * repetition loops and missing code blocks are scored down so routing learns from them.
+ */
+
+const REFUSAL_PATTERN = /^\s*(?:i['’]m sorry|i am sorry|sorry, (?:but )?i|i cannot|i can['’]t|i can not|i['’]m (?:not able|unable)|i am (?:not able|unable)|as an ai\b|i won['’]t be able)/i;
+const CODE_REQUEST_PATTERN = /\b(?:write|implement|create|generate|build|refactor|rewrite|fix|add|code)\b[^.?!\n]{0,80}\b(?:function|method|class|component|script|code|snippet|module|hook|endpoint|query|test)s?\b/i;
+
+export class ResponseQualityEvaluator {
+  constructor(options = {}) {
+    this.minScore = options.minScore ?? 0.6;
+    this.minRepeatedLines = options.minRepeatedLines || 4;
+    this.minShingleUniqueness = options.minShingleUniqueness ?? 0.3;
+    this.penalties = {
+      truncated: 0.5,
+      refusal: 0.6,
+      repetition: 0.6,
+      missing_code_block: 0.5,
+      ...(options.penalties || {})
+    };
+  }
+
+  /**
+   * Score a completion in [0, 1]; passed is false below the configured minimum
+   */
+  evaluate(prompt, result, context = {}) {
+    const content = (result.response ?? result.content ?? '').trim();
+    const issues = [];
+
+    if (content.length === 0) {
+      issues.push({ code: 'empty', detail: 'Backend returned an empty answer', penalty: 1 });
+    } else {
+      if (result.finish_reason === 'length' || result.finishReason === 'length') {
+        issues.push({ code: 'truncated', detail: 'Answer was cut off at max_tokens (finish_reason: length)', penalty: this.penalties.truncated });
+      }
+      if (REFUSAL_PATTERN.test(content.slice(0, 200)) && content.length < 600) {
+        issues.push({ code: 'refusal', detail: 'Answer is a refusal rather than a response', penalty: this.penalties.refusal });
+      }
+      const repetition = this.detectRepetition(content);
+      if (repetition) {
+        issues.push({ code: 'repetition', detail: repetition, penalty: this.penalties.repetition });
+      }
+      if (this.expectsCode(prompt, context) && !/```|^( {4}|\t)\S/m.test(content)) {
+        issues.push({ code: 'missing_code_block', detail: 'Code was requested but the answer contains no code block', penalty: this.penalties.missing_code_block });
+      }
+    }
+
+    const score = Math.max(0, 1 - issues.reduce((sum, issue) => sum + issue.penalty, 0));
+    return {
+      score: Number(score.toFixed(2)),
+      passed: score >= this.minScore,
+      minScore: this.minScore,
+      issues
+    };
+  }
+
+  expectsCode(prompt, context) {
+    if (context.expectCode !== undefined) return Boolean(context.expectCode);
+    return CODE_REQUEST_PATTERN.test(prompt || '');
+  }
+
+  /**
+   * Repeated-token loops show up as the same line over and over, or as a long answer
+   * built from very few distinct 5-word sequences
+   */
+  detectRepetition(content) {
+    const lines = content.split('\n').map(line => line.trim());
+    let run = 1;
+    for (let i = 1; i < lines.length; i++) {
+      run = lines[i] && lines[i].length > 3 && lines[i] === lines[i - 1] ? run + 1 : 1;
+      if (run >= this.minRepeatedLines) {
+        return `Line repeated ${run}+ times in a row: "${lines[i].slice(0, 60)}"`;
+      }
+    }
+
+    const words = content.split(/\s+/).filter(Boolean);
+    if (words.length >= 100) {
+      const shingles = new Set();
+      for (let i = 0; i + 5 <= words.length; i++) {
+        shingles.add(words.slice(i, i + 5).join(' '));
+      }
+      const uniqueness = shingles.size / (words.length - 4);
+      if (uniqueness < this.minShingleUniqueness) {
+        return `Only ${Math.round(uniqueness * 100)}% of 5-word sequences are distinct - looks like a generation loop`;
+      }
+    }
+
+    return null;
+  }
+
+  describe() {
+    return { minScore: this.minScore, penalties: { ...this.penalties } };
+  }
+}
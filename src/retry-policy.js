@@ -0,0 +1,171 @@
+/**
+ * Retry Policy for backend calls
+ * Exponential backoff with jitter, Retry-After support and error-aware decisions:
+ *   retry    - transient (network blip, 429/503, 5xx) → same backend again after a delay
+ *   failover - this backend is unusable right now (timeouts, auth, retries exhausted) → next backend
+ *   give_up  - another attempt cannot help (cancelled, content policy, bad request)
+ */
+export class RetryPolicy {
+  constructor(options = {}) {
+    this.maxAttempts = Math.max(1, options.maxAttempts || 3);
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.maxRetryAfter = options.maxRetryAfter ?? 30000;
+    // Error classification is shared with EmpiricalRoutingManager
+    this.classifier = options.classifier;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Decide what to do after a failed attempt (attempt is 1-based)
+   */
+  decide(error, attempt) {
+    const status = error.status;
+    const exhausted = attempt >= this.maxAttempts;
+    const retryOrFailover = (reason, delay) => exhausted
+      ? { action: 'failover', delay: 0, reason: `${reason} - ${this.maxAttempts} attempts exhausted` }
+      : { action: 'retry', delay, reason };
+
+    if (error.category === 'cancelled') {
+      return { action: 'give_up', delay: 0, reason: 'Cancelled by client' };
+    }
+
+    if (status === 429 || status === 503) {
+      const retryAfter = this.parseRetryAfter(error.retryAfter);
+      if (retryAfter !== null && retryAfter > this.maxRetryAfter) {
+        return { action: 'failover', delay: 0, reason: `HTTP ${status} with Retry-After ${Math.round(retryAfter / 1000)}s - too long to wait` };
+      }
+      return retryOrFailover(`HTTP ${status} capacity limit`, retryAfter ?? this.backoffDelay(attempt));
+    }
+
+    if (error.category === 'timeout' || error.category === 'first_token_timeout') {
+      return { action: 'failover', delay: 0, reason: 'Timed out - retrying the same backend would only repeat the wait' };
+    }
+
+    if (status === 401 || status === 403 || status === 404) {
+      return { action: 'failover', delay: 0, reason: `HTTP ${status} - backend rejected the request (auth or unknown model)` };
+    }
+
+    if (status >= 500) {
+      return retryOrFailover(`HTTP ${status} server error`, this.backoffDelay(attempt));
+    }
+
+    if (status >= 400) {
+      return { action: 'give_up', delay: 0, reason: `HTTP ${status} - request rejected` };
+    }
+
+    if (this.classifier.isNetworkError(error)) {
+      return retryOrFailover('Network error', this.backoffDelay(attempt));
+    }
+
+    if (this.classifier.isContentPolicyError(error)) {
+      return { action: 'give_up', delay: 0, reason: 'Content policy rejection' };
+    }
+
+    if (this.classifier.isCapacityError(error)) {
+      return retryOrFailover('Capacity limit', this.backoffDelay(attempt));
+    }
+
+    return { action: 'give_up', delay: 0, reason: 'Unclassified error' };
+  }
+
+  /**
+   * Exponential backoff with equal jitter: half fixed, half random
+   */
+  backoffDelay(attempt) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(exponential / 2 + this.random() * exponential / 2);
+  }
+
+  /**
+   * Retry-After is either delta-seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Run an operation until it succeeds or the policy stops retrying.
+   * The thrown error carries retryDecision so callers can fail over.
+   */
+  async execute(operation, { signal, onAttempt } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+      try {
+        const result = await operation(attempt);
+        onAttempt?.({ attempt, outcome: 'success', duration_ms: Date.now() - startTime });
+        return result;
+      } catch (error) {
+        const decision = signal?.aborted
+          ? { action: 'give_up', delay: 0, reason: 'Cancelled by client' }
+          : this.decide(error, attempt);
+
+        onAttempt?.({
+          attempt,
+          outcome: 'error',
+          error: error.message,
+          category: error.category || null,
+          status: error.status || null,
+          decision: decision.action,
+          reason: decision.reason,
+          delay_ms: decision.delay,
+          duration_ms: Date.now() - startTime
+        });
+
+        if (decision.action !== 'retry') {
+          error.retryDecision = decision;
+          throw error;
+        }
+
+        console.error(`🔁 Retry ${attempt}/${this.maxAttempts - 1} in ${decision.delay}ms: ${decision.reason}`);
+        await this.sleep(decision.delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Run an operation against each backend of a failover chain in turn. A 'failover' decision moves
+   * on to the next entry; any other decision, or one on the last entry, rethrows.
+   * Resolves to { result, index } where index is the chain entry that answered.
+   */
+  async executeWithFailover(chain, operation, { signal, onAttempt, onFailover } = {}) {
+    for (let index = 0; index < chain.length; index++) {
+      const entry = chain[index];
+      if (index > 0) {
+        onFailover?.(entry);
+      }
+
+      try {
+        const result = await this.execute(attempt => operation(entry, index, attempt), {
+          signal,
+          onAttempt: attempt => onAttempt?.(entry, attempt)
+        });
+        return { result, index };
+      } catch (error) {
+        if (error.retryDecision?.action !== 'failover' || index === chain.length - 1) {
+          throw error;
+        }
+      }
+    }
+    throw new Error('No backend to run the request on');
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
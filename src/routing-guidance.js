@@ -0,0 +1,39 @@
+/**
+ * Routing Guidance - the answer returned when a prompt failed on the first backend and no
+ * escalation backend could take it over (ESCALATION_MODE=advice, no client sampling, no
+ * Anthropic key, or the escalation itself failed)
+ */
+
+export function buildFailureGuidance(prompt, classification, failureAnalysis) {
+  return {
+    success: true,
+    routingGuidance: true,
+    routeTo: 'claude',
+    empiricalEvidence: true,
+    failureAnalysis: failureAnalysis,
+    classification: classification,
+    response: `🎯 **EMPIRICAL ROUTING RECOMMENDATION (Based on Actual Failure)**
+
+**Failure Analysis:**
+- **Error Type**: ${failureAnalysis.errorType}
+- **Response Time**: ${Math.round(failureAnalysis.responseTime / 1000)}s
+- **Reason for Routing**: ${failureAnalysis.reason}
+- **Confidence**: ${Math.round(failureAnalysis.confidence * 100)}%
+
+**What Happened:**
+DeepSeek was attempted first (as per empirical routing) but failed with: ${failureAnalysis.timeout ? 'Timeout' : failureAnalysis.networkIssue ? 'Network Issue' : failureAnalysis.modelCapacityIssue ? 'Capacity Issue' : 'Unknown Error'}
+
+**Why Route to Claude:**
+This is not a prediction - this is based on actual execution evidence. The failure pattern suggests Claude would handle this better.
+
+**Empirical Learning:**
+This interaction is being recorded to improve future routing decisions. Similar queries will be handled more intelligently based on this evidence.
+${failureAnalysis.escalationError ? `\n**Automatic Escalation Failed:** ${failureAnalysis.escalationError}\n` : ''}
+**Original Query:** ${prompt}`,
+
+    model: 'empirical-routing-after-failure',
+    usage: { prompt_tokens: prompt.length, completion_tokens: 0, total_tokens: prompt.length },
+    endpoint: 'empirical-evidence-router',
+    timestamp: new Date().toISOString()
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Routing Policy Engine
+ * Turns a fingerprint's empirical history into an up-front decision:
+ *   try      - no evidence against the pattern (or not enough evidence yet)
+ *   escalate - known-bad pattern: skip the primary backend and go straight to escalation
+ *   explore  - known-bad pattern re-tested anyway (exploration rate) so recovered patterns are noticed
+ */
+
+// Failure types that say the backend was unreachable, not that the prompt was too hard for it
+const INFRASTRUCTURE_FAILURES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'connection', 'network']);
+const TIMEOUT_FAILURES = new Set(['timeout', 'first_token_timeout', 'ETIMEDOUT', 'AbortError']);
+
+export class RoutingPolicy {
+  constructor(options = {}) {
+    this.minExecutions = options.minExecutions ?? 10;
+    this.minSuccessRate = options.minSuccessRate ?? 0.2;
+    this.maxTimeoutRate = options.maxTimeoutRate ?? 0.5;
+    this.maxAverageResponseTime = options.maxAverageResponseTime ?? 90000;
+    this.explorationRate = options.explorationRate ?? 0.1;
+    this.random = options.random || Math.random;
+  }
+
+  evaluate(historical) {
+    const evidence = this.collectEvidence(historical);
+
+    if (!historical || evidence.attributableExecutions < this.minExecutions) {
+      return this.decision('try', evidence, historical
+        ? `Insufficient evidence (${evidence.attributableExecutions}/${this.minExecutions} attributable executions) - trying primary backend`
+        : 'No history for this pattern - trying primary backend', 0.8);
+    }
+
+    const violations = [];
+    if (evidence.successRate < this.minSuccessRate) {
+      violations.push(`success rate ${Math.round(evidence.successRate * 100)}% < ${Math.round(this.minSuccessRate * 100)}%`);
+    }
+    if (evidence.timeoutRate >= this.maxTimeoutRate) {
+      violations.push(`timeout rate ${Math.round(evidence.timeoutRate * 100)}% >= ${Math.round(this.maxTimeoutRate * 100)}%`);
+    }
+    if (evidence.averageResponseTime > this.maxAverageResponseTime) {
+      violations.push(`average response ${Math.round(evidence.averageResponseTime / 1000)}s > ${Math.round(this.maxAverageResponseTime / 1000)}s`);
+    }
+
+    if (violations.length === 0) {
+      return this.decision('try', evidence,
+        `Empirical history supports primary backend (${Math.round(evidence.successRate * 100)}% over ${evidence.attributableExecutions} executions)`,
+        Math.max(0.5, evidence.successRate));
+    }
+
+    // Confidence grows with the amount of evidence behind the verdict
+    const confidence = Math.min(0.95, 0.6 + evidence.attributableExecutions / 100);
+    evidence.explorationRoll = this.random();
+    if (evidence.explorationRoll < this.explorationRate) {
+      return this.decision('explore', evidence,
+        `Known-bad pattern (${violations.join(', ')}) re-tested for exploration`, confidence);
+    }
+
+    return this.decision('escalate', evidence,
+      `Known-bad pattern (${violations.join(', ')}) - escalating without trying primary backend`, confidence);
+  }
+
+  collectEvidence(historical) {
+    if (!historical) {
+      return { totalExecutions: 0, attributableExecutions: 0, successRate: null, timeoutRate: 0, averageResponseTime: 0, failureTypes: {} };
+    }
+
+    const failureTypes = Object.fromEntries(historical.failurePatterns || []);
+    let infrastructureFailures = 0;
+    let timeoutFailures = 0;
+    for (const [type, count] of Object.entries(failureTypes)) {
+      if (INFRASTRUCTURE_FAILURES.has(type)) infrastructureFailures += count;
+      if (TIMEOUT_FAILURES.has(type)) timeoutFailures += count;
+    }
+
+    // Time-decayed records carry fractional counts; round so reasons read cleanly
+    const attributableExecutions = Number((historical.totalExecutions - infrastructureFailures).toFixed(2));
+    return {
+      totalExecutions: historical.totalExecutions,
+      attributableExecutions,
+      successRate: attributableExecutions > 0 ? historical.successfulExecutions / attributableExecutions : 0,
+      timeoutRate: attributableExecutions > 0 ? timeoutFailures / attributableExecutions : 0,
+      averageResponseTime: historical.averageResponseTime,
+      failureTypes,
+      infrastructureFailures
+    };
+  }
+
+  decision(action, evidence, reason, confidence) {
+    return {
+      action,
+      tryDeepseek: action !== 'escalate',
+      reason,
+      confidence,
+      evidence,
+      thresholds: this.describe()
+    };
+  }
+
+  describe() {
+    return {
+      minExecutions: this.minExecutions,
+      minSuccessRate: this.minSuccessRate,
+      maxTimeoutRate: this.maxTimeoutRate,
+      maxAverageResponseTime: this.maxAverageResponseTime,
+      explorationRate: this.explorationRate
+    };
+  }
+}
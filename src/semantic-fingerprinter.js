@@ -0,0 +1,260 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Regex fingerprint: the fallback key when no embedding model answers, and the label of a new cluster
+const KEYWORD_RULES = [
+  ['json_data', /json|parse|load|data/],
+  ['react', /react|component|jsx/],
+  ['implementation', /function|method|implement/],
+  ['debugging', /debug|fix|error|bug/],
+  ['architecture', /architecture|system|design/],
+  ['api', /api|endpoint|request/],
+  ['file_analysis', /file|analyze|read|content/]
+];
+
+// First match wins
+const DOMAIN_RULES = [
+  ['data_processing', /json|data|parse|load/],
+  ['frontend', /react|component|ui|frontend/],
+  ['backend', /api|backend|server|database/],
+  ['debugging', /debug|error|fix|bug/],
+  ['architecture', /architecture|system|design|planning/],
+  ['file_analysis', /file|analyze|read|content/]
+];
+
+export const FINGERPRINT_DOMAINS = [...DOMAIN_RULES.map(([domain]) => domain), 'general'];
+
+function identifyDomain(prompt) {
+  const lowercasePrompt = prompt.toLowerCase();
+  return DOMAIN_RULES.find(([, pattern]) => pattern.test(lowercasePrompt))?.[0] || 'general';
+}
+
+function estimateComplexity(prompt) {
+  const lowercasePrompt = prompt.toLowerCase();
+  let complexity = Math.min(prompt.length / 1000, 0.3);
+
+  const complexIndicators = ['multiple', 'integrate', 'coordinate', 'architecture', 'system', 'enterprise'];
+  complexity += complexIndicators.filter(indicator => lowercasePrompt.includes(indicator)).length * 0.2;
+
+  const simpleIndicators = ['how to', 'simple', 'example', 'basic'];
+  complexity -= simpleIndicators.filter(indicator => lowercasePrompt.includes(indicator)).length * 0.1;
+
+  return Math.max(0, Math.min(1, complexity));
+}
+
+/**
+ * Keywords, complexity and domain of a prompt, and the key built from them:
+ * <domain>_<complexity bucket 0-10>_<keywords>, cut to 50 characters
+ */
+export function regexFingerprint(prompt) {
+  const lowercasePrompt = prompt.toLowerCase();
+  const keywords = KEYWORD_RULES.filter(([, pattern]) => pattern.test(lowercasePrompt)).map(([keyword]) => keyword);
+  const complexity = estimateComplexity(prompt);
+  const domain = identifyDomain(prompt);
+  return {
+    keywords,
+    complexity,
+    domain,
+    fingerprint: `${domain}_${Math.round(complexity * 10)}_${keywords.join('_')}`.substring(0, 50)
+  };
+}
+
+/**
+ * Semantic Fingerprinter - routing statistics keyed by embedding cluster instead of regex keywords
+ * Prompts are embedded through the local backend's /v1/embeddings and assigned to the nearest
+ * cluster centroid (cosine similarity); below the similarity threshold a new cluster is opened.
+ * Centroids live in <dataDir>/semantic-clusters.json (tmp file + rename). When no embedding
+ * model answers, fingerprint() returns null and callers keep the regex fingerprint; failures
+ * back off for retryInterval so a missing model costs one request per interval, not one per prompt.
+ */
+export class SemanticFingerprinter {
+  constructor(options = {}) {
+    this.embed = options.embed; // async (text, signal) => { vector, model }
+    this.filePath = options.dataDir ? path.join(options.dataDir, 'semantic-clusters.json') : null;
+    this.similarityThreshold = options.similarityThreshold ?? 0.85;
+    this.maxClusters = options.maxClusters || 500;
+    this.timeout = options.timeout || 2000;
+    this.retryInterval = options.retryInterval || 60000;
+    this.saveInterval = options.saveInterval || 5000;
+    this.cacheSize = options.cacheSize || 1000;
+
+    this.model = null;
+    this.dimensions = null;
+    this.nextId = 1;
+    this.clusters = []; // [{ id, centroid, count, label, createdAt, lastSeen }]
+    this.cache = new Map(); // prompt hash -> assignment (insertion-ordered LRU)
+    this.dirty = false;
+    this.timer = null;
+    this.unavailableUntil = 0;
+    this.stats = { embedded: 0, cacheHits: 0, fallbacks: 0, lastError: null };
+  }
+
+  async load() {
+    if (!this.filePath) return;
+    try {
+      const saved = JSON.parse(await fsp.readFile(this.filePath, 'utf8'));
+      this.model = saved.model;
+      this.dimensions = saved.dimensions;
+      this.nextId = saved.nextId || 1;
+      this.clusters = saved.clusters || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️ Semantic clusters unreadable, starting fresh: ${error.message}`);
+      }
+    }
+    this.timer = setInterval(() => {
+      this.save().catch(error => console.error(`⚠️ Semantic cluster save failed: ${error.message}`));
+    }, this.saveInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Cluster assignment for a prompt, or null when embeddings are unavailable
+   * @param {string} label - human-readable name for a newly opened cluster (the regex fingerprint)
+   */
+  async fingerprint(prompt, label = null) {
+    const key = this.hash(prompt);
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.cacheHits++;
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+    if (Date.now() < this.unavailableUntil) {
+      this.stats.fallbacks++;
+      return null;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    let embedding;
+    try {
+      embedding = await this.embed(prompt, controller.signal);
+    } catch (error) {
+      this.unavailableUntil = Date.now() + this.retryInterval;
+      this.stats.fallbacks++;
+      this.stats.lastError = error.name === 'AbortError' ? `Embedding timed out after ${this.timeout}ms` : error.message;
+      console.error(`⚠️ Semantic fingerprinting unavailable, using regex fingerprints for ${this.retryInterval / 1000}s: ${this.stats.lastError}`);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    this.stats.embedded++;
+    const assignment = this.assign(this.normalize(embedding.vector), embedding.model, label);
+    this.cache.set(key, assignment);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return assignment;
+  }
+
+  /**
+   * Cached assignment only - lets synchronous callers reuse the cluster resolved earlier in a request
+   */
+  lookup(prompt) {
+    return this.cache.get(this.hash(prompt)) || null;
+  }
+
+  labelFor(clusterId) {
+    return this.clusters.find(cluster => cluster.id === clusterId)?.label || null;
+  }
+
+  assign(vector, model, label) {
+    if (this.model !== model || this.dimensions !== vector.length) {
+      if (this.clusters.length > 0) {
+        // Vectors from different models are not comparable; ids keep counting so old statistics stay separate
+        console.error(`🧭 Embedding model changed (${this.model} → ${model}) - starting a new cluster space`);
+      }
+      this.model = model;
+      this.dimensions = vector.length;
+      this.clusters = [];
+      this.cache.clear();
+    }
+
+    let best = null;
+    let bestSimilarity = -1;
+    for (const cluster of this.clusters) {
+      const similarity = this.dot(vector, cluster.centroid);
+      if (similarity > bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+
+    const now = Date.now();
+    let created = false;
+    if (!best || (bestSimilarity < this.similarityThreshold && this.clusters.length < this.maxClusters)) {
+      best = { id: `sem_${this.nextId++}`, centroid: vector, count: 0, label, createdAt: now, lastSeen: now };
+      this.clusters.push(best);
+      bestSimilarity = 1;
+      created = true;
+    } else {
+      // Running mean, re-normalized so dot products stay cosine similarities
+      best.centroid = this.normalize(best.centroid.map((value, i) => value + (vector[i] - value) / (best.count + 1)));
+    }
+    best.count++;
+    best.lastSeen = now;
+    this.dirty = true;
+
+    return { clusterId: best.id, similarity: Number(bestSimilarity.toFixed(3)), created, size: best.count, label: best.label, model };
+  }
+
+  normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+  }
+
+  hash(prompt) {
+    return createHash('sha256').update(prompt).digest('hex');
+  }
+
+  serialize() {
+    return JSON.stringify({ version: 1, model: this.model, dimensions: this.dimensions, nextId: this.nextId, savedAt: Date.now(), clusters: this.clusters });
+  }
+
+  async save() {
+    if (!this.filePath || !this.dirty) return;
+    this.dirty = false;
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fsp.writeFile(tmpPath, this.serialize(), 'utf8');
+    await fsp.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Shutdown path - cleanup tasks run synchronously right before process.exit
+   */
+  saveSync() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (!this.filePath || !this.dirty) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, this.serialize(), 'utf8');
+    this.dirty = false;
+  }
+
+  describe() {
+    return {
+      mode: 'semantic',
+      model: this.model,
+      clusters: this.clusters.length,
+      similarityThreshold: this.similarityThreshold,
+      maxClusters: this.maxClusters,
+      available: Date.now() >= this.unavailableUntil,
+      file: this.filePath,
+      ...this.stats
+    };
+  }
+}
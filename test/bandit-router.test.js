@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { BanditRouter } from '../src/bandit-router.js';
+
+// Seeded PRNG (mulberry32) so every simulation run draws the same numbers
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Simulated backends: local is reliable, fast and free; anthropic is reliable but slow and paid;
+// local-small is fast but fails often
+const SIMULATED_ARMS = {
+  local: { successRate: 0.9, latencyMs: 3000, tokens: 800 },
+  'local-small': { successRate: 0.55, latencyMs: 1000, tokens: 800 },
+  anthropic: { successRate: 0.85, latencyMs: 9000, tokens: 2000 }
+};
+const BACKENDS = Object.keys(SIMULATED_ARMS);
+
+function simulate(algorithm, { rounds = 600, seed = 42 } = {}) {
+  const router = new BanditRouter({ algorithm, random: seededRandom(seed), costPer1kTokens: { anthropic: 0.015 } });
+  const environment = seededRandom(seed + 1);
+  const picks = [];
+  for (let round = 0; round < rounds; round++) {
+    const { backend } = router.selectArm('code_generation', BACKENDS);
+    const arm = SIMULATED_ARMS[backend];
+    router.update('code_generation', backend, {
+      success: environment() < arm.successRate,
+      latencyMs: arm.latencyMs,
+      usage: { total_tokens: arm.tokens }
+    });
+    picks.push(backend);
+  }
+  return { router, picks };
+}
+
+function share(picks, backend) {
+  return picks.filter(pick => pick === backend).length / picks.length;
+}
+
+describe('BanditRouter simulation', () => {
+  it('Thompson sampling converges on the best simulated arm', () => {
+    const { router, picks } = simulate('thompson');
+    expect(share(picks.slice(-200), 'local')).toBeGreaterThan(0.8);
+    const stats = router.getBackendStats();
+    expect(stats.local.pulls).toBeGreaterThan(stats.anthropic.pulls + stats['local-small'].pulls);
+  });
+
+  it('UCB1 converges on the best simulated arm after trying every arm', () => {
+    const { router, picks } = simulate('ucb');
+    expect(new Set(picks.slice(0, BACKENDS.length))).toEqual(new Set(BACKENDS));
+    expect(share(picks.slice(-200), 'local')).toBeGreaterThan(0.6);
+    const stats = router.getBackendStats();
+    expect(stats.local.pulls).toBeGreaterThan(Math.max(stats.anthropic.pulls, stats['local-small'].pulls));
+  });
+
+  it('is deterministic for a given seed', () => {
+    expect(simulate('thompson', { rounds: 100 }).picks).toEqual(simulate('thompson', { rounds: 100 }).picks);
+  });
+});
+
+describe('BanditRouter rewards', () => {
+  const router = new BanditRouter({ costPer1kTokens: { anthropic: 0.015 } });
+
+  it('pays nothing for a failure, however fast or cheap', () => {
+    expect(router.computeReward({ success: false, latencyMs: 0, cost: 0 })).toBe(0);
+    expect(router.computeReward({ success: true, latencyMs: 60000, cost: 0.05 })).toBeGreaterThan(0);
+  });
+
+  it('pays a full reward for an instant, free success', () => {
+    expect(router.computeReward({ success: true, latencyMs: 0, cost: 0 })).toBe(1);
+  });
+
+  it('ranks faster successes above slower ones at equal cost', () => {
+    const fast = router.computeReward({ success: true, latencyMs: 2000 });
+    const slow = router.computeReward({ success: true, latencyMs: 30000 });
+    const timedOut = router.computeReward({ success: true, latencyMs: 120000 });
+    expect(fast).toBeGreaterThan(slow);
+    expect(slow).toBeGreaterThan(timedOut);
+  });
+
+  it('ranks cheaper successes above dearer ones at equal latency', () => {
+    const free = router.computeReward({ success: true, latencyMs: 5000, cost: 0 });
+    const paid = router.computeReward({ success: true, latencyMs: 5000, cost: router.estimateCost('anthropic', { total_tokens: 2000 }) });
+    expect(router.estimateCost('anthropic', { total_tokens: 2000 })).toBeCloseTo(0.03);
+    expect(router.estimateCost('local', { total_tokens: 2000 })).toBe(0);
+    expect(free).toBeGreaterThan(paid);
+  });
+
+  it('weights success above latency and latency above cost', () => {
+    const slowest = router.computeReward({ success: true, latencyMs: 60000, cost: 0 });
+    const dearest = router.computeReward({ success: true, latencyMs: 0, cost: 0.05 });
+    expect(slowest).toBeGreaterThan(0);
+    expect(dearest).toBeGreaterThan(slowest);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ClassifierRuleSource, keywordRulesFromEnv } from '../src/classifier-rules.js';
+
+const envConfig = { get: key => ({ ANALYSIS_PATTERNS: 'query plan, explain analyze' })[key] };
+
+describe('ClassifierRuleSource', () => {
+  let dir;
+  let applied;
+
+  const createSource = filePath => new ClassifierRuleSource({
+    filePath,
+    envRules: keywordRulesFromEnv(envConfig),
+    onLoad: rules => applied.push(rules)
+  });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'classifier-rules-'));
+    applied = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('merges environment keyword rules into the file rules', async () => {
+    const filePath = path.join(dir, 'rules.json');
+    await fs.writeFile(filePath, JSON.stringify({ keywordRules: [{ name: 'sql', keywords: ['sql'], task_type: 'analysis' }] }));
+    await createSource(filePath).load();
+
+    expect(applied).toHaveLength(1);
+    expect(applied[0].keywordRules.map(rule => rule.name)).toEqual(['sql', 'analysis']);
+  });
+
+  it('still applies the environment rules when the rules file is missing', async () => {
+    const source = createSource(path.join(dir, 'missing.json'));
+    await source.load().catch(error => source.reject(error));
+
+    expect(applied).toEqual([{ keywordRules: keywordRulesFromEnv(envConfig) }]);
+    expect(source.describe()).toMatchObject({ loads: 0, rejected: 1, lastError: expect.stringMatching(/ENOENT/) });
+  });
+
+  it('still applies the environment rules when the rules file is invalid', async () => {
+    const filePath = path.join(dir, 'rules.json');
+    await fs.writeFile(filePath, '{ not json');
+    const source = createSource(filePath);
+    await source.load().catch(error => source.reject(error));
+
+    expect(applied).toHaveLength(1);
+    expect(applied[0].keywordRules[0].keywords).toEqual(['query plan', 'explain analyze']);
+  });
+
+  it('keeps the previous rules when a reload is invalid', async () => {
+    const filePath = path.join(dir, 'rules.json');
+    await fs.writeFile(filePath, JSON.stringify({ successWeights: { simple: 0.9 } }));
+    const source = createSource(filePath);
+    await source.load();
+
+    await fs.writeFile(filePath, '{ not json');
+    await source.load().catch(error => source.reject(error));
+
+    expect(applied).toHaveLength(1);
+    expect(source.describe()).toMatchObject({ loads: 1, rejected: 1 });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DecisionJournal, parseTimeFilter } from '../src/decision-journal.js';
+
+const START = Date.parse('2026-03-01T12:00:00Z');
+const MINUTE = 60000;
+
+describe('DecisionJournal', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(START);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('query filters', () => {
+    let journal;
+
+    // One entry per minute, oldest first
+    const record = (domain, outcome, backend, attempts = []) => {
+      journal.record('prompt', { fingerprint: { domain }, outcome, backend, attempts });
+      vi.setSystemTime(Date.now() + MINUTE);
+    };
+
+    beforeEach(() => {
+      journal = new DecisionJournal();
+      record('backend', 'success', 'local');
+      record('frontend', 'escalated', 'anthropic', [{ provider: 'local', outcome: 'error' }, { provider: 'anthropic', outcome: 'success' }]);
+      record('backend', 'error', 'openai');
+      record('debugging', 'success', 'local');
+    });
+
+    const ids = result => result.entries.map(entry => `${entry.fingerprint.domain}/${entry.outcome}`);
+
+    it('returns every entry newest first without filters', () => {
+      const result = journal.query();
+      expect(result.total).toBe(4);
+      expect(ids(result)).toEqual(['debugging/success', 'backend/error', 'frontend/escalated', 'backend/success']);
+    });
+
+    it('filters by domain and outcome together', () => {
+      expect(ids(journal.query({ domain: 'backend' }))).toEqual(['backend/error', 'backend/success']);
+      expect(ids(journal.query({ domain: 'backend', outcome: 'success' }))).toEqual(['backend/success']);
+    });
+
+    it('matches a backend that served the call or was attempted on the way', () => {
+      expect(ids(journal.query({ backend: 'local' }))).toEqual(['debugging/success', 'frontend/escalated', 'backend/success']);
+      expect(ids(journal.query({ backend: 'openai' }))).toEqual(['backend/error']);
+    });
+
+    it('filters by an inclusive time range', () => {
+      const result = journal.query({ since: START + MINUTE, until: START + 2 * MINUTE });
+      expect(ids(result)).toEqual(['backend/error', 'frontend/escalated']);
+    });
+
+    it('limits the entries returned but reports the full match count', () => {
+      const result = journal.query({ outcome: 'success', limit: 1 });
+      expect(result.total).toBe(2);
+      expect(ids(result)).toEqual(['debugging/success']);
+    });
+
+    it('resolves relative time filters against the current time', () => {
+      expect(ids(journal.query({ since: parseTimeFilter('2m') }))).toEqual(['debugging/success', 'backend/error']);
+      expect(() => parseTimeFilter('yesterday', 'since')).toThrow('Invalid since parameter');
+    });
+  });
+
+  describe('prompt storage', () => {
+    const prompt = 'Deploy with api_key=abc123 and Bearer eyJhbGciOi.x-y to https://internal.example.com/v1 for ops@example.com, ticket 12345678, key sk-proj1234567890';
+
+    it('keeps only a hash and the length by default', () => {
+      const entry = new DecisionJournal().record(prompt, { outcome: 'success' });
+      expect(Object.keys(entry.prompt).sort()).toEqual(['length', 'sha256']);
+      expect(entry.prompt.length).toBe(prompt.length);
+      expect(entry.prompt.sha256).toMatch(/^[0-9a-f]{16}$/);
+      expect(JSON.stringify(entry)).not.toContain('abc123');
+    });
+
+    it('masks secrets, e-mails, URLs and long numbers in redact mode', () => {
+      const entry = new DecisionJournal({ promptMode: 'redact', previewLength: 500 }).record(prompt, { outcome: 'success' });
+      expect(entry.prompt.preview).toBe(
+        'Deploy with [SECRET] and Bearer [SECRET] to [URL] for [EMAIL], ticket [NUMBER], key [SECRET]'
+      );
+    });
+
+    it('cuts the redacted preview to the preview length', () => {
+      const entry = new DecisionJournal({ promptMode: 'redact', previewLength: 20 }).record(prompt, {});
+      expect(entry.prompt.preview).toBe('Deploy with [SECRET]');
+    });
+
+    it('keeps the length only in omit mode', () => {
+      const entry = new DecisionJournal({ promptMode: 'omit' }).record(prompt, {});
+      expect(entry.prompt).toEqual({ length: prompt.length });
+    });
+
+    it('falls back to hash mode for an unknown prompt mode', () => {
+      expect(new DecisionJournal({ promptMode: 'verbatim' }).promptMode).toBe('hash');
+    });
+  });
+
+  it('drops the oldest entries beyond maxEntries', () => {
+    const journal = new DecisionJournal({ maxEntries: 2 });
+    ['first', 'second', 'third'].forEach(outcome => journal.record('prompt', { outcome }));
+    expect(journal.query().entries.map(entry => entry.outcome)).toEqual(['third', 'second']);
+  });
+});
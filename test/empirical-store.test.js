@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EmpiricalStore } from '../src/empirical-store.js';
+
+// Stand-in for EmpiricalRoutingManager: applies each event to in-memory counts as it is recorded
+function createManager(store) {
+  const manager = {
+    counts: {},
+    apply(event) {
+      manager.counts[event.domain] = (manager.counts[event.domain] || 0) + 1;
+    },
+    record(event) {
+      manager.apply(event);
+      store.append(event);
+    },
+    async restore() {
+      const { snapshot, events } = await store.load();
+      manager.counts = { ...(snapshot || {}) };
+      events.forEach(manager.apply);
+      store.start(() => ({ ...manager.counts }));
+      return events;
+    }
+  };
+  return manager;
+}
+
+describe('EmpiricalStore', () => {
+  let dir;
+  let stores;
+
+  const openStore = (options = {}) => {
+    const store = new EmpiricalStore({ dataDir: dir, flushInterval: 60000, ...options });
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'empirical-store-'));
+    stores = [];
+  });
+
+  afterEach(async () => {
+    stores.forEach(store => store.stop());
+    await fs.rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('replays journaled events after a restart', async () => {
+    const first = createManager(openStore());
+    await first.restore();
+    first.record({ type: 'success', domain: 'backend' });
+    first.record({ type: 'failure', domain: 'backend' });
+    first.record({ type: 'success', domain: 'frontend' });
+    await stores[0].flush();
+
+    const second = createManager(openStore());
+    const events = await second.restore();
+
+    expect(events.map(event => event.seq)).toEqual([1, 2, 3]);
+    expect(second.counts).toEqual({ backend: 2, frontend: 1 });
+    expect(stores[1].seq).toBe(3);
+  });
+
+  it('skips a torn last journal line and appends after it on a fresh line', async () => {
+    const journalPath = path.join(dir, 'empirical-journal.jsonl');
+    await fs.writeFile(journalPath, '{"seq":1,"type":"success","domain":"backend"}\n{"seq":2,"type":"succ');
+
+    const manager = createManager(openStore());
+    const events = await manager.restore();
+
+    expect(events).toHaveLength(1);
+    expect(stores[0].describe().skippedLines).toBe(1);
+    expect(manager.counts).toEqual({ backend: 1 });
+
+    manager.record({ type: 'success', domain: 'debugging' });
+    await stores[0].flush();
+
+    const restarted = createManager(openStore());
+    await restarted.restore();
+    expect(restarted.counts).toEqual({ backend: 1, debugging: 1 });
+  });
+
+  it('does not double-apply events journaled while a compaction is in progress', async () => {
+    const manager = createManager(openStore({ compactThreshold: 2 }));
+    await manager.restore();
+    manager.record({ type: 'success', domain: 'backend' });
+    manager.record({ type: 'success', domain: 'backend' });
+
+    // Recorded after the flush has taken the pending batch, so it lands in the snapshot and the next journal write
+    const flushing = stores[0].flush();
+    manager.record({ type: 'failure', domain: 'frontend' });
+    await flushing;
+    await stores[0].flush();
+
+    const snapshot = JSON.parse(await fs.readFile(path.join(dir, 'empirical-snapshot.json'), 'utf8'));
+    expect(snapshot.seq).toBe(3);
+    expect(snapshot.state).toEqual({ backend: 2, frontend: 1 });
+    const journal = await fs.readFile(path.join(dir, 'empirical-journal.jsonl'), 'utf8');
+    expect(journal.trim().split('\n').map(line => JSON.parse(line).seq)).toEqual([3]);
+
+    const restarted = createManager(openStore({ compactThreshold: 2 }));
+    const events = await restarted.restore();
+    expect(events).toEqual([]);
+    expect(restarted.counts).toEqual({ backend: 2, frontend: 1 });
+  });
+
+  it('skips events already folded into the snapshot when the journal was not truncated', async () => {
+    const manager = createManager(openStore({ compactThreshold: 2 }));
+    await manager.restore();
+    manager.record({ type: 'success', domain: 'backend' });
+    manager.record({ type: 'success', domain: 'backend' });
+    await stores[0].flush();
+
+    // Crash between the snapshot rename and the journal truncation
+    const journalPath = path.join(dir, 'empirical-journal.jsonl');
+    await fs.writeFile(journalPath, [1, 2].map(seq => JSON.stringify({ seq, type: 'success', domain: 'backend' })).join('\n') + '\n');
+
+    const restarted = createManager(openStore());
+    const events = await restarted.restore();
+    expect(events).toEqual([]);
+    expect(restarted.counts).toEqual({ backend: 2 });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EndpointHealthMonitor } from '../src/health-monitor.js';
+
+const LM_STUDIO = 'http://127.0.0.1:1234/v1';
+
+// LocalEndpointRegistry as the monitor uses it; `up` decides which endpoints answer
+function stubRegistry() {
+  const registry = {
+    up: new Set(),
+    selected: null,
+    servers: new Map(),
+    probeTimeout: 1000,
+    resolveCalls: 0,
+    knownEndpoints: () => [{ url: LM_STUDIO }],
+    async ping(endpoint) {
+      if (!registry.up.has(endpoint.url)) throw new Error('ECONNREFUSED');
+      return 20;
+    },
+    async probe(endpoint) {
+      registry.servers.set(endpoint.url, { url: endpoint.url });
+    },
+    removeServer(url) {
+      registry.servers.delete(url);
+    },
+    invalidate() {
+      registry.selected = null;
+    },
+    async resolve() {
+      registry.resolveCalls++;
+      const url = [...registry.up][0];
+      if (!url) throw new Error('No local model server answered');
+      registry.selected = { url };
+      return registry.selected;
+    }
+  };
+  return registry;
+}
+
+describe('EndpointHealthMonitor', () => {
+  let registry;
+  let monitor;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ['Date'] });
+    registry = stubRegistry();
+    monitor = new EndpointHealthMonitor({ registry, interval: 0, rediscoveryBackoff: 10000, rediscoveryMaxBackoff: 40000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('backs off re-discovery while nothing is reachable', async () => {
+    const resolvesAfter = async (ms) => {
+      vi.advanceTimersByTime(ms);
+      await monitor.check();
+      return registry.resolveCalls;
+    };
+
+    expect(await resolvesAfter(0)).toBe(1);
+    expect(await resolvesAfter(5000)).toBe(1);
+    expect(await resolvesAfter(5000)).toBe(2);
+    expect(await resolvesAfter(10000)).toBe(2);
+    expect(await resolvesAfter(10000)).toBe(3);
+    expect(await resolvesAfter(40000)).toBe(4);
+    expect(await resolvesAfter(39000)).toBe(4);
+    expect(await resolvesAfter(1000)).toBe(5);
+    expect(monitor.describe().nextRediscoveryAt).not.toBeNull();
+  });
+
+  it('re-discovers at once when a known endpoint answers again', async () => {
+    await monitor.check();
+    expect(registry.resolveCalls).toBe(1);
+
+    registry.up.add(LM_STUDIO);
+    await monitor.check();
+    expect(registry.resolveCalls).toBe(2);
+    expect(registry.selected.url).toBe(LM_STUDIO);
+    expect(monitor.describe()).toMatchObject({ primary: LM_STUDIO, nextRediscoveryAt: null });
+  });
+
+  it('answers status from the last records instead of waiting for a running check', async () => {
+    registry.up.add(LM_STUDIO);
+    await monitor.check();
+    vi.advanceTimersByTime(10000);
+
+    let releasePing;
+    registry.ping = () => new Promise(resolve => { releasePing = () => resolve(20); });
+    const running = monitor.check();
+
+    const snapshot = await monitor.snapshot();
+    expect(snapshot.checks).toBe(1);
+    expect(snapshot.endpoints[0]).toMatchObject({ url: LM_STUDIO, state: 'healthy' });
+
+    releasePing();
+    await running;
+    expect(monitor.describe().checks).toBe(2);
+  });
+
+  it('records a failed model listing as a failed observation instead of rejecting', async () => {
+    registry.up.add(LM_STUDIO);
+    registry.probe = async () => { throw new Error('HTTP 500 from /v1/models'); };
+
+    const snapshot = await monitor.snapshot();
+
+    expect(snapshot.checks).toBe(1);
+    expect(snapshot.endpoints[0]).toMatchObject({
+      url: LM_STUDIO,
+      state: 'degraded',
+      consecutiveFailures: 1,
+      lastError: 'Model listing failed: HTTP 500 from /v1/models'
+    });
+  });
+
+  it('checks first when the records are stale and no check is running', async () => {
+    registry.up.add(LM_STUDIO);
+    const snapshot = await monitor.snapshot();
+    expect(snapshot.checks).toBe(1);
+    expect(snapshot.primary).toBe(LM_STUDIO);
+  });
+});
@@ -0,0 +1,94 @@
+import http from 'http';
+
+/**
+ * Local HTTP mock of a model server. handler(request) gets { method, path, body } and returns
+ * { status, json } (status defaults to 200) or null for a 404. Every request is recorded.
+ */
+export async function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const request = { method: req.method, path: req.url, body: raw ? JSON.parse(raw) : null };
+      requests.push(request);
+      const reply = await handler(request);
+      res.writeHead(reply ? reply.status || 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply ? reply.json ?? {} : { error: 'not found' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const root = `http://127.0.0.1:${server.address().port}`;
+  return {
+    root,
+    url: `${root}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * LM Studio: /v1/models, /api/v0/models with load states, the /api/v1 model API (unless
+ * restApi is false) and chat completions, which load a model just in time
+ */
+export function lmStudioHandler(models, { restApi = true } = {}) {
+  return ({ method, path, body }) => {
+    if (method === 'GET' && path === '/v1/models') {
+      return { json: { object: 'list', data: models.map(model => ({ id: model.id, object: 'model', owned_by: 'organization_owner' })) } };
+    }
+    if (method === 'GET' && path === '/api/v0/models') {
+      return { json: { object: 'list', data: models.map(model => ({ type: 'llm', publisher: 'lmstudio-community', max_context_length: 131072, ...model })) } };
+    }
+    if (method === 'POST' && path === '/api/v1/models/load' && restApi) {
+      const model = models.find(entry => entry.id === body.model);
+      if (!model) return { status: 400, json: { error: `unknown model ${body.model}` } };
+      model.state = 'loaded';
+      return { json: { instance_id: model.id, status: 'loaded' } };
+    }
+    if (method === 'POST' && path === '/api/v1/models/unload' && restApi) {
+      const model = models.find(entry => entry.id === body.instance_id);
+      if (!model) return { status: 400, json: { error: `unknown instance ${body.instance_id}` } };
+      model.state = 'not-loaded';
+      return { json: { instance_id: model.id } };
+    }
+    if (method === 'POST' && path === '/v1/chat/completions') {
+      const model = models.find(entry => entry.id === body.model);
+      if (!model) return { status: 404, json: { error: `unknown model ${body.model}` } };
+      model.state = 'loaded';
+      return { json: { model: model.id, choices: [{ message: { role: 'assistant', content: 'pong' }, finish_reason: 'length' }] } };
+    }
+    return null;
+  };
+}
+
+/**
+ * Ollama: /api/tags, /api/ps for loaded models, /api/generate, which loads a model or,
+ * with keep_alive 0, unloads it, and non-streaming /api/chat
+ */
+export function ollamaHandler(models) {
+  return ({ method, path, body }) => {
+    if (method === 'GET' && path === '/v1/models') {
+      return { json: { object: 'list', data: models.map(model => ({ id: model.name, object: 'model', owned_by: 'library' })) } };
+    }
+    if (method === 'GET' && path === '/api/tags') {
+      return { json: { models: models.map(model => ({ name: model.name, size: 1000, details: { family: 'qwen2', parameter_size: '7B' } })) } };
+    }
+    if (method === 'GET' && path === '/api/ps') {
+      return { json: { models: models.filter(model => model.loaded).map(model => ({ name: model.name })) } };
+    }
+    if (method === 'POST' && path === '/api/generate') {
+      const model = models.find(entry => entry.name === body.model);
+      if (!model) return { status: 404, json: { error: `model "${body.model}" not found` } };
+      model.loaded = body.keep_alive !== 0;
+      model.lastKeepAlive = body.keep_alive;
+      return { json: { model: model.name, response: '', done: true, done_reason: model.loaded ? 'load' : 'unload' } };
+    }
+    if (method === 'POST' && path === '/api/chat') {
+      const model = models.find(entry => entry.name === body.model);
+      if (!model) return { status: 404, json: { error: `model "${body.model}" not found` } };
+      model.loaded = true;
+      return { json: { model: model.name, message: { role: 'assistant', content: 'pong' }, done: true, done_reason: 'stop', prompt_eval_count: 12, eval_count: 1 } };
+    }
+    return null;
+  };
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { LatencyModel } from '../src/latency-model.js';
+
+const SMALL_PROMPT = 500;
+const LARGE_PROMPT = 40 * 1024;
+
+function recordMany(model, sample, count) {
+  for (let i = 0; i < count; i++) {
+    model.record({ fingerprint: 'code_generation', model: 'qwen2.5-coder', ...sample });
+  }
+}
+
+describe('LatencyModel', () => {
+  it('uses the static tier timeout until enough samples exist', () => {
+    const latency = new LatencyModel();
+    recordMany(latency, { promptSize: SMALL_PROMPT, latencyMs: 4000 }, 4);
+
+    const { timeout, basis } = latency.predict({ fingerprint: 'code_generation', model: 'qwen2.5-coder', promptSize: SMALL_PROMPT, fallbackTimeout: 60000 });
+    expect(timeout).toBe(60000);
+    expect(basis.source).toBe('complexity_tier');
+  });
+
+  it('predicts p95 x safety factor from the matching size bucket', () => {
+    const latency = new LatencyModel();
+    recordMany(latency, { promptSize: SMALL_PROMPT, latencyMs: 20000 }, 10);
+
+    const { timeout, basis } = latency.predict({ fingerprint: 'code_generation', model: 'qwen2.5-coder', promptSize: SMALL_PROMPT, fallbackTimeout: 60000 });
+    expect(timeout).toBe(30000);
+    expect(basis).toMatchObject({ source: 'latency_model', level: 'fingerprint_model_size', clamped: null });
+  });
+
+  it('never lets small-prompt samples shorten the timeout of a large prompt', () => {
+    const latency = new LatencyModel();
+    recordMany(latency, { promptSize: SMALL_PROMPT, latencyMs: 4000 }, 20);
+
+    const { timeout, basis } = latency.predict({ fingerprint: 'code_generation', model: 'qwen2.5-coder', promptSize: LARGE_PROMPT, fallbackTimeout: 120000 });
+    expect(timeout).toBe(120000);
+    expect(basis).toMatchObject({ source: 'latency_model', level: 'fingerprint_model', clamped: 'tier' });
+  });
+
+  it('lets a size-blind prediction above the tier timeout stand', () => {
+    const latency = new LatencyModel();
+    recordMany(latency, { promptSize: SMALL_PROMPT, latencyMs: 100000 }, 10);
+
+    const { timeout } = latency.predict({ fingerprint: 'code_generation', model: 'qwen2.5-coder', promptSize: LARGE_PROMPT, fallbackTimeout: 60000 });
+    expect(timeout).toBe(150000);
+  });
+
+  it('prefers another pattern with the same model and size over a size-blind key', () => {
+    const latency = new LatencyModel();
+    latency.record({ fingerprint: 'debugging', model: 'qwen2.5-coder', promptSize: LARGE_PROMPT, latencyMs: 50000 });
+    recordMany(latency, { fingerprint: 'refactoring', promptSize: LARGE_PROMPT, latencyMs: 50000 }, 5);
+
+    const { timeout, basis } = latency.predict({ fingerprint: 'debugging', model: 'qwen2.5-coder', promptSize: LARGE_PROMPT, fallbackTimeout: 120000 });
+    expect(basis.level).toBe('model_size');
+    expect(timeout).toBe(75000);
+  });
+
+  it('clamps to the configured bounds', () => {
+    const latency = new LatencyModel({ minTimeout: 15000, maxTimeout: 180000 });
+    recordMany(latency, { promptSize: SMALL_PROMPT, latencyMs: 1000 }, 5);
+    recordMany(latency, { fingerprint: 'architecture', promptSize: SMALL_PROMPT, latencyMs: 170000 }, 5);
+
+    expect(latency.predict({ fingerprint: 'code_generation', model: 'qwen2.5-coder', promptSize: SMALL_PROMPT, fallbackTimeout: 60000 }))
+      .toMatchObject({ timeout: 15000, basis: { clamped: 'min' } });
+    expect(latency.predict({ fingerprint: 'architecture', model: 'qwen2.5-coder', promptSize: SMALL_PROMPT, fallbackTimeout: 60000 }))
+      .toMatchObject({ timeout: 180000, basis: { clamped: 'max' } });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LlmRouter, pickRouterModel } from '../src/llm-router.js';
+
+describe('pickRouterModel', () => {
+  it('picks the smallest loaded chat model', () => {
+    expect(pickRouterModel([
+      { id: 'qwen2.5-coder-32b-instruct', state: 'loaded' },
+      { id: 'llama-3.2-3b-instruct', state: 'loaded' },
+      { id: 'qwen2.5-1.5b-instruct', state: 'loaded' },
+      { id: 'nomic-embed-text-v1.5', state: 'loaded', kind: 'embeddings' }
+    ])).toBe('qwen2.5-1.5b-instruct');
+  });
+
+  it('prefers a loaded small model over a smaller one that would need loading', () => {
+    expect(pickRouterModel([
+      { id: 'qwen2.5-0.5b-instruct', state: 'not-loaded' },
+      { id: 'phi3:3.8b', state: 'loaded' }
+    ])).toBe('phi3:3.8b');
+  });
+
+  it("reads Ollama's parameter_size before the model id", () => {
+    expect(pickRouterModel([
+      { id: 'qwen2.5-coder:latest', parameterSize: '7.6B', state: 'not-loaded' },
+      { id: 'smollm:latest', parameterSize: '360M', state: 'not-loaded' }
+    ])).toBe('smollm:latest');
+  });
+
+  it('returns null when only large or unsized models are listed', () => {
+    expect(pickRouterModel([
+      { id: 'deepseek-coder-v2-lite-instruct', state: 'loaded' },
+      { id: 'qwen2.5-coder-32b-instruct', state: 'loaded' }
+    ])).toBeNull();
+  });
+});
+
+describe('LlmRouter', () => {
+  const answer = '{"task_type": "debugging", "complexity": 0.3, "backend": "deepseek", "confidence": 0.9, "reason": "single bug"}';
+
+  it("parses the answer after a reasoning model's thinking", async () => {
+    const router = new LlmRouter({ complete: async () => ({ content: `<think>A null check is missing.</think>\n${answer}`, model: 'deepseek-r1:1.5b' }) });
+    expect(await router.route('Why does this throw on undefined?')).toMatchObject({ taskType: 'debugging', backend: 'deepseek', model: 'deepseek-r1:1.5b' });
+  });
+
+  it('falls back to the regex classifier when no router model is available', async () => {
+    const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const router = new LlmRouter({ complete: async () => { throw new Error('No small local model for the LLM router - set LLM_ROUTER_MODEL'); } });
+    expect(await router.route('Fix this bug')).toBeNull();
+    expect(router.describe()).toMatchObject({ fallbacks: 1, lastError: expect.stringMatching(/LLM_ROUTER_MODEL/) });
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { LocalProvider } from '../src/providers/local-provider.js';
+import { startMockServer, ollamaHandler } from './helpers/mock-server.js';
+
+describe('LocalProvider on an Ollama server', () => {
+  let ollama;
+
+  const createProvider = (resolveContextLength) => new LocalProvider({
+    name: 'local',
+    requiresApiKey: false,
+    resolveServer: async () => ({ url: ollama.url, root: ollama.root, type: 'ollama', headers: {} }),
+    resolveContextLength
+  });
+
+  beforeEach(async () => {
+    ollama = await startMockServer(ollamaHandler([{ name: 'qwen2.5-coder:7b', loaded: false }]));
+  });
+
+  afterEach(async () => {
+    await ollama.close();
+  });
+
+  it('sends the capability context length as num_ctx on the native chat API', async () => {
+    const provider = createProvider(model => model === 'qwen2.5-coder:7b' ? 32768 : null);
+    const result = await provider.complete({ model: 'qwen2.5-coder:7b', messages: [{ role: 'user', content: 'ping' }], maxTokens: 512 });
+
+    expect(result).toMatchObject({ content: 'pong', finishReason: 'stop', usage: { total_tokens: 13 } });
+    const chat = ollama.requests.find(request => request.path === '/api/chat');
+    expect(chat.body.options).toEqual({ num_predict: 512, num_ctx: 32768 });
+  });
+
+  it('leaves num_ctx to Ollama without a context hook', async () => {
+    await createProvider(undefined).complete({ model: 'qwen2.5-coder:7b', messages: [{ role: 'user', content: 'ping' }] });
+
+    const chat = ollama.requests.find(request => request.path === '/api/chat');
+    expect(chat.body.options).not.toHaveProperty('num_ctx');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { ProviderRegistry, McpSamplingProvider } from '../src/providers/index.js';
+import { buildFailureGuidance } from '../src/routing-guidance.js';
+
+// Settings as config.js serves them; no API keys, so only the local backend and sampling can be available
+function stubConfig(settings = {}) {
+  return {
+    get: key => settings[key],
+    getNumber: (key, fallback) => settings[key] !== undefined ? Number(settings[key]) : fallback,
+    getBoolean: (key, fallback) => settings[key] !== undefined ? settings[key] === 'true' : fallback
+  };
+}
+
+// MCP server as seen from the bridge: the client's capabilities and sampling/createMessage
+function stubClient(capabilities, reply = null) {
+  return {
+    calls: [],
+    getClientCapabilities: () => capabilities,
+    async createMessage(params, options) {
+      this.calls.push({ params, options });
+      return reply;
+    }
+  };
+}
+
+const failureAnalysis = {
+  errorType: 'timeout',
+  responseTime: 120000,
+  reason: 'Local model timed out on a multi-file refactor',
+  confidence: 0.8,
+  timeout: true
+};
+
+function createRegistry(client) {
+  const providers = new ProviderRegistry(stubConfig());
+  providers.register(new McpSamplingProvider(client, { maxTokens: 2048, modelHints: ['claude-sonnet'] }));
+  return providers;
+}
+
+describe('McpSamplingProvider escalation', () => {
+  it('escalates to client sampling and returns the sampled completion when the client advertises sampling', async () => {
+    const client = stubClient({ sampling: {} }, {
+      role: 'assistant',
+      content: { type: 'text', text: 'Refactored module with the cycle removed.' },
+      model: 'claude-sonnet-4',
+      stopReason: 'endTurn'
+    });
+    const providers = createRegistry(client);
+
+    const backend = providers.selectEscalation('execute', 'local');
+    expect(backend).toBe('mcp_sampling');
+
+    const completion = await providers.get(backend).complete({
+      messages: [
+        { role: 'system', content: 'You are a refactoring expert.' },
+        { role: 'user', content: 'Refactor these modules' }
+      ],
+      maxTokens: 8000,
+      temperature: 0.2
+    });
+
+    expect(completion).toEqual({
+      content: 'Refactored module with the cycle removed.',
+      model: 'claude-sonnet-4',
+      usage: null,
+      finishReason: 'endTurn',
+      endpoint: 'mcp-client-sampling'
+    });
+    const { params } = client.calls[0];
+    expect(params.systemPrompt).toBe('You are a refactoring expert.');
+    expect(params.messages).toEqual([{ role: 'user', content: { type: 'text', text: 'Refactor these modules' } }]);
+    expect(params.maxTokens).toBe(2048);
+    expect(params.modelPreferences.hints).toEqual([{ name: 'claude-sonnet' }]);
+  });
+
+  it('reports a maxTokens stop as a length finish', async () => {
+    const client = stubClient({ sampling: {} }, { content: { type: 'text', text: 'partial' }, stopReason: 'maxTokens' });
+    const completion = await createRegistry(client).get('mcp_sampling').complete({ messages: [{ role: 'user', content: 'hi' }] });
+    expect(completion.finishReason).toBe('length');
+    expect(completion.model).toBe('mcp-client-model');
+  });
+
+  it('falls back to routing guidance when the client does not advertise sampling', () => {
+    const client = stubClient({ roots: {} });
+    const providers = createRegistry(client);
+
+    expect(providers.isAvailable('mcp_sampling')).toBe(false);
+    const backend = providers.selectEscalation('execute', 'local');
+    expect(backend).toBeNull();
+
+    const guidance = buildFailureGuidance('Refactor these modules', { reason: 'complex refactor' }, failureAnalysis);
+    expect(guidance.routingGuidance).toBe(true);
+    expect(guidance.response).toContain('EMPIRICAL ROUTING RECOMMENDATION');
+    expect(guidance.response).toContain('failed with: Timeout');
+    expect(guidance.response).toContain('**Original Query:** Refactor these modules');
+    expect(client.calls).toHaveLength(0);
+  });
+
+  it('never escalates in advice mode, even with sampling available', () => {
+    const providers = createRegistry(stubClient({ sampling: {} }));
+    expect(providers.selectEscalation('advice', 'local')).toBeNull();
+    expect(providers.selectEscalation('sampling', 'mcp_sampling')).toBeNull();
+  });
+});
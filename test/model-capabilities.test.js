@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LocalEndpointRegistry } from '../src/local-endpoints.js';
+import { ModelCapabilityRegistry, chunkSizesFor } from '../src/model-capabilities.js';
+import { startMockServer, lmStudioHandler } from './helpers/mock-server.js';
+
+describe('chunkSizesFor', () => {
+  it('fits a chunk and its framing into the default prompt budget', () => {
+    const capabilities = new ModelCapabilityRegistry().get(null);
+    expect(capabilities.promptBudget).toBe(24768);
+    expect(chunkSizesFor(capabilities)).toEqual({ targetChunkSize: 19414, maxChunkSize: 24268, minChunkSize: 4853 });
+  });
+
+  it('grows with a long-context model and shrinks with a short one', () => {
+    const registry = new ModelCapabilityRegistry({
+      catalogue: () => [
+        { id: 'qwen2.5-coder-32b', contextLength: 131072 },
+        { id: 'phi-3-mini', contextLength: 4096 }
+      ]
+    });
+    expect(chunkSizesFor(registry.get('qwen2.5-coder-32b')).maxChunkSize).toBe(122572);
+    const small = chunkSizesFor(registry.get('phi-3-mini'));
+    expect(small.maxChunkSize).toBe(2572);
+    expect(small.targetChunkSize).toBeLessThan(small.maxChunkSize);
+    expect(small.minChunkSize).toBeLessThan(small.targetChunkSize);
+  });
+});
+
+describe('LM Studio context length', () => {
+  let lmStudio;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await lmStudio.close();
+    vi.restoreAllMocks();
+  });
+
+  it('trusts only the loaded context length', async () => {
+    lmStudio = await startMockServer(lmStudioHandler([
+      { id: 'qwen2.5-coder-7b-instruct', state: 'not-loaded', max_context_length: 131072 },
+      { id: 'llama-3.2-3b-instruct', state: 'loaded', loaded_context_length: 8192, max_context_length: 131072 }
+    ]));
+    const endpoints = new LocalEndpointRegistry({
+      endpoints: [{ url: lmStudio.url, type: 'auto', priority: 1, headers: {}, source: 'configured' }],
+      probeTimeout: 2000
+    });
+    await endpoints.refreshCatalogue();
+    const registry = new ModelCapabilityRegistry({ catalogue: () => endpoints.getCatalogue() });
+
+    expect(registry.get('llama-3.2-3b-instruct')).toMatchObject({ contextLength: 8192, sources: { contextLength: 'metadata' } });
+    expect(registry.get('qwen2.5-coder-7b-instruct')).toMatchObject({ known: true, contextLength: 32768, sources: { contextLength: 'default' } });
+  });
+});
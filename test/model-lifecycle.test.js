@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LocalEndpointRegistry } from '../src/local-endpoints.js';
+import { ModelLifecycleManager, pickDefaultModel } from '../src/model-lifecycle.js';
+import { startMockServer, lmStudioHandler, ollamaHandler } from './helpers/mock-server.js';
+
+describe('ModelLifecycleManager', () => {
+  let lmStudio;
+  let ollama;
+  let lmStudioModels;
+  let ollamaModels;
+  let lifecycle;
+
+  const createLifecycle = (options = {}) => {
+    const registry = new LocalEndpointRegistry({
+      endpoints: [
+        { url: lmStudio.url, type: 'auto', priority: 1, headers: {}, source: 'configured' },
+        { url: ollama.url, type: 'auto', priority: 2, headers: {}, source: 'configured' }
+      ],
+      probeTimeout: 2000
+    });
+    return new ModelLifecycleManager({ registry, loadTimeout: 2000, ...options });
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    lmStudioModels = [
+      { id: 'qwen2.5-coder-7b-instruct', state: 'not-loaded' },
+      { id: 'llama-3.2-3b-instruct', state: 'loaded', loaded_context_length: 8192 }
+    ];
+    ollamaModels = [
+      { name: 'deepseek-r1:8b', loaded: false },
+      { name: 'nomic-embed-text:latest', loaded: true }
+    ];
+    lmStudio = await startMockServer(lmStudioHandler(lmStudioModels));
+    ollama = await startMockServer(ollamaHandler(ollamaModels));
+  });
+
+  afterEach(async () => {
+    lifecycle?.stop();
+    await lmStudio.close();
+    await ollama.close();
+    vi.restoreAllMocks();
+  });
+
+  describe('list', () => {
+    it('reports every server with its models and load states', async () => {
+      lifecycle = createLifecycle();
+      const servers = await lifecycle.list();
+
+      expect(servers.map(server => server.type)).toEqual(['lmstudio', 'ollama']);
+      expect(servers[0].primary).toBe(true);
+      expect(servers[0].lifecycle).toEqual({ load: true, unload: true, warm: true });
+      expect(servers[0].models.map(model => [model.id, model.state])).toEqual([
+        ['qwen2.5-coder-7b-instruct', 'not-loaded'],
+        ['llama-3.2-3b-instruct', 'loaded']
+      ]);
+      expect(servers[1].models.map(model => [model.id, model.state])).toEqual([
+        ['deepseek-r1:8b', 'not-loaded'],
+        ['nomic-embed-text:latest', 'loaded']
+      ]);
+    });
+  });
+
+  describe('load', () => {
+    it('loads an LM Studio model through the REST model API', async () => {
+      lifecycle = createLifecycle();
+      const result = await lifecycle.load('qwen2.5-coder-7b-instruct', { contextLength: 16384, ttlSeconds: 600 });
+
+      expect(result).toMatchObject({ method: 'rest_api', serverType: 'lmstudio', stateBefore: 'not-loaded', state: 'loaded' });
+      const load = lmStudio.requests.find(request => request.path === '/api/v1/models/load');
+      expect(load.body).toEqual({ model: 'qwen2.5-coder-7b-instruct', context_length: 16384, ttl: 600 });
+    });
+
+    it('falls back to a just-in-time request when LM Studio has no load endpoint', async () => {
+      await lmStudio.close();
+      lmStudio = await startMockServer(lmStudioHandler(lmStudioModels, { restApi: false }));
+      lifecycle = createLifecycle();
+      const result = await lifecycle.load('qwen2.5-coder-7b-instruct', { ttlSeconds: 300 });
+
+      expect(result).toMatchObject({ method: 'jit_request', stateBefore: 'not-loaded', state: 'loaded' });
+      const ping = lmStudio.requests.find(request => request.path === '/v1/chat/completions');
+      expect(ping.body).toMatchObject({ model: 'qwen2.5-coder-7b-instruct', max_tokens: 1, ttl: 300 });
+    });
+
+    it('loads an Ollama model with keep_alive', async () => {
+      lifecycle = createLifecycle();
+      const result = await lifecycle.load('deepseek-r1:8b', { contextLength: 8192 });
+
+      expect(result).toMatchObject({ method: 'keep_alive', serverType: 'ollama', stateBefore: 'not-loaded', state: 'loaded' });
+      const generate = ollama.requests.find(request => request.path === '/api/generate');
+      expect(generate.body).toEqual({ model: 'deepseek-r1:8b', keep_alive: '30m', options: { num_ctx: 8192 } });
+    });
+
+    it('rejects a model no server lists', async () => {
+      lifecycle = createLifecycle();
+      await expect(lifecycle.load('missing-model')).rejects.toThrow(/not on any reachable local server/);
+    });
+  });
+
+  describe('unload', () => {
+    it('unloads on LM Studio and Ollama and drops the model from keep-alive', async () => {
+      lifecycle = createLifecycle({ keepAliveInterval: 0 });
+      lifecycle.setKeepAlive('llama-3.2-3b-instruct', true);
+
+      const lmResult = await lifecycle.unload('llama-3.2-3b-instruct');
+      expect(lmResult).toMatchObject({ stateBefore: 'loaded', state: 'not-loaded' });
+      expect(lifecycle.keepAlive.has('llama-3.2-3b-instruct')).toBe(false);
+
+      const ollamaResult = await lifecycle.unload('nomic-embed-text:latest');
+      expect(ollamaResult).toMatchObject({ stateBefore: 'loaded', state: 'not-loaded' });
+      expect(ollamaModels[1].lastKeepAlive).toBe(0);
+    });
+
+    it('explains that LM Studio without the REST API cannot unload', async () => {
+      await lmStudio.close();
+      lmStudio = await startMockServer(lmStudioHandler(lmStudioModels, { restApi: false }));
+      lifecycle = createLifecycle();
+      await expect(lifecycle.unload('llama-3.2-3b-instruct')).rejects.toThrow(/no REST unload endpoint/);
+    });
+  });
+
+  describe('warm', () => {
+    it('reports a cold load when the model was not loaded', async () => {
+      lifecycle = createLifecycle();
+      const result = await lifecycle.warm('qwen2.5-coder-7b-instruct');
+
+      expect(result).toMatchObject({ action: 'warm', coldLoad: true, stateBefore: 'not-loaded', state: 'loaded' });
+      expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  describe('keep_alive', () => {
+    it('pings every registered model on the interval', async () => {
+      vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+      try {
+        lifecycle = createLifecycle({ keepAliveInterval: 1000, keepAliveTtl: 120 });
+        const result = lifecycle.setKeepAlive('deepseek-r1:8b', true);
+        expect(result.models).toEqual(['deepseek-r1:8b']);
+        expect(lifecycle.timer).not.toBeNull();
+
+        await lifecycle.pingKeepAlive();
+        expect(ollamaModels[0]).toMatchObject({ loaded: true, lastKeepAlive: '120s' });
+        expect(lifecycle.describe().keepAlive[0]).toMatchObject({ model: 'deepseek-r1:8b', lastError: null });
+
+        lifecycle.setKeepAlive('deepseek-r1:8b', false);
+        expect(lifecycle.timer).toBeNull();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('records a failed ping instead of throwing', async () => {
+      lifecycle = createLifecycle({ keepAliveInterval: 0 });
+      lifecycle.setKeepAlive('gone-model', true);
+      await lifecycle.pingKeepAlive();
+      expect(lifecycle.describe().keepAlive[0].lastError).toMatch(/not on any reachable local server/);
+    });
+  });
+});
+
+describe('pickDefaultModel', () => {
+  it('prefers a loaded model over a not-loaded coder model', () => {
+    expect(pickDefaultModel([
+      { id: 'deepseek-coder-v2-lite', state: 'not-loaded' },
+      { id: 'llama-3.2-3b-instruct', state: 'loaded' }
+    ])).toBe('llama-3.2-3b-instruct');
+  });
+
+  it('prefers coder models among equally loaded ones and ranks embeddings last', () => {
+    expect(pickDefaultModel([
+      { id: 'nomic-embed-text', state: 'loaded', kind: 'embeddings' },
+      { id: 'llama-3.2-3b-instruct', state: 'loaded' },
+      { id: 'qwen2.5-coder-7b', state: 'loaded' }
+    ])).toBe('qwen2.5-coder-7b');
+  });
+
+  it('ranks an unknown load state between loaded and not-loaded', () => {
+    expect(pickDefaultModel([
+      { id: 'deepseek-coder', state: 'not-loaded' },
+      { id: 'mistral-7b' }
+    ])).toBe('mistral-7b');
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parsePlan, PlanExecutor } from '../src/plan-executor.js';
+
+function step(id, type, dependsOn = []) {
+  return { id, title: `Title of ${id}`, type, instructions: `Do ${id}`, depends_on: dependsOn };
+}
+
+describe('parsePlan', () => {
+  it('orders steps by dependency, keeping the planner order otherwise', () => {
+    const plan = parsePlan({ steps: [step('impl', 'implementation', ['design']), step('design', 'planning'), step('docs', 'implementation')] });
+    expect(plan.steps.map(entry => entry.id)).toEqual(['design', 'impl', 'docs']);
+    expect(plan.steps[1]).toMatchObject({ title: 'Title of impl', dependsOn: ['design'] });
+  });
+
+  it('reads the plan out of a fenced answer wrapped in a <think> block', () => {
+    const answer = [
+      '<think>Maybe {"steps": []} would do? No, two steps.</think>',
+      'Here is the plan:',
+      '```json',
+      JSON.stringify({ steps: [step('design', 'planning'), step('impl', 'implementation', ['design'])] }),
+      '```'
+    ].join('\n');
+
+    expect(parsePlan(answer).steps.map(entry => entry.id)).toEqual(['design', 'impl']);
+  });
+
+  it('rejects an answer without a JSON object', () => {
+    expect(() => parsePlan('<think>{"steps": [1]}</think> I could not plan this.')).toThrow('no JSON object');
+  });
+
+  it('rejects a dependency cycle', () => {
+    const answer = { steps: [step('a', 'planning', ['b']), step('b', 'implementation', ['a'])] };
+    expect(() => parsePlan(answer)).toThrow('Invalid plan: depends_on contains a cycle');
+  });
+
+  it('rejects unknown and self dependencies, listing every problem', () => {
+    const answer = { steps: [step('a', 'planning', ['a']), step('b', 'implementation', ['missing'])] };
+    expect(() => parsePlan(answer)).toThrow(
+      'Invalid plan: step "a" depends on itself; step "b" depends on unknown step "missing"'
+    );
+  });
+
+  it('rejects a plan over the step limit', () => {
+    const answer = { steps: ['a', 'b', 'c'].map(id => step(id, 'implementation')) };
+    expect(() => parsePlan(answer, 2)).toThrow('3 steps exceed the limit of 2');
+    expect(parsePlan(answer, 3).steps).toHaveLength(3);
+  });
+});
+
+describe('PlanExecutor', () => {
+  // design → impl → review, with docs independent of all three
+  const plan = parsePlan({ steps: [
+    step('design', 'planning'),
+    step('impl', 'implementation', ['design']),
+    step('review', 'planning', ['impl']),
+    step('docs', 'implementation')
+  ] });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('passes dependency outputs to later steps and completes the plan', async () => {
+    const prompts = {};
+    const executor = new PlanExecutor({
+      runStep: async (current, stepPrompt) => {
+        prompts[current.id] = stepPrompt;
+        return { response: `${current.id} output`, provider: current.type === 'planning' ? 'anthropic' : 'local', model: 'm' };
+      }
+    });
+
+    const result = await executor.execute('Build a cache', plan);
+
+    expect(result.status).toBe('completed');
+    expect(result.summary).toEqual({ total: 4, completed: 4, failed: 0, skipped: 0 });
+    expect(prompts.impl).toContain('### Output of "Title of design"\ndesign output');
+    expect(prompts.docs).not.toContain('Results of earlier steps');
+    expect(result.deliverable).toContain('## Title of review\n\nreview output');
+  });
+
+  it('retries a failed step before giving it up', async () => {
+    const runStep = vi.fn(async current => {
+      if (current.id === 'design' && runStep.mock.calls.length === 1) throw new Error('HTTP 503');
+      return { response: `${current.id} output`, provider: 'local' };
+    });
+    const executor = new PlanExecutor({ runStep, maxStepRetries: 1 });
+
+    const result = await executor.execute('Build a cache', plan);
+
+    expect(result.status).toBe('completed');
+    expect(result.steps[0].attempts.map(attempt => attempt.outcome)).toEqual(['error', 'success']);
+  });
+
+  it('skips steps blocked by a failed step and reports a partial result', async () => {
+    const runStep = vi.fn(async current => {
+      if (current.id === 'impl') throw new Error('Local model timed out');
+      return { response: `${current.id} output`, provider: 'local' };
+    });
+    const executor = new PlanExecutor({ runStep, maxStepRetries: 2 });
+
+    const result = await executor.execute('Build a cache', plan);
+
+    expect(result.status).toBe('partial');
+    expect(result.summary).toEqual({ total: 4, completed: 2, failed: 1, skipped: 1 });
+    expect(result.steps[1]).toMatchObject({ id: 'impl', status: 'failed', error: 'Local model timed out' });
+    expect(result.steps[1].attempts).toHaveLength(3);
+    expect(result.steps[2]).toMatchObject({ id: 'review', status: 'skipped', error: 'Skipped - depends on failed step(s): impl' });
+    expect(runStep.mock.calls.map(call => call[0].id)).not.toContain('review');
+    expect(result.steps[3].status).toBe('completed');
+  });
+
+  it('reports failed when no step completes', async () => {
+    const executor = new PlanExecutor({ runStep: async () => { throw new Error('down'); }, maxStepRetries: 0 });
+    const result = await executor.execute('Build a cache', plan);
+    expect(result.status).toBe('failed');
+    expect(result.summary).toEqual({ total: 4, completed: 0, failed: 2, skipped: 2 });
+  });
+
+  it('rethrows instead of retrying once the request is aborted', async () => {
+    const controller = new AbortController();
+    const runStep = vi.fn(async () => {
+      controller.abort();
+      throw new Error('This operation was aborted');
+    });
+    const executor = new PlanExecutor({ runStep, maxStepRetries: 3 });
+
+    await expect(executor.execute('Build a cache', plan, controller.signal)).rejects.toThrow('This operation was aborted');
+    expect(runStep).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not start a step after the request is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const runStep = vi.fn();
+
+    await expect(new PlanExecutor({ runStep }).execute('Build a cache', plan, controller.signal)).rejects.toThrow();
+    expect(runStep).not.toHaveBeenCalled();
+  });
+});
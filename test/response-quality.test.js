@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { ResponseQualityEvaluator } from '../src/response-quality.js';
+
+const evaluator = new ResponseQualityEvaluator();
+const codeRequest = 'Write a function that debounces another function';
+
+describe('ResponseQualityEvaluator', () => {
+  it('passes a complete answer with a code block', () => {
+    const quality = evaluator.evaluate(codeRequest, { response: 'Here it is:\n```js\nfunction debounce(fn, ms) {}\n```', finish_reason: 'stop' });
+    expect(quality).toMatchObject({ score: 1, passed: true, issues: [] });
+  });
+
+  it('fails a truncated answer on its own', () => {
+    const quality = evaluator.evaluate('Explain the event loop', { response: 'The event loop takes tasks from the queue and', finish_reason: 'length' });
+    expect(quality).toMatchObject({ score: 0.5, passed: false });
+    expect(quality.issues.map(issue => issue.code)).toEqual(['truncated']);
+  });
+
+  it('fails a code request answered without a code block on its own', () => {
+    const quality = evaluator.evaluate(codeRequest, { response: 'Wrap the call in a timer that resets on every invocation.', finish_reason: 'stop' });
+    expect(quality).toMatchObject({ score: 0.5, passed: false });
+    expect(quality.issues.map(issue => issue.code)).toEqual(['missing_code_block']);
+  });
+
+  it('fails a truncated answer that also lacks the requested code', () => {
+    const quality = evaluator.evaluate(codeRequest, { response: 'First, think about what debouncing means for', finish_reason: 'length' });
+    expect(quality).toMatchObject({ score: 0, passed: false });
+  });
+
+  it('fails refusals and empty answers on their own', () => {
+    expect(evaluator.evaluate('Explain closures', { response: "I'm sorry, but I can't help with that." }).passed).toBe(false);
+    expect(evaluator.evaluate('Explain closures', { response: '   ' })).toMatchObject({ score: 0, passed: false });
+  });
+
+  it('does not expect code when the caller says so', () => {
+    const quality = evaluator.evaluate(codeRequest, { response: '{"steps": []}' }, { expectCode: false });
+    expect(quality.issues).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RetryPolicy } from '../src/retry-policy.js';
+
+// Same checks EmpiricalRoutingManager applies, reduced to what these errors need
+const classifier = {
+  isNetworkError: error => error.code === 'ECONNREFUSED',
+  isCapacityError: error => error.message.includes('capacity'),
+  isContentPolicyError: error => error.message.includes('policy')
+};
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+const PRIMARY = { provider: { name: 'openai' }, role: 'primary' };
+const SECONDARY = { provider: { name: 'anthropic' }, role: 'secondary' };
+
+describe('RetryPolicy', () => {
+  let policy;
+  let attempts;
+
+  const run = (chain, operation) => policy.executeWithFailover(chain, operation, {
+    onAttempt: (entry, attempt) => attempts.push({ provider: entry.provider.name, ...attempt })
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0, classifier, random: () => 0 });
+    attempts = [];
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('retries a retryable error up to the attempt limit, then fails over', async () => {
+    const operation = vi.fn(async entry => {
+      if (entry === PRIMARY) throw httpError(503);
+      return { content: 'ok' };
+    });
+
+    const { result, index } = await run([PRIMARY, SECONDARY], operation);
+
+    expect(result).toEqual({ content: 'ok' });
+    expect(index).toBe(1);
+    expect(attempts.map(attempt => [attempt.provider, attempt.decision || attempt.outcome])).toEqual([
+      ['openai', 'retry'],
+      ['openai', 'retry'],
+      ['openai', 'failover'],
+      ['anthropic', 'success']
+    ]);
+    expect(attempts[2].reason).toContain('3 attempts exhausted');
+  });
+
+  it('stops retrying once the backend recovers', async () => {
+    const operation = vi.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce({ content: 'ok' });
+
+    const { index } = await run([PRIMARY, SECONDARY], operation);
+
+    expect(index).toBe(0);
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(operation.mock.calls.map(call => call[2])).toEqual([1, 2]);
+  });
+
+  it('fails over on a non-retryable 4xx without retrying the same backend', async () => {
+    const operation = vi.fn(async entry => {
+      if (entry === PRIMARY) throw httpError(401);
+      return { content: 'ok' };
+    });
+
+    const { index } = await run([PRIMARY, SECONDARY], operation);
+
+    expect(index).toBe(1);
+    expect(operation.mock.calls.map(call => call[0])).toEqual([PRIMARY, SECONDARY]);
+    expect(attempts[0]).toMatchObject({ provider: 'openai', status: 401, decision: 'failover' });
+  });
+
+  it('gives up on a rejected request instead of trying the next backend', async () => {
+    const operation = vi.fn().mockRejectedValue(httpError(400));
+
+    await expect(run([PRIMARY, SECONDARY], operation)).rejects.toMatchObject({
+      status: 400,
+      retryDecision: { action: 'give_up' }
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up when no failover backend is available', async () => {
+    const operation = vi.fn().mockRejectedValue(httpError(404));
+
+    await expect(run([PRIMARY], operation)).rejects.toMatchObject({
+      status: 404,
+      retryDecision: { action: 'failover' }
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(attempts).toHaveLength(1);
+  });
+
+  it('gives up after exhausting retries when no failover backend is available', async () => {
+    const error = new Error('connect ECONNREFUSED');
+    error.code = 'ECONNREFUSED';
+    const operation = vi.fn().mockRejectedValue(error);
+
+    await expect(run([PRIMARY], operation)).rejects.toBe(error);
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(attempts.map(attempt => attempt.decision)).toEqual(['retry', 'retry', 'failover']);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RoutingPolicy } from '../src/routing-policy.js';
+
+// Empirical record as EmpiricalRoutingManager keeps it per fingerprint
+function history({ total, successes, averageResponseTime = 20000, failures = [] }) {
+  return {
+    totalExecutions: total,
+    successfulExecutions: successes,
+    averageResponseTime,
+    failurePatterns: new Map(failures)
+  };
+}
+
+// 2 successes in 20: well under the 20% minimum success rate
+const KNOWN_BAD = history({ total: 20, successes: 2, failures: [['timeout', 4], ['low_quality', 14]] });
+
+describe('RoutingPolicy', () => {
+  it('tries the primary backend when there is no history or too little of it', () => {
+    const random = vi.fn(() => 0);
+    const policy = new RoutingPolicy({ random });
+
+    expect(policy.evaluate(null)).toMatchObject({ action: 'try', tryDeepseek: true });
+    expect(policy.evaluate(history({ total: 5, successes: 0 }))).toMatchObject({ action: 'try' });
+    expect(random).not.toHaveBeenCalled();
+  });
+
+  it('exploits a known-bad pattern by escalating when the roll is above the exploration rate', () => {
+    const policy = new RoutingPolicy({ explorationRate: 0.1, random: () => 0.1 });
+
+    const decision = policy.evaluate(KNOWN_BAD);
+
+    expect(decision.action).toBe('escalate');
+    expect(decision.tryDeepseek).toBe(false);
+    expect(decision.reason).toContain('success rate 10% < 20%');
+    expect(decision.evidence.explorationRoll).toBe(0.1);
+    expect(decision.confidence).toBeCloseTo(0.8);
+  });
+
+  it('explores a known-bad pattern when the roll is below the exploration rate', () => {
+    const policy = new RoutingPolicy({ explorationRate: 0.1, random: () => 0.09 });
+
+    const decision = policy.evaluate(KNOWN_BAD);
+
+    expect(decision.action).toBe('explore');
+    expect(decision.tryDeepseek).toBe(true);
+    expect(decision.reason).toContain('re-tested for exploration');
+  });
+
+  it('never explores with a zero exploration rate', () => {
+    const policy = new RoutingPolicy({ explorationRate: 0, random: () => 0 });
+    expect(policy.evaluate(KNOWN_BAD).action).toBe('escalate');
+  });
+
+  it('leaves connectivity failures out of the evidence', () => {
+    const policy = new RoutingPolicy({ random: () => 0.5 });
+    const record = history({ total: 20, successes: 8, failures: [['ECONNREFUSED', 10], ['timeout', 2]] });
+
+    const decision = policy.evaluate(record);
+
+    expect(decision.evidence).toMatchObject({ attributableExecutions: 10, successRate: 0.8, timeoutRate: 0.2, infrastructureFailures: 10 });
+    expect(decision.action).toBe('try');
+  });
+
+  it('escalates on a high timeout rate even with an acceptable success rate', () => {
+    const policy = new RoutingPolicy({ random: () => 0.5 });
+    const record = history({ total: 10, successes: 5, failures: [['first_token_timeout', 3], ['AbortError', 2]] });
+
+    const decision = policy.evaluate(record);
+
+    expect(decision.action).toBe('escalate');
+    expect(decision.reason).toContain('timeout rate 50% >= 50%');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SemanticFingerprinter, regexFingerprint, FINGERPRINT_DOMAINS } from '../src/semantic-fingerprinter.js';
+
+describe('regexFingerprint', () => {
+  it('names the first matching domain', () => {
+    expect(regexFingerprint('Parse this JSON config').domain).toBe('data_processing');
+    expect(regexFingerprint('Write a React component').domain).toBe('frontend');
+    expect(regexFingerprint('Add an API route to the server').domain).toBe('backend');
+    expect(regexFingerprint('Fix this bug').domain).toBe('debugging');
+    expect(regexFingerprint('Plan the system architecture').domain).toBe('architecture');
+    expect(regexFingerprint('Analyze this file').domain).toBe('file_analysis');
+    expect(regexFingerprint('Write a haiku').domain).toBe('general');
+  });
+
+  it('only returns domains listed in FINGERPRINT_DOMAINS', () => {
+    const prompts = ['Parse JSON', 'React UI', 'server', 'debug', 'design', 'read it', 'hello'];
+    expect(prompts.map(prompt => regexFingerprint(prompt).domain)).toEqual(FINGERPRINT_DOMAINS);
+  });
+
+  it('builds the key from domain, complexity bucket and keywords', () => {
+    expect(regexFingerprint('Fix this bug')).toEqual({
+      keywords: ['debugging'],
+      complexity: 0.012,
+      domain: 'debugging',
+      fingerprint: 'debugging_0_debugging'
+    });
+  });
+
+  it('buckets complexity into tenths, clamped to 0-10', () => {
+    const bucket = prompt => regexFingerprint(prompt).fingerprint.split('_')[1];
+    expect(bucket('a simple basic example of how to say hello')).toBe('0');
+    expect(bucket('Integrate multiple services')).toBe('4');
+    expect(bucket('Coordinate multiple enterprise system architecture services and integrate them')).toBe('10');
+    // Length alone contributes at most 0.3
+    expect(bucket('x'.repeat(5000))).toBe('3');
+  });
+
+  it('cuts the key to 50 characters', () => {
+    const { keywords, fingerprint } = regexFingerprint('Implement a React component that loads JSON from an API endpoint, fix the bug and design the file reader');
+    expect(keywords).toHaveLength(7);
+    expect(fingerprint).toHaveLength(50);
+    expect(fingerprint.startsWith('data_processing_1_json_data_react')).toBe(true);
+  });
+});
+
+describe('SemanticFingerprinter', () => {
+  let dir;
+  let fingerprinter;
+  let vectors;
+
+  // Embeddings from a fixed table: prompts naming the same topic land on nearby vectors
+  const embed = vi.fn(async prompt => {
+    const vector = vectors[prompt];
+    if (!vector) throw new Error('No embedding model loaded');
+    return { vector, model: 'nomic-embed-text' };
+  });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'semantic-fingerprinter-'));
+    vectors = {
+      'sort a list': [1, 0, 0],
+      'sort an array': [0.95, 0.1, 0],
+      'explain TCP handshakes': [0, 1, 0.1]
+    };
+    embed.mockClear();
+    fingerprinter = new SemanticFingerprinter({ embed, dataDir: dir, similarityThreshold: 0.85 });
+  });
+
+  afterEach(async () => {
+    fingerprinter.saveSync();
+    await fs.rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('puts similar prompts in one cluster and opens a new one for a different topic', async () => {
+    const first = await fingerprinter.fingerprint('sort a list', 'general_0_');
+    const similar = await fingerprinter.fingerprint('sort an array', 'general_0_other');
+    const different = await fingerprinter.fingerprint('explain TCP handshakes', 'general_0_network');
+
+    expect(first).toMatchObject({ clusterId: 'sem_1', created: true, similarity: 1, size: 1, label: 'general_0_', model: 'nomic-embed-text' });
+    expect(similar).toMatchObject({ clusterId: 'sem_1', created: false, size: 2, label: 'general_0_' });
+    expect(similar.similarity).toBeGreaterThan(0.85);
+    expect(different).toMatchObject({ clusterId: 'sem_2', created: true, label: 'general_0_network' });
+    expect(fingerprinter.labelFor('sem_2')).toBe('general_0_network');
+  });
+
+  it('answers a repeated prompt from the cache without embedding it again', async () => {
+    const first = await fingerprinter.fingerprint('sort a list');
+    const again = await fingerprinter.fingerprint('sort a list');
+
+    expect(again).toBe(first);
+    expect(embed).toHaveBeenCalledTimes(1);
+    expect(fingerprinter.lookup('sort a list')).toBe(first);
+    expect(fingerprinter.lookup('sort an array')).toBeNull();
+  });
+
+  it('falls back to null and backs off while no embedding model answers', async () => {
+    expect(await fingerprinter.fingerprint('unknown prompt')).toBeNull();
+    expect(await fingerprinter.fingerprint('sort a list')).toBeNull();
+
+    expect(embed).toHaveBeenCalledTimes(1);
+    expect(fingerprinter.describe()).toMatchObject({ available: false, fallbacks: 2, lastError: 'No embedding model loaded' });
+  });
+
+  it('reloads saved clusters after a restart', async () => {
+    await fingerprinter.fingerprint('sort a list', 'general_0_');
+    await fingerprinter.save();
+
+    const restarted = new SemanticFingerprinter({ embed, dataDir: dir });
+    await restarted.load();
+    const assignment = await restarted.fingerprint('sort an array');
+    restarted.saveSync();
+
+    expect(assignment).toMatchObject({ clusterId: 'sem_1', created: false, size: 2, label: 'general_0_' });
+  });
+});